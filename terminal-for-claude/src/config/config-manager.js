@@ -1,23 +1,74 @@
 import { readFileSync, existsSync, writeFileSync, mkdirSync } from "fs";
-import { join } from "path";
+import { join, resolve, isAbsolute } from "path";
 import { homedir } from "os";
+import { resolveRealPath, isPathWithin } from "../utils/file-utils.js";
+import { parseCommandLine, compileCommandRule, matchesCommandRule } from "../security/shell-parser.js";
+import { getOutputDirectory } from "../utils/output-capture.js";
+
+// Redirect targets that aren't files
+const NULL_DEVICES = new Set(['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty', 'nul', '$null']);
+
+// Programs after which a relative redirect target can't be placed
+const DIRECTORY_COMMANDS = new Set(['cd', 'pushd', 'popd', 'chdir', 'set-location', 'sl', 'push-location', 'pop-location']);
 
 export class ConfigManager {
   constructor() {
     this.configPath = join(homedir(), '.claude-terminal', 'config.json');
     this.defaults = {
-      maxBufferSize: 10 * 1024 * 1024, // 10MB
+      outputBudget: 100 * 1024, // command output returned inline per stream; the rest is saved to a file
+      ptyBackend: "auto", // "auto", "node-pty" or "python"
       defaultTimeout: 30000,
       maxTimeout: 300000,
       scriptTimeout: 60000,
       processListLimit: 50,
       maxProcessLimit: 500,
-      allowedInterpreters: ["bash", "sh", "powershell", "cmd", "python", "python3", "node", "perl", "ruby"],
+      // kill_process refuses these, plus PIDs 0-2, the server and its ancestors
+      protectedPids: [],
+      protectedProcessNames: ["init", "systemd", "launchd", "kernel_task", "kthreadd", "sshd", "dbus-daemon", "Xorg", "Xwayland", "WindowServer", "loginwindow", "System", "smss.exe", "csrss.exe", "wininit.exe", "winlogon.exe", "services.exe", "lsass.exe", "dwm.exe"],
+      killGracePeriod: 3000, // ms between the first signal and SIGKILL
+      // Named environments for the command tools, sessions, jobs and PTYs (env_profile):
+      // { inherit, allow, deny, dotenv, variables, pathPrepend }. Without a
+      // profile, commands inherit the server's whole environment.
+      envProfiles: {},
+      defaultEnvProfile: null,
+      // Cached virtualenvs and node_modules for execute_script dependencies,
+      // installed from these sources when set (default: PyPI and npmjs)
+      scriptEnvCacheDir: join(homedir(), '.claude-terminal', 'script-envs'),
+      pythonPackageIndex: null, // pip --index-url
+      pythonWheelhouse: null, // directory of wheels; installs offline with --no-index
+      npmRegistry: null,
+      npmIgnoreScripts: true, // npm install --ignore-scripts
+      // execute_script interpreters on top of the built-in ones, by name:
+      // { executable, extension, command, version, shell, dependencies }.
+      // A null entry removes a built-in.
+      interpreters: {},
+      allowedInterpreters: ["bash", "sh", "powershell", "pwsh", "cmd", "python", "python3", "node", "deno", "bun", "perl", "ruby", "php", "lua", "Rscript"],
       enableLogging: true,
       logLevel: "info",
       securityMode: "standard", // "strict" or "standard"
+      // Command rules: an executable glob plus optional argument globs, e.g.
+      // "git", "rm -*r*" or "git push *force*", checked per invocation
       commandWhitelist: [],
       commandBlacklist: [],
+      pathBlacklist: [],
+      // Allowed roots for file access and working directories. When both are
+      // empty the sandbox is off and any path not blacklisted is allowed.
+      readOnlyRoots: [],
+      readWriteRoots: [],
+      // "dangerous" holds risky commands, kill_process calls and writes outside
+      // approvalWriteRoots (default: home and temp directories) until approved;
+      // "off" runs everything the rules above allow
+      approvalMode: "dangerous",
+      approvalPatterns: [], // extra regular expressions for commands that need approval
+      approvalWriteRoots: [],
+      // Audit log of tool calls, written while enableLogging is on
+      auditLogPath: join(homedir(), '.claude-terminal', 'audit.jsonl'),
+      auditLogMaxSize: 10 * 1024 * 1024, // 10MB per file before rotating
+      auditLogMaxFiles: 5,
+      // Secret masking in tool responses and audit records
+      redactSecrets: true,
+      sensitiveEnvVars: ["*TOKEN*", "*SECRET*", "*PASSWORD*", "*PASSWD*", "*API_KEY*", "*APIKEY*", "*PRIVATE_KEY*", "*CREDENTIAL*", "AWS_ACCESS_KEY_ID", "*_AUTH"],
+      redactionPatterns: [], // extra regular expressions to mask
     };
     
     this.config = this.loadConfig();
@@ -74,33 +125,143 @@ export class ConfigManager {
     return { ...this.config };
   }
 
-  isCommandAllowed(command) {
-    const { securityMode, commandWhitelist, commandBlacklist } = this.config;
-    
-    if (securityMode === 'strict') {
-      // In strict mode, only whitelist commands are allowed
-      if (commandWhitelist.length === 0) {
-        return false; // No commands allowed if whitelist is empty
+  isCommandAllowed(command, options = {}) {
+    return this.checkCommand(command, options).allowed;
+  }
+
+  // Check every invocation in a command line against the command rules.
+  // Returns { allowed } or, when denied, the reason, the offending invocation
+  // or redirect and the rule involved. `options.dialect` picks the shell
+  // syntax and `options.cwd` is where the command runs.
+  checkCommand(command, options = {}) {
+    const { securityMode, commandWhitelist = [], commandBlacklist = [] } = this.config;
+    const strict = securityMode === 'strict';
+
+    if (!this.hasCommandRules()) {
+      return { allowed: true };
+    }
+
+    const { invocations, redirects, errors } = parseCommandLine(command, options);
+
+    if (strict) {
+      // Whatever the parser can't follow might hide a command
+      if (errors.length > 0) {
+        return { allowed: false, reason: 'unparseable', message: errors[0] };
       }
-      
-      return commandWhitelist.some(pattern => 
-        command.toLowerCase().includes(pattern.toLowerCase())
-      );
+
+      const whitelist = commandWhitelist.map(compileCommandRule);
+      for (const invocation of invocations) {
+        if (invocation.dynamic) {
+          return { allowed: false, reason: 'dynamic_executable', invocation };
+        }
+        if (!whitelist.some(rule => matchesCommandRule(invocation, rule))) {
+          return { allowed: false, reason: 'not_whitelisted', invocation };
+        }
+      }
+
+      // A redirection writes a file without running a program, so it has to
+      // land inside a read-write root
+      const changesDirectory = invocations.some(invocation => DIRECTORY_COMMANDS.has(invocation.name));
+      for (const redirect of redirects) {
+        if (!this.isRedirectAllowed(redirect, changesDirectory ? null : options.cwd)) {
+          return { allowed: false, reason: 'write_redirect', redirect };
+        }
+      }
+      return { allowed: true };
     }
-    
+
     // In standard mode, check blacklist
-    if (commandBlacklist.length > 0) {
-      return !commandBlacklist.some(pattern => 
-        command.toLowerCase().includes(pattern.toLowerCase())
-      );
+    const blacklist = commandBlacklist.map(compileCommandRule);
+    for (const invocation of invocations) {
+      if (invocation.dynamic) {
+        return { allowed: false, reason: 'dynamic_executable', invocation };
+      }
+      const rule = blacklist.find(candidate => matchesCommandRule(invocation, candidate));
+      if (rule) {
+        return { allowed: false, reason: 'blacklisted', invocation, rule: rule.rule };
+      }
     }
-    
-    return true;
+    return { allowed: true };
+  }
+
+  // Only with read-write roots configured, and a relative target needs to
+  // know the directory it is resolved against
+  isRedirectAllowed({ target, dynamic }, cwd) {
+    if (NULL_DEVICES.has(target.toLowerCase())) {
+      return true;
+    }
+    const { readWriteRoots = [] } = this.config;
+    if (dynamic || readWriteRoots.length === 0) {
+      return false;
+    }
+
+    const path = target.replace(/^~(?=$|[\\/])/, homedir());
+    if (!isAbsolute(path) && !cwd) {
+      return false;
+    }
+    return this.isPathInSandbox(resolveRealPath(resolve(cwd || '', path)), 'write');
+  }
+
+  // Whether checkCommand() can deny anything at all
+  hasCommandRules() {
+    const { securityMode, commandBlacklist = [] } = this.config;
+    return securityMode === 'strict' || commandBlacklist.length > 0;
   }
 
   isInterpreterAllowed(interpreter) {
     return this.config.allowedInterpreters.includes(interpreter);
   }
+
+  isPathAllowed(path) {
+    const { pathBlacklist = [] } = this.config;
+    const target = resolveRealPath(path);
+
+    return !pathBlacklist.some(entry => isPathWithin(target, resolveRealPath(entry)));
+  }
+
+  isSandboxEnabled() {
+    const { readOnlyRoots = [], readWriteRoots = [] } = this.config;
+    return readOnlyRoots.length > 0 || readWriteRoots.length > 0;
+  }
+
+  getSandboxRoots() {
+    const { readOnlyRoots = [], readWriteRoots = [] } = this.config;
+    return {
+      read_only: readOnlyRoots.map(root => resolveRealPath(root)),
+      read_write: readWriteRoots.map(root => resolveRealPath(root)),
+    };
+  }
+
+  // `path` should already be symlink-resolved; access is 'read' or 'write'
+  isPathInSandbox(path, access = 'read') {
+    if (!this.isSandboxEnabled()) {
+      return true;
+    }
+
+    const roots = this.getSandboxRoots();
+    const allowed = access === 'write' ? roots.read_write : [...roots.read_write, ...roots.read_only];
+    // Full command output saved by the tools is always readable with file_read.
+    // The directory is already a real path and is not resolved again, so a
+    // symlink swapped in for it can't widen the allowlist.
+    const outputDirectory = getOutputDirectory({ create: false });
+    if (access === 'read' && outputDirectory) {
+      allowed.push(outputDirectory);
+    }
+    return allowed.some(root => isPathWithin(path, root));
+  }
+
+  // Where commands run when a call names no working_directory: the server's
+  // own directory, or the first root (read-write before read-only) when the
+  // sandbox is on and the server's directory is outside it
+  getDefaultWorkingDirectory() {
+    const cwd = process.cwd();
+    if (this.isPathInSandbox(resolveRealPath(cwd), 'read')) {
+      return cwd;
+    }
+
+    const roots = this.getSandboxRoots();
+    return [...roots.read_write, ...roots.read_only][0];
+  }
 }
 
 // Singleton instance
@@ -1,33 +1,49 @@
 export const EXTENSION_NAME = "claude-terminal";
 export const EXTENSION_VERSION = "1.0.0";
 
-export const SCRIPT_EXTENSIONS = {
-  bash: '.sh',
-  sh: '.sh',
-  powershell: '.ps1',
-  cmd: '.bat',
-  python: '.py',
-  python3: '.py',
-  node: '.js',
-  perl: '.pl',
-  ruby: '.rb',
-};
-
-export const SCRIPT_COMMANDS = {
-  bash: (path) => `bash "${path}"`,
-  sh: (path) => `sh "${path}"`,
-  powershell: (path) => `powershell -ExecutionPolicy Bypass -File "${path}"`,
-  cmd: (path) => `cmd /c "${path}"`,
-  python: (path) => `python "${path}"`,
-  python3: (path) => `python3 "${path}"`,
-  node: (path) => `node "${path}"`,
-  perl: (path) => `perl "${path}"`,
-  ruby: (path) => `ruby "${path}"`,
+// Built-in execute_script interpreters; the `interpreters` config key adds
+// more or overrides these by name. `command` is a template: {executable},
+// {script} and {args} are replaced with the quoted values, and interpreters
+// without {args} can't take arguments. `version` holds the arguments that
+// print the version, `shell` marks shell languages (checked by the approval
+// rules) and `dependencies` the package ecosystem for script dependencies.
+export const BUILTIN_INTERPRETERS = {
+  bash: { executable: 'bash', extension: '.sh', version: ['--version'], shell: true },
+  sh: { executable: 'sh', extension: '.sh', version: null, shell: true },
+  powershell: {
+    executable: 'powershell',
+    extension: '.ps1',
+    command: '{executable} -ExecutionPolicy Bypass -File {script} {args}',
+    version: ['-NoProfile', '-Command', '$PSVersionTable.PSVersion.ToString()'],
+    shell: true,
+  },
+  pwsh: {
+    executable: 'pwsh',
+    extension: '.ps1',
+    command: '{executable} -NoProfile -ExecutionPolicy Bypass -File {script} {args}',
+    version: ['--version'],
+    shell: true,
+  },
+  // /s keeps the quotes inside the outer pair when there are arguments
+  cmd: { executable: 'cmd', extension: '.bat', command: '{executable} /s /c "{script} {args}"', version: null, shell: true },
+  python: { executable: 'python', extension: '.py', version: ['--version'], dependencies: 'python' },
+  python3: { executable: 'python3', extension: '.py', version: ['--version'], dependencies: 'python' },
+  node: { executable: 'node', extension: '.js', version: ['--version'], dependencies: 'node' },
+  deno: { executable: 'deno', extension: '.ts', command: '{executable} run --allow-all {script} {args}', version: ['--version'] },
+  bun: { executable: 'bun', extension: '.ts', command: '{executable} run {script} {args}', version: ['--version'] },
+  perl: { executable: 'perl', extension: '.pl', version: ['--version'] },
+  ruby: { executable: 'ruby', extension: '.rb', version: ['--version'] },
+  php: { executable: 'php', extension: '.php', version: ['--version'] },
+  lua: { executable: 'lua', extension: '.lua', version: ['-v'] },
+  Rscript: { executable: 'Rscript', extension: '.R', version: ['--version'] },
 };
 
 export const PROCESS_LIMITS = {
   DEFAULT_LIMIT: 50,
   MAX_LIMIT: 500,
+  MAX_GRACE_PERIOD: 60000,
+  KILL_WAIT: 1000, // how long to wait for SIGKILL to take effect
+  POLL_INTERVAL: 50,
 };
 
 export const TIMEOUTS = {
@@ -39,12 +55,84 @@ export const TIMEOUTS = {
   FILE_WRITE: 30000,
   FILE_OPERATION: 30000,
   DIRECTORY_OPERATION: 15000,
+  SESSION_COMMAND: 30000,
+};
+
+export const SCRIPT_LIMITS = {
+  MAX_FILES: 100, // extra files per execute_script call
+};
+
+export const SCRIPT_ENV_LIMITS = {
+  INSTALL_TIMEOUT: 5 * 60 * 1000, // per venv creation or pip/npm install
+  MAX_DEPENDENCIES: 50,
+  OUTPUT_BUDGET: 20 * 1024,
+};
+
+export const SYSTEM_INFO_LIMITS = {
+  PROBE_TIMEOUT: 5000, // per df/toolchain version probe
+  TOOLCHAIN_CACHE_TTL: 10 * 60 * 1000,
+};
+
+export const SESSION_LIMITS = {
+  MAX_SESSIONS: 10,
+};
+
+export const JOB_LIMITS = {
+  MAX_JOBS: 20,
+  MAX_FINISHED_JOBS: 50,
+  OUTPUT_BUFFER_SIZE: 1024 * 1024, // 1MB of most recent output per job
+  DEFAULT_READ_BYTES: 64 * 1024,
+  DEFAULT_READ_LINES: 200,
+};
+
+export const PTY_LIMITS = {
+  MAX_PTYS: 10,
+  DEFAULT_COLS: 120,
+  DEFAULT_ROWS: 30,
+  MAX_COLS: 500,
+  MAX_ROWS: 200,
+  OUTPUT_BUFFER_SIZE: 1024 * 1024, // 1MB of most recent raw output per PTY
+  DEFAULT_READ_BYTES: 64 * 1024,
+  DEFAULT_IDLE: 200, // ms without output before pty_read considers the screen settled
+  DEFAULT_WAIT: 5000,
+  MAX_WAIT: 60000,
+  POLL_INTERVAL: 25,
+};
+
+export const APPROVAL_LIMITS = {
+  TOKEN_TTL: 15 * 60 * 1000, // how long a held action waits for approve_action
+  MAX_PENDING: 50,
+  PROMPT_TIMEOUT: 5 * 60 * 1000, // how long to wait for the user to answer an elicitation
+};
+
+export const AUDIT_LIMITS = {
+  DEFAULT_QUERY_LIMIT: 50,
+  MAX_QUERY_LIMIT: 1000,
+  MAX_ARG_LENGTH: 1000, // longer argument strings are truncated in the log
+};
+
+export const OUTPUT_LIMITS = {
+  DEFAULT_BUDGET: 100 * 1024, // bytes of each stream returned inline
+  MIN_BUDGET: 1024,
+  HEAD_RATIO: 0.4, // share of the budget spent on the head; the rest is tail
+  MAX_SAVED_BYTES: 100 * 1024 * 1024, // cap on the saved full output per stream
+  MAX_SAVED_FILES: 50,
 };
 
 export const FILE_LIMITS = {
   MAX_READ_SIZE: 50 * 1024 * 1024, // 50MB
   MAX_WRITE_SIZE: 100 * 1024 * 1024, // 100MB
   CHUNK_SIZE: 64 * 1024, // 64KB chunks for large files
+  MAX_SYMLINKS: 40, // links followed when resolving a path that doesn't exist yet
+};
+
+export const SEARCH_LIMITS = {
+  DEFAULT_MAX_RESULTS: 200,
+  MAX_RESULTS: 5000,
+  DEFAULT_MATCHES_PER_FILE: 50,
+  MAX_CONTEXT_LINES: 10,
+  MAX_LINE_LENGTH: 500, // longer matched lines are trimmed around the match
+  BINARY_CHECK_BYTES: 8000,
 };
 
 export const FILE_ENCODINGS = [
@@ -57,9 +145,24 @@ export const FILE_OPERATIONS = {
   DELETE: 'delete',
 };
 
+export const FILE_EDIT_MODES = {
+  REPLACE: 'replace',
+  REGEX: 'regex',
+  LINES: 'lines',
+  PATCH: 'patch',
+};
+
 export const DIRECTORY_OPERATIONS = {
   CREATE: 'create',
   LIST: 'list',
   DELETE: 'delete',
   EXISTS: 'exists',
+  TREE: 'tree',
+};
+
+export const TREE_LIMITS = {
+  DEFAULT_MAX_DEPTH: 3,
+  DEFAULT_MAX_ENTRIES: 500,
+  MAX_ENTRIES: 5000,
+  MAX_SCAN_ENTRIES: 100000, // stop aggregating sizes after this many entries
 };
\ No newline at end of file
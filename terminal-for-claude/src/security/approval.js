@@ -0,0 +1,284 @@
+import { randomUUID } from "crypto";
+import { homedir, tmpdir } from "os";
+import { getConfig } from "../config/config-manager.js";
+import { resolveRealPath, isPathWithin } from "../utils/file-utils.js";
+import { APPROVAL_LIMITS } from "../config/constants.js";
+import { getShellDialect, parseCommandLine } from "./shell-parser.js";
+
+// Short options of a command, e.g. -rf and -r -f both give "rf"
+function shortFlags(args) {
+  return args.filter(arg => /^-[A-Za-z]+$/.test(arg)).map(arg => arg.slice(1)).join('');
+}
+
+function hasOption(args, long, short) {
+  return args.some(arg => arg === long || arg.startsWith(`${long}=`)) || (short !== undefined && shortFlags(args).includes(short));
+}
+
+// The git subcommand and its arguments, after git's own options
+function gitCommand(args) {
+  const index = args.findIndex((arg, i) => !arg.startsWith('-') && !['-C', '-c', '--git-dir', '--work-tree'].includes(args[i - 1]));
+  return index === -1 ? [null, []] : [args[index], args.slice(index + 1)];
+}
+
+// Built-in rules for commands that are held for approval. Each is checked
+// against every program the parser finds in a command line, so
+// `cd build && rm -rf .`, `r\m -rf /` and `sh -c "rm -rf /"` are caught too.
+// `names` are the executables a rule is about; `args` decides on the
+// arguments and is also tried for programs only known at run time
+// (`$(echo rm) -rf /`).
+const DANGEROUS_COMMANDS = [
+  {
+    name: 'recursive_delete',
+    description: 'Recursively force-deletes files',
+    match: ({ name, args }, dynamic) => {
+      if (dynamic || name === 'rm') {
+        const recursive = hasOption(args, '--recursive', 'r') || shortFlags(args).includes('R');
+        return recursive && hasOption(args, '--force', 'f');
+      }
+      if (name === 'rd' || name === 'rmdir') {
+        return args.some(arg => /^\/s$/i.test(arg));
+      }
+      return (name === 'remove-item' || name === 'ri') && args.some(arg => /^-r(?:e(?:c(?:u(?:r(?:se?)?)?)?)?)?$/i.test(arg));
+    },
+  },
+  {
+    name: 'force_push',
+    description: 'Force-pushes, overwriting remote history',
+    match: ({ name, args }, dynamic) => {
+      const [subcommand, rest] = gitCommand(args);
+      return (dynamic || name === 'git') && subcommand === 'push'
+        && (hasOption(rest, '--force', 'f') || hasOption(rest, '--force-with-lease') || rest.some(arg => arg.startsWith('+')));
+    },
+  },
+  {
+    name: 'discard_changes',
+    description: 'Discards uncommitted changes',
+    match: ({ name, args }, dynamic) => {
+      const [subcommand, rest] = gitCommand(args);
+      return (dynamic || name === 'git')
+        && ((subcommand === 'reset' && rest.includes('--hard')) || (subcommand === 'clean' && hasOption(rest, '--force', 'f')));
+    },
+  },
+  {
+    name: 'raw_disk_write',
+    description: 'Writes directly to a disk or device',
+    match: ({ name, args }, dynamic) => (dynamic || name === 'dd') && args.some(arg => arg.startsWith('of=')),
+    // Redirections aren't invocations, so they are found in the text
+    regex: />\s*\/dev\/(?:sd|hd|nvme|vd|xvd|disk|mmcblk)\w*/g,
+  },
+  {
+    name: 'format_disk',
+    description: 'Creates or erases filesystems or partitions',
+    match: ({ name, args }) => /^(?:mkfs(?:\..+)?|mkswap|wipefs|fdisk|sfdisk|parted|diskpart)$/.test(name)
+      || (name === 'format' && args.some(arg => /^[a-z]:$/i.test(arg))),
+  },
+  {
+    name: 'shutdown',
+    description: 'Shuts down or restarts the machine',
+    match: ({ name, args }) => ['shutdown', 'reboot', 'halt', 'poweroff', 'stop-computer', 'restart-computer'].includes(name)
+      || (name === 'init' && ['0', '6'].includes(args[0]))
+      || (name === 'systemctl' && args.some(arg => ['poweroff', 'reboot', 'halt', 'kexec'].includes(arg))),
+  },
+];
+
+function describeInvocation({ executable, args, text }) {
+  return text || [executable, ...args].join(' ');
+}
+
+// Commands in `text` that match the built-in or configured dangerous rules.
+// `dialect` is the syntax of the shell that runs `text`.
+export function findDangerousCommands(text, config = getConfig(), { dialect } = {}) {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const { invocations } = parseCommandLine(text, { dialect });
+  const reasons = [];
+
+  for (const { name, description, match, regex } of DANGEROUS_COMMANDS) {
+    const invocation = invocations.find(candidate => candidate.dynamic
+      ? match({ name: '', args: candidate.args }, true)
+      : match(candidate, false));
+    if (invocation) {
+      reasons.push({ rule: name, description, target: describeInvocation(invocation) });
+      continue;
+    }
+    if (regex) {
+      regex.lastIndex = 0;
+      const found = regex.exec(text);
+      if (found) {
+        reasons.push({ rule: name, description, target: found[0].trim() });
+      }
+    }
+  }
+
+  // Custom patterns see the text as written and each program with quotes
+  // and escapes removed
+  const normalized = invocations.map(({ executable, args }) => [executable, ...args].join(' '));
+  for (const [index, pattern] of (config.get('approvalPatterns') || []).entries()) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      console.error(`Ignoring invalid approval pattern ${pattern}: ${error.message}`);
+      continue;
+    }
+
+    const match = [text, ...normalized].map(candidate => regex.exec(candidate)).find(Boolean);
+    if (match) {
+      reasons.push({ rule: `custom_${index + 1}`, description: `Matches approval pattern ${pattern}`, target: match[0].trim() || text });
+    }
+  }
+
+  return reasons;
+}
+
+// Holds calls that matched an approval rule until they are approved, either
+// by the client answering an elicitation request or by a later approve_action
+// call with the token handed back to the model.
+export class ApprovalManager {
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.pending = new Map();
+    this.elicit = null;
+  }
+
+  isEnabled() {
+    return this.config.get('approvalMode') !== 'off';
+  }
+
+  // `elicit(params, options)` sends an MCP elicitation request, or returns
+  // null when the client doesn't support it
+  setElicitor(elicit) {
+    this.elicit = elicit;
+  }
+
+  getWriteRoots() {
+    const roots = this.config.get('approvalWriteRoots') || [];
+    return (roots.length > 0 ? roots : [homedir(), tmpdir()]).map(root => resolveRealPath(root));
+  }
+
+  // Why a call needs approval; empty when it can run straight away
+  async getReasons(tool, args = {}) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    const { commands = [], paths = [] } = tool.getPolicyTargets(args) || {};
+    const reasons = commands.flatMap(target => {
+      const { command, shell } = typeof target === 'string' ? { command: target } : target || {};
+      return findDangerousCommands(command, this.config, { dialect: getShellDialect(shell) });
+    });
+
+    const roots = this.getWriteRoots();
+    for (const { path, access } of paths) {
+      if (access !== 'write' || typeof path !== 'string' || !path) {
+        continue;
+      }
+      const resolved = resolveRealPath(path);
+      if (!roots.some(root => isPathWithin(resolved, root))) {
+        reasons.push({ rule: 'write_outside_workspace', description: 'Modifies a path outside the workspace', target: resolved });
+      }
+    }
+
+    reasons.push(...(await tool.getApprovalReasons(args)));
+    return reasons;
+  }
+
+  explain(toolName, reasons) {
+    const lines = reasons.map(reason => `- ${reason.description}: ${reason.target}`);
+    return `${toolName} needs approval before it runs:\n${lines.join('\n')}`;
+  }
+
+  // Ask the user directly. Returns 'approved', 'denied', or null when the
+  // client can't be asked and the call should wait for approve_action.
+  async confirm(toolName, reasons) {
+    if (!this.elicit) {
+      return null;
+    }
+
+    try {
+      const result = await this.elicit({
+        message: this.explain(toolName, reasons),
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            approve: { type: 'boolean', title: 'Run it', description: 'Allow this action to run' },
+          },
+          required: ['approve'],
+        },
+      }, { timeout: APPROVAL_LIMITS.PROMPT_TIMEOUT });
+
+      if (!result) {
+        return null;
+      }
+      if (result.action === 'accept') {
+        return result.content?.approve ? 'approved' : 'denied';
+      }
+      return result.action === 'decline' ? 'denied' : null;
+    } catch (error) {
+      console.error(`Approval prompt failed, falling back to approve_action: ${error.message}`);
+      return null;
+    }
+  }
+
+  request(toolName, args, reasons) {
+    this.prune();
+
+    const now = Date.now();
+    const entry = {
+      token: randomUUID(),
+      tool: toolName,
+      args,
+      reasons,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + APPROVAL_LIMITS.TOKEN_TTL).toISOString(),
+    };
+    this.pending.set(entry.token, entry);
+
+    // Oldest requests give way first
+    while (this.pending.size > APPROVAL_LIMITS.MAX_PENDING) {
+      this.pending.delete(this.pending.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  // Tokens are single use
+  take(token) {
+    this.prune();
+
+    const entry = this.pending.get(token);
+    if (!entry) {
+      throw new Error(`No pending action with token ${token}; it may have expired (tokens last ${APPROVAL_LIMITS.TOKEN_TTL / 60000} minutes) or already been used`);
+    }
+    this.pending.delete(token);
+    return entry;
+  }
+
+  list() {
+    this.prune();
+    return [...this.pending.values()].map(({ token, tool, reasons, created_at, expires_at }) => ({
+      token, tool, reasons, created_at, expires_at,
+    }));
+  }
+
+  prune() {
+    const now = new Date().toISOString();
+    for (const [token, entry] of this.pending) {
+      if (entry.expires_at <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
+
+// Singleton instance
+let approvalManagerInstance = null;
+
+export function getApprovalManager() {
+  if (!approvalManagerInstance) {
+    approvalManagerInstance = new ApprovalManager();
+  }
+  return approvalManagerInstance;
+}
@@ -0,0 +1,220 @@
+import { appendFileSync, closeSync, existsSync, fstatSync, mkdirSync, openSync, readSync, renameSync, statSync, unlinkSync } from "fs";
+import { dirname } from "path";
+import { randomUUID } from "crypto";
+import { getConfig } from "../config/config-manager.js";
+import { AUDIT_LIMITS } from "../config/constants.js";
+
+const SENSITIVE_KEY = /pass(word)?|secret|token|api[_-]?key|credential|private[_-]?key/i;
+
+// Shrink tool arguments to something safe and small enough to log: values
+// under sensitive-looking keys are masked and long strings (file contents,
+// scripts) are cut down.
+export function sanitizeArgs(value, key = '') {
+  if (typeof value === 'string') {
+    if (SENSITIVE_KEY.test(key)) {
+      return '[REDACTED]';
+    }
+    if (value.length > AUDIT_LIMITS.MAX_ARG_LENGTH) {
+      return `${value.slice(0, AUDIT_LIMITS.MAX_ARG_LENGTH)}…[${value.length - AUDIT_LIMITS.MAX_ARG_LENGTH} more chars]`;
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitizeArgs(item, key));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, childValue]) => [childKey, sanitizeArgs(childValue, childKey)])
+    );
+  }
+
+  return value;
+}
+
+// Pull status, exit code and output size out of a formatted tool result
+export function summarizeResult(result) {
+  const text = result?.content?.map(item => item.text || '').join('') || '';
+  let parsed = {};
+
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not every result is JSON; treat it as a plain successful response
+  }
+
+  return {
+    status: parsed.success === false ? (parsed.error_type || 'error') : 'success',
+    ...(parsed.exit_code !== undefined && { exit_code: parsed.exit_code }),
+    ...(parsed.success === false && { error: parsed.error }),
+    output_bytes: Buffer.byteLength(text),
+  };
+}
+
+// Lines of a file from last to first, read in chunks from the end so a
+// large log never has to be held in memory at once
+export function* readLinesReverse(file, chunkSize = 64 * 1024) {
+  const fd = openSync(file, 'r');
+  try {
+    let position = fstatSync(fd).size;
+    let partial = Buffer.alloc(0);
+
+    while (position > 0) {
+      const size = Math.min(chunkSize, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      readSync(fd, chunk, 0, size, position);
+
+      // Only the new chunk can hold a newline; the carried partial line can't
+      const buffer = Buffer.concat([chunk, partial]);
+      let end = buffer.length;
+      for (let i = size - 1; i >= 0; i--) {
+        if (buffer[i] === 0x0a) {
+          if (end > i + 1) {
+            yield buffer.toString('utf8', i + 1, end);
+          }
+          end = i;
+        }
+      }
+      partial = buffer.subarray(0, end);
+    }
+
+    if (partial.length > 0) {
+      yield partial.toString('utf8');
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Append-only JSONL log of tool invocations. The active file is rotated to
+// <file>.1, <file>.2, ... once it reaches auditLogMaxSize.
+export class AuditLog {
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.sessionId = randomUUID();
+  }
+
+  isEnabled() {
+    return this.config.get('enableLogging') !== false;
+  }
+
+  getPath() {
+    return this.config.get('auditLogPath');
+  }
+
+  getFiles() {
+    const path = this.getPath();
+    const maxFiles = this.config.get('auditLogMaxFiles');
+    const rotated = Array.from({ length: maxFiles }, (_, i) => `${path}.${i + 1}`);
+    return [path, ...rotated].filter(file => existsSync(file));
+  }
+
+  record(entry) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      session_id: this.sessionId,
+      pid: process.pid,
+      ...entry,
+    }) + '\n';
+
+    try {
+      const path = this.getPath();
+      mkdirSync(dirname(path), { recursive: true });
+      this.rotateIfNeeded(path, Buffer.byteLength(line));
+      appendFileSync(path, line, { mode: 0o600 });
+    } catch (error) {
+      // Auditing must never break the tool call itself
+      console.error(`Failed to write audit log: ${error.message}`);
+    }
+  }
+
+  rotateIfNeeded(path, incomingBytes) {
+    const maxSize = this.config.get('auditLogMaxSize');
+    const maxFiles = this.config.get('auditLogMaxFiles');
+
+    if (!existsSync(path) || statSync(path).size + incomingBytes <= maxSize) {
+      return;
+    }
+
+    if (maxFiles < 1) {
+      unlinkSync(path);
+      return;
+    }
+
+    const oldest = `${path}.${maxFiles}`;
+    if (existsSync(oldest)) {
+      unlinkSync(oldest);
+    }
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (existsSync(`${path}.${i}`)) {
+        renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+      }
+    }
+    renameSync(path, `${path}.1`);
+  }
+
+  // Newest records first, across the active file and its rotations
+  query(filters = {}) {
+    const {
+      tool,
+      status,
+      session_id,
+      since,
+      until,
+      contains,
+      limit = AUDIT_LIMITS.DEFAULT_QUERY_LIMIT,
+    } = filters;
+
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const records = [];
+    let scanned = 0;
+    let malformed = 0;
+
+    for (const file of this.getFiles()) {
+      for (const line of readLinesReverse(file)) {
+        scanned++;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          malformed++;
+          continue;
+        }
+
+        const time = Date.parse(record.timestamp);
+        if (tool && record.tool !== tool) continue;
+        if (status && record.status !== status) continue;
+        if (session_id && record.session_id !== session_id) continue;
+        if (sinceTime !== null && time < sinceTime) continue;
+        if (untilTime !== null && time > untilTime) continue;
+        if (contains && !JSON.stringify(record.args ?? {}).includes(contains)) continue;
+
+        // One record past the limit tells us whether anything was left out
+        records.push(record);
+        if (records.length > limit) {
+          records.pop();
+          return { records, scanned, malformed, truncated: true };
+        }
+      }
+    }
+
+    return { records, scanned, malformed, truncated: false };
+  }
+}
+
+// Singleton instance
+let auditLogInstance = null;
+
+export function getAuditLog() {
+  if (!auditLogInstance) {
+    auditLogInstance = new AuditLog();
+  }
+  return auditLogInstance;
+}
@@ -0,0 +1,133 @@
+import { getConfig } from "../config/config-manager.js";
+import { resolveRealPath } from "../utils/file-utils.js";
+import { PolicyDeniedError, SandboxViolationError } from "../utils/errors.js";
+import { getShellDialect } from "./shell-parser.js";
+
+// Central policy layer. Tools describe what a call is going to touch through
+// getPolicyTargets(args) and every target is checked against the loaded
+// config before the tool is allowed to run.
+export class PolicyEnforcer {
+  constructor(config = getConfig()) {
+    this.config = config;
+  }
+
+  enforce(tool, args = {}) {
+    const targets = tool.getPolicyTargets(args) || {};
+    const { commands = [], interpreters = [], paths = [] } = targets;
+
+    for (const command of commands) {
+      this.checkCommand(tool.name, command);
+    }
+
+    for (const interpreter of interpreters) {
+      this.checkInterpreter(tool.name, interpreter);
+    }
+
+    for (const target of paths) {
+      this.checkPath(tool.name, target);
+    }
+  }
+
+  // `target` is a command line, or { command, shell, cwd } when it runs in a
+  // shell other than the default one or the directory it runs in is known
+  checkCommand(toolName, target) {
+    const { command, shell, cwd } = typeof target === 'string' ? { command: target } : target || {};
+    if (typeof command !== 'string') {
+      return;
+    }
+
+    const result = this.config.checkCommand(command, { dialect: getShellDialect(shell), cwd });
+    if (result.allowed) {
+      return;
+    }
+
+    const securityMode = this.config.get('securityMode');
+    const strict = securityMode === 'strict';
+    const invocation = result.invocation?.text;
+    const messages = {
+      unparseable: `Command could not be parsed safely (strict mode): ${result.message}`,
+      dynamic_executable: `Command runs a program that is only known at run time: ${invocation}`,
+      not_whitelisted: `Command not in whitelist (strict mode): ${invocation}`,
+      blacklisted: `Command matches blacklist rule "${result.rule}": ${invocation}`,
+      write_redirect: `Command redirects output to a file outside the read-write roots (strict mode): ${result.redirect?.target}`,
+    };
+
+    throw new PolicyDeniedError(
+      messages[result.reason],
+      {
+        tool: toolName,
+        kind: 'command',
+        target: command,
+        rule: result.redirect ? 'readWriteRoots' : strict ? 'commandWhitelist' : 'commandBlacklist',
+        reason: result.reason,
+        ...(invocation && { invocation }),
+        ...(result.redirect && { redirect: result.redirect.target }),
+        ...(result.invocation && !result.invocation.dynamic && { executable: result.invocation.name }),
+        ...(result.rule && { matched_rule: result.rule }),
+        ...(result.message && { parse_error: result.message }),
+        security_mode: securityMode,
+      }
+    );
+  }
+
+  checkInterpreter(toolName, interpreter) {
+    if (typeof interpreter !== 'string' || this.config.isInterpreterAllowed(interpreter)) {
+      return;
+    }
+
+    throw new PolicyDeniedError(
+      `Interpreter not allowed: ${interpreter}`,
+      {
+        tool: toolName,
+        kind: 'interpreter',
+        target: interpreter,
+        rule: 'allowedInterpreters',
+        allowed: this.config.get('allowedInterpreters'),
+      }
+    );
+  }
+
+  checkPath(toolName, { path, access = 'read' }) {
+    if (typeof path !== 'string' || !path) {
+      return;
+    }
+
+    // Check where the path really points so symlinks can't escape the rules
+    const resolvedPath = resolveRealPath(path);
+
+    if (!this.config.isPathAllowed(resolvedPath)) {
+      throw new PolicyDeniedError(
+        `Access to path denied by pathBlacklist: ${resolvedPath}`,
+        {
+          tool: toolName,
+          kind: 'path',
+          target: path,
+          resolved_path: resolvedPath,
+          access,
+          rule: 'pathBlacklist',
+        }
+      );
+    }
+
+    if (!this.config.isPathInSandbox(resolvedPath, access)) {
+      const roots = this.config.getSandboxRoots();
+      const writable = access === 'write' && this.config.isPathInSandbox(resolvedPath, 'read');
+
+      throw new SandboxViolationError(
+        writable
+          ? `Path is in a read-only root; write access denied: ${resolvedPath}`
+          : `Path is outside the allowed workspace roots: ${resolvedPath}`,
+        {
+          tool: toolName,
+          kind: 'path',
+          target: path,
+          resolved_path: resolvedPath,
+          access,
+          rule: writable ? 'readOnlyRoots' : 'readWriteRoots',
+          read_only_roots: roots.read_only,
+          read_write_roots: roots.read_write,
+        }
+      );
+    }
+  }
+}
@@ -0,0 +1,188 @@
+import { getConfig } from "../config/config-manager.js";
+import { globToRegExp } from "../utils/glob-utils.js";
+import { resolveEnvironment } from "../utils/env-utils.js";
+
+// Built-in secret patterns. `keep` is the number of leading capture groups
+// left in place, so `password=hunter2!` becomes `password=[REDACTED:password]`.
+const BUILTIN_PATTERNS = [
+  {
+    name: 'private_key',
+    regex: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g,
+  },
+  {
+    name: 'aws_access_key',
+    regex: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    name: 'aws_secret_key',
+    regex: /(aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+    keep: 1,
+  },
+  {
+    name: 'github_token',
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    name: 'jwt',
+    regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g,
+  },
+  // Only literal values: a quoted string, or an unquoted token with a digit
+  // or symbol in it that isn't a dotted reference, so code such as
+  // `const token = req.headers.authorization;` is left alone
+  {
+    name: 'password',
+    regex: /(\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key)["']?\s*[=:]\s*)(?:(["'])(?!\[REDACTED)[^"'\r\n]{3,}?(?=\2)|(?!\[REDACTED)(?![\w$]+(?:\.[A-Za-z_$][\w$]*)+(?![^\s"'&;,()]))(?=[^\s"'&;,()]*[0-9!@#%^*+\/=~-])[^\s"'&;,()]{8,})/gi,
+    keep: 2,
+  },
+  {
+    name: 'url_credentials',
+    regex: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi,
+    keep: 1,
+  },
+];
+
+// Env var values that are short or plain numbers/booleans are too likely to
+// collide with ordinary output to be worth masking (MAX_TOKENS=200000)
+const MIN_SECRET_VALUE_LENGTH = 6;
+
+function isMaskableValue(value) {
+  return typeof value === 'string'
+    && value.length >= MIN_SECRET_VALUE_LENGTH
+    && !/^(\d+|true|false)$/i.test(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Masks secrets in tool responses before they reach the model. Patterns are
+// rebuilt from the config on every call so runtime config changes apply.
+export class Redactor {
+  constructor(config = getConfig()) {
+    this.config = config;
+  }
+
+  isEnabled() {
+    return this.config.get('redactSecrets') !== false;
+  }
+
+  isSensitiveName(name) {
+    const patterns = this.config.get('sensitiveEnvVars') || [];
+    return patterns.some(pattern => globToRegExp(pattern, { ignoreCase: true }).test(name));
+  }
+
+  // Values of sensitive variables from the server's environment, the call's
+  // env profile (dotenv files and profile variables) and its `environment`
+  collectSecretValues(args = {}) {
+    const { environment } = args;
+    const values = new Map();
+    const sources = [process.env, this.getProfileVariables(args), environment && typeof environment === 'object' ? environment : {}];
+
+    for (const source of sources) {
+      for (const [name, value] of Object.entries(source)) {
+        if (isMaskableValue(value) && this.isSensitiveName(name)) {
+          values.set(value, name);
+        }
+      }
+    }
+
+    return values;
+  }
+
+  getProfileVariables({ env_profile, working_directory }) {
+    if (env_profile === undefined && !this.config.get('defaultEnvProfile')) {
+      return {};
+    }
+
+    try {
+      const { env, sources } = resolveEnvironment({ env_profile, working_directory }, this.config);
+      return Object.fromEntries(Object.entries(env).filter(([name]) => sources[name] !== 'inherited'));
+    } catch {
+      // An unknown profile or unreadable dotenv file is reported by the tool
+      return {};
+    }
+  }
+
+  buildRules(args = {}, { patterns = true } = {}) {
+    const rules = [];
+
+    // Exact values first, longest first, so a secret that contains another
+    // is masked whole
+    const values = [...this.collectSecretValues(args)].sort((a, b) => b[0].length - a[0].length);
+    for (const [value, name] of values) {
+      rules.push({ name: `env:${name}`, regex: new RegExp(escapeRegExp(value), 'g') });
+    }
+
+    if (!patterns) {
+      return rules;
+    }
+
+    rules.push(...BUILTIN_PATTERNS);
+
+    for (const [index, pattern] of (this.config.get('redactionPatterns') || []).entries()) {
+      try {
+        rules.push({ name: `custom_${index + 1}`, regex: new RegExp(pattern, 'g') });
+      } catch (error) {
+        console.error(`Ignoring invalid redaction pattern ${pattern}: ${error.message}`);
+      }
+    }
+
+    return rules;
+  }
+
+  redactString(text, rules, counter) {
+    let result = text;
+
+    for (const { name, regex, keep = 0 } of rules) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, (...match) => {
+        counter.count++;
+        return match.slice(1, keep + 1).map(group => group ?? '').join('') + `[REDACTED:${name}]`;
+      });
+    }
+
+    return result;
+  }
+
+  redactValue(value, rules, counter) {
+    if (typeof value === 'string') {
+      return this.redactString(value, rules, counter);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, rules, counter));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, this.redactValue(child, rules, counter)])
+      );
+    }
+
+    return value;
+  }
+
+  // Returns the redacted copy of `value` and how many secrets were masked.
+  // `args` are the tool call's arguments, used to pick up secrets passed in
+  // through `environment` or loaded by `env_profile`. With `patterns: false`
+  // only those exact values are masked, not the built-in and custom patterns.
+  redact(value, args = {}, options = {}) {
+    if (!this.isEnabled()) {
+      return { value, count: 0 };
+    }
+
+    const counter = { count: 0 };
+    const redacted = this.redactValue(value, this.buildRules(args || {}, options), counter);
+    return { value: redacted, count: counter.count };
+  }
+}
+
+// Singleton instance
+let redactorInstance = null;
+
+export function getRedactor() {
+  if (!redactorInstance) {
+    redactorInstance = new Redactor();
+  }
+  return redactorInstance;
+}
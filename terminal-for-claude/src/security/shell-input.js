@@ -0,0 +1,132 @@
+import { getConfig } from "../config/config-manager.js";
+import { PolicyDeniedError } from "../utils/errors.js";
+import { findStdinShell, getShellDialect, parseCommandLine } from "./shell-parser.js";
+
+// Parser errors that only mean the command goes on in the next line
+const INCOMPLETE = /^(?:Unterminated|Missing closing|Here-document is missing)/;
+
+// `!!`, `!rm` and `^old^new` make an interactive shell run an earlier command
+// line, possibly rewritten, instead of the text that was sent
+const HISTORY_EXPANSION = /(?:^|[^\\])!(?![\s=(]|$)|^\s*\^/m;
+
+// What a key the line tracking can't follow does, for the denial message
+function describeKey(char) {
+  if (char === '\t') {
+    return 'tab completion';
+  }
+  if (char === '\x1b') {
+    return 'escape sequences such as arrow keys';
+  }
+  return `ctrl-${String.fromCharCode(char.charCodeAt(0) + 96)}`;
+}
+
+// Follows the text written to a shell that reads its commands from stdin
+// (a job like `bash` with keep_stdin_open, or a shell PTY) so each command
+// line can go through the command rules and approval check before the shell
+// sees it. Lines that only continue a command (an open quote, a trailing
+// backslash) are checked together with the rest of it. In a `terminal`,
+// Enter is \r and backspace, ctrl-c and ctrl-u edit the line; other control
+// keys (tab completion, arrows and history, ctrl-r) are reported as
+// `unsupported` since the resulting line can't be known.
+export class ShellInput {
+  constructor(shell, { terminal = false } = {}) {
+    this.shell = shell;
+    this.dialect = getShellDialect(shell);
+    this.terminal = terminal;
+    this.line = '';
+    this.statement = '';
+  }
+
+  // The command lines `data` completes, without consuming it. With `end`
+  // stdin is closed afterwards, so whatever is left runs as well.
+  // `unsupported` says why the lines may not be what the shell runs.
+  preview(data, { end = false } = {}) {
+    let { line, statement } = this;
+    const commands = [];
+    let unsupported = null;
+
+    const complete = (force) => {
+      const text = statement + line;
+      line = '';
+      if (!force && this.isIncomplete(text)) {
+        statement = `${text}\n`;
+        return;
+      }
+      statement = '';
+      if (text.trim()) {
+        commands.push(text);
+        if (this.dialect === 'posix' && HISTORY_EXPANSION.test(text)) {
+          unsupported ??= 'history expansion';
+        }
+      }
+    };
+
+    for (const char of String(data ?? '')) {
+      if (char === '\n' || (this.terminal && char === '\r')) {
+        complete(false);
+      } else if (!this.terminal || char >= ' ' && char !== '\x7f') {
+        line += char;
+      } else if (char === '\x7f' || char === '\b') {
+        line = Array.from(line).slice(0, -1).join('');
+      } else if (char === '\x03') {
+        line = '';
+        statement = '';
+      } else if (char === '\x15') {
+        line = '';
+      } else if (char !== '\x04') {
+        // ctrl-d only ends the shell on an empty line
+        unsupported ??= describeKey(char);
+      }
+    }
+    if (end && (line || statement)) {
+      complete(true);
+    }
+
+    return { commands, unsupported, line, statement };
+  }
+
+  commit(data, options) {
+    ({ line: this.line, statement: this.statement } = this.preview(data, options));
+  }
+
+  isIncomplete(text) {
+    if (this.dialect === 'posix' && /(?:^|[^\\])(?:\\\\)*\\$/.test(text)) {
+      return true;
+    }
+    const { errors } = parseCommandLine(text, { dialect: this.dialect });
+    return errors.length > 0 && errors.every(error => INCOMPLETE.test(error));
+  }
+}
+
+// A tracker for `command` when it is a shell reading commands from stdin.
+// `dialect` is the syntax `command` itself is written in.
+export function trackShellInput(command, { dialect, terminal = false } = {}) {
+  const shell = typeof command === 'string' ? findStdinShell(command, { dialect }) : null;
+  return shell ? new ShellInput(shell, { terminal }) : null;
+}
+
+// Policy targets for `data` written to a tracked shell. Input whose effect
+// can't be followed is refused while command rules are active.
+export function shellInputTargets(toolName, shellInput, data, options, config = getConfig()) {
+  if (!shellInput || typeof data !== 'string') {
+    return [];
+  }
+
+  const { commands, unsupported } = shellInput.preview(data, options);
+  if (unsupported && config.hasCommandRules()) {
+    const securityMode = config.get('securityMode');
+    throw new PolicyDeniedError(
+      `Input to ${shellInput.shell} can't be checked against the command rules (${unsupported}). Send the full command line instead`,
+      {
+        tool: toolName,
+        kind: 'command',
+        target: data,
+        rule: securityMode === 'strict' ? 'commandWhitelist' : 'commandBlacklist',
+        reason: 'untracked_input',
+        security_mode: securityMode,
+      }
+    );
+  }
+
+  return commands.map(command => ({ command, shell: shellInput.shell }));
+}
@@ -0,0 +1,1014 @@
+import { platform } from "os";
+
+// Splits a command line into the simple commands ("invocations") it would run,
+// so the command rules can judge each program instead of the raw text.
+// Understands POSIX sh, cmd.exe and PowerShell syntax well enough to find
+// every executable: quoting and escapes are removed (`r\m` is `rm`), command
+// substitutions (inside `${...}` and `$((...))` too), subshells, script
+// blocks, `sh -c`/`eval` strings, wrappers like `sudo` or `env`, `find -exec`
+// and the targets of `alias`/`hash -p` yield invocations of their own.
+// Redirections that write to a file are reported in `redirects`. Anything the
+// parser can't follow is reported in `errors` rather than guessed at.
+
+const WINDOWS_EXTENSIONS = /\.(?:exe|com|cmd|bat|ps1)$/i;
+
+// Reserved words that may start a command without being one
+const KEYWORDS = {
+  posix: new Set(['!', '{', '}', 'if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', 'time']),
+  cmd: new Set(['else']),
+  powershell: new Set(['if', 'elseif', 'else', 'while', 'do', 'until', 'foreach', 'for', 'switch', 'try', 'catch', 'finally', 'trap', 'return', 'throw', 'break', 'continue', 'exit', 'begin', 'process', 'end', 'param']),
+};
+
+// Commands that run their arguments as another command. `options` take a
+// value, `positional` counts the arguments before the wrapped command.
+const WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U', '-T'] },
+  doas: { options: ['-u', '-C'] },
+  env: { options: ['-u', '-C', '--unset', '--chdir'] },
+  nice: { options: ['-n', '--adjustment'] },
+  ionice: { options: ['-c', '-n', '-p'] },
+  nohup: {},
+  setsid: {},
+  time: {},
+  exec: { options: ['-a'] },
+  command: {},
+  builtin: {},
+  stdbuf: { options: ['-i', '-o', '-e'] },
+  timeout: { options: ['-s', '-k', '--signal', '--kill-after'], positional: 1 },
+  xargs: { options: ['-I', '-n', '-P', '-d', '-L', '-s', '-E', '-a'] },
+  chroot: { positional: 1 },
+  busybox: {},
+  watch: { options: ['-n', '--interval', '-q', '--equexit'], script: true },
+  npx: { options: ['-p', '--package'], script: ['-c', '--call'] },
+  pnpx: { options: ['-p', '--package'] },
+  bunx: { options: ['-p', '--package'] },
+};
+
+// Package managers whose subcommand runs a package's program, like npx
+const PACKAGE_RUNNERS = {
+  npm: ['exec', 'x'],
+  pnpm: ['exec', 'dlx'],
+  yarn: ['exec', 'dlx'],
+  bun: ['x'],
+};
+
+// find actions that run a command, ended by `;` or `+`
+const FIND_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+const POSIX_SHELLS = new Set(['sh', 'bash', 'dash', 'zsh', 'ksh', 'ash']);
+
+// Single-character escapes of a bash $'...' string
+const ANSI_C_ESCAPES = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+// Hex digits read after \x, \u and \U in a $'...' string
+const ANSI_C_HEX = { x: /^[0-9A-Fa-f]{1,2}/, u: /^[0-9A-Fa-f]{1,4}/, U: /^[0-9A-Fa-f]{1,8}/ };
+
+// Without a shell, the dialect of the shell execute_command uses
+export function getShellDialect(shell) {
+  if (!shell) {
+    return platform() === 'win32' ? 'cmd' : 'posix';
+  }
+
+  const name = commandName(String(shell));
+  if (name === 'powershell' || name === 'pwsh') {
+    return 'powershell';
+  }
+  return name === 'cmd' ? 'cmd' : 'posix';
+}
+
+// File name of an executable, lowercased and without a Windows extension
+export function commandName(executable) {
+  return executable.split(/[\\/]/).pop().replace(WINDOWS_EXTENSIONS, '').toLowerCase();
+}
+
+function isSpace(char) {
+  return char === ' ' || char === '\t' || char === '\r';
+}
+
+class Parser {
+  constructor(text, dialect, result, depth = 0) {
+    this.text = text;
+    this.dialect = dialect;
+    this.result = result;
+    this.depth = depth;
+    this.pos = 0;
+    this.heredocs = [];
+  }
+
+  error(message) {
+    this.result.errors.push(message);
+  }
+
+  // Parse a nested command line with its own parser, e.g. the script of `sh -c`
+  parseNested(text, dialect = this.dialect) {
+    if (this.depth >= 10) {
+      this.error('Commands are nested too deeply');
+      return;
+    }
+    new Parser(text, dialect, this.result, this.depth + 1).parseList(null);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.pos);
+  }
+
+  // Parse commands until `terminator` (or the end of the text) and consume it
+  parseList(terminator) {
+    while (this.pos < this.text.length) {
+      if (this.peek() === terminator) {
+        this.pos++;
+        return;
+      }
+      if (!this.parseCommand(terminator)) {
+        // A character that can't start or continue a command
+        this.error(`Unexpected "${this.peek()}" at position ${this.pos}`);
+        this.pos++;
+      }
+    }
+    if (terminator) {
+      this.error(`Missing closing "${terminator}"`);
+    }
+  }
+
+  // One simple command up to the next separator. Returns false when nothing
+  // could be consumed.
+  parseCommand(terminator) {
+    const start = this.pos;
+    const words = [];
+    let callOperator = false;
+    let end = null;
+    let commentStart = null;
+
+    while (this.pos < this.text.length) {
+      this.skipSpace();
+      const char = this.peek();
+
+      if (char === undefined || char === terminator) {
+        break;
+      }
+      if (char === '\n') {
+        end = this.pos;
+        this.pos++;
+        this.skipHeredocs();
+        break;
+      }
+      end = this.pos;
+      if (this.readSeparator()) {
+        break;
+      }
+      end = null;
+      const before = this.pos;
+      if (this.readComment(words.length === 0)) {
+        commentStart ??= before;
+        continue;
+      }
+      if (this.readRedirect()) {
+        continue;
+      }
+
+      // Groups: ( list ), and PowerShell script blocks. In PowerShell a group
+      // after the command is an argument; in cmd it follows `if` or `else`.
+      if (char === '(' || (char === '{' && this.dialect === 'powershell')) {
+        if (words.length > 0 && this.dialect === 'posix') {
+          this.error(`Unsupported "${char}" after ${words[0].value} at position ${this.pos}`);
+          this.pos++;
+          continue;
+        }
+        const groupStart = this.pos;
+        this.pos++;
+        this.parseList(char === '(' ? ')' : '}');
+        if (words.length > 0 && this.dialect === 'powershell') {
+          words.push({ value: this.text.slice(groupStart, this.pos), dynamic: true, quoted: false });
+        }
+        continue;
+      }
+      if (char === ')' || (char === '}' && this.dialect === 'powershell')) {
+        break;
+      }
+
+      const callOperatorChar = (char === '&' && this.peek(1) !== '&') || (char === '.' && isSpace(this.peek(1) ?? ''));
+      if (words.length === 0 && this.dialect === 'powershell' && callOperatorChar) {
+        callOperator = true;
+        this.pos++;
+        continue;
+      }
+      if (words.length === 0 && this.dialect === 'cmd' && char === '@') {
+        this.pos++;
+        continue;
+      }
+
+      const word = this.readWord();
+      if (!word) {
+        break;
+      }
+      words.push(word);
+    }
+
+    if (this.pos === start) {
+      return false;
+    }
+
+    this.addInvocation(words, this.text.slice(start, commentStart ?? end ?? this.pos), callOperator);
+    return true;
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (isSpace(char)) {
+        this.pos++;
+      } else if (char === '\\' && this.peek(1) === '\n' && this.dialect === 'posix') {
+        this.pos += 2;
+      } else if (char === '^' && this.peek(1) === '\n' && this.dialect === 'cmd') {
+        this.pos += 2;
+      } else if (char === '`' && this.peek(1) === '\n' && this.dialect === 'powershell') {
+        this.pos += 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  readSeparator() {
+    const separators = {
+      posix: ['&&', '||', ';;', '|&', ';', '|', '&'],
+      cmd: ['&&', '||', '|', '&'],
+      powershell: ['&&', '||', ';', '|'],
+    }[this.dialect];
+
+    // `&>` is a redirect in bash, and a PowerShell `&` only separates at the end
+    if (this.dialect === 'posix' && this.startsWith('&>')) {
+      return false;
+    }
+    if (this.dialect === 'powershell' && this.peek() === '&' && this.peek(1) !== '&' && /^&\s*(?:[;\n|]|$)/.test(this.text.slice(this.pos))) {
+      this.pos++;
+      return true;
+    }
+
+    const separator = separators.find(token => this.startsWith(token));
+    if (separator) {
+      this.pos += separator.length;
+      return true;
+    }
+    return false;
+  }
+
+  readComment(atCommandStart) {
+    if (this.dialect === 'cmd') {
+      // `rem` and `::` comment out the rest of the line
+      const match = atCommandStart && /^(?:rem(?=[\s]|$)|::)/i.exec(this.text.slice(this.pos));
+      if (!match) {
+        return false;
+      }
+    } else if (this.dialect === 'powershell' && this.startsWith('<#')) {
+      const end = this.text.indexOf('#>', this.pos + 2);
+      this.pos = end === -1 ? this.text.length : end + 2;
+      return true;
+    } else if (this.peek() !== '#') {
+      return false;
+    }
+
+    const end = this.text.indexOf('\n', this.pos);
+    this.pos = end === -1 ? this.text.length : end;
+    return true;
+  }
+
+  // Redirections and their targets aren't arguments of the command
+  readRedirect() {
+    const rest = this.text.slice(this.pos);
+    const pattern = {
+      posix: /^(?:\d*(?:<<<|<<-|<<|<>|>>|>\||>&|<&|>|<)|&>>|&>)/,
+      cmd: /^\d?(?:>>|>&|<&|>|<)/,
+      powershell: /^[\d*]?(?:>>|>&|>|<)/,
+    }[this.dialect];
+    const match = pattern.exec(rest);
+    if (!match) {
+      return false;
+    }
+
+    // Process substitution runs a command of its own
+    if (this.dialect === 'posix' && /^[<>]$/.test(match[0]) && rest[1] === '(') {
+      return false;
+    }
+
+    this.pos += match[0].length;
+    if (/>&$|<&$/.test(match[0]) && /^\s*(?:\d+|-)(?=\s|$|[;&|)])/.test(this.text.slice(this.pos))) {
+      this.skipSpace();
+      this.pos += /^(?:\d+|-)/.exec(this.text.slice(this.pos))[0].length;
+      return true;
+    }
+
+    this.skipSpace();
+    const target = this.readWord();
+    if (!target) {
+      this.error(`Missing target for redirection "${match[0]}"`);
+    } else if (/<<-?$/.test(match[0])) {
+      this.heredocs.push({ delimiter: target.value, stripTabs: match[0].endsWith('-') });
+    } else if (/>|<>/.test(match[0])) {
+      this.result.redirects.push({ operator: match[0], target: target.value, dynamic: target.dynamic });
+    }
+    return true;
+  }
+
+  // Here-document bodies are data; skip them once their line has ended
+  skipHeredocs() {
+    for (const { delimiter, stripTabs } of this.heredocs) {
+      let found = false;
+      while (this.pos < this.text.length) {
+        const end = this.text.indexOf('\n', this.pos);
+        const line = this.text.slice(this.pos, end === -1 ? this.text.length : end);
+        this.pos = end === -1 ? this.text.length : end + 1;
+        if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) {
+          found = true;
+          break;
+        }
+      }
+      if (!found) {
+        this.error(`Here-document is missing its "${delimiter}" delimiter`);
+      }
+    }
+    this.heredocs = [];
+  }
+
+  // One word with quotes and escapes removed. Expansions are kept as written
+  // and mark the word as dynamic, since its value is only known at run time.
+  readWord() {
+    const start = this.pos;
+    const word = { value: '', dynamic: false, quoted: false };
+
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (isSpace(char) || char === '\n' || this.atWordBreak()) {
+        break;
+      }
+
+      if (this.dialect === 'posix') {
+        this.readPosixPart(word);
+      } else if (this.dialect === 'cmd') {
+        this.readCmdPart(word);
+      } else {
+        this.readPowerShellPart(word);
+      }
+    }
+
+    return this.pos === start ? null : word;
+  }
+
+  atWordBreak() {
+    const char = this.peek();
+    if (this.dialect === 'posix') {
+      return ';&|()<>'.includes(char) && !(/^[<>]\(/.test(this.text.slice(this.pos)));
+    }
+    if (this.dialect === 'cmd') {
+      return '&|()<>'.includes(char);
+    }
+    return ';|(){}<>'.includes(char) || (char === '&' && this.peek(1) === '&');
+  }
+
+  readPosixPart(word) {
+    const char = this.peek();
+
+    if (char === '\\') {
+      // A quoted newline joins lines
+      if (this.peek(1) !== '\n') {
+        word.value += this.peek(1) ?? '';
+      }
+      this.pos += 2;
+    } else if (char === "'") {
+      const end = this.text.indexOf("'", this.pos + 1);
+      if (end === -1) {
+        this.error('Unterminated single quote');
+        word.value += this.text.slice(this.pos + 1);
+        this.pos = this.text.length;
+        return;
+      }
+      word.value += this.text.slice(this.pos + 1, end);
+      word.quoted = true;
+      this.pos = end + 1;
+    } else if (char === '"') {
+      this.pos++;
+      word.quoted = true;
+      while (this.pos < this.text.length && this.peek() !== '"') {
+        if (this.peek() === '\\' && '$`"\\\n'.includes(this.peek(1))) {
+          word.value += this.peek(1) === '\n' ? '' : this.peek(1);
+          this.pos += 2;
+        } else if (this.peek() === '$' || this.peek() === '`') {
+          this.readPosixExpansion(word);
+        } else {
+          word.value += this.peek();
+          this.pos++;
+        }
+      }
+      if (this.pos >= this.text.length) {
+        this.error('Unterminated double quote');
+      }
+      this.pos++;
+    } else if (char === '$' && this.peek(1) === "'") {
+      this.readAnsiCQuote(word);
+    } else if (char === '$' && this.peek(1) === '"') {
+      // A locale-translated string is an ordinary double-quoted one here
+      this.pos++;
+    } else if (char === '$' || char === '`') {
+      this.readPosixExpansion(word);
+    } else if ((char === '<' || char === '>') && this.peek(1) === '(') {
+      // Process substitution: <(command)
+      const start = this.pos;
+      this.pos += 2;
+      new Parser(this.text, 'posix', this.result, this.depth + 1).parseFrom(this, ')');
+      word.value += this.text.slice(start, this.pos);
+      word.dynamic = true;
+    } else {
+      word.value += char;
+      this.pos++;
+    }
+  }
+
+  readPosixExpansion(word) {
+    const start = this.pos;
+
+    if (this.peek() === '`') {
+      // Inside backquotes a backslash only escapes $, ` and \
+      let end = this.pos + 1;
+      let inner = '';
+      while (end < this.text.length && this.text[end] !== '`') {
+        if (this.text[end] === '\\' && '$`\\'.includes(this.text[end + 1])) {
+          end++;
+        }
+        inner += this.text[end];
+        end++;
+      }
+      if (end >= this.text.length) {
+        this.error('Unterminated backquote');
+      }
+      this.parseNested(inner);
+      this.pos = end + 1;
+    } else if (this.startsWith('$((')) {
+      this.skipPosixExpansionBody(this.pos + 3, '(', ')', 2);
+    } else if (this.startsWith('$(')) {
+      this.pos += 2;
+      new Parser(this.text, 'posix', this.result, this.depth + 1).parseFrom(this, ')');
+    } else if (this.startsWith('${')) {
+      this.skipPosixExpansionBody(this.pos + 2, '{', '}', 1);
+    } else if (/^\$(?:[A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.test(this.text.slice(this.pos))) {
+      this.pos += /^\$(?:[A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.exec(this.text.slice(this.pos))[0].length;
+    } else {
+      word.value += '$';
+      this.pos++;
+      return;
+    }
+
+    word.value += this.text.slice(start, this.pos);
+    word.dynamic = true;
+  }
+
+  // Move past the `count` closing characters of ${...} or $((...)). Command
+  // substitutions inside them (`${x:-$(cmd)}`, `$((1 + `cmd`))`) still run,
+  // so they are parsed like any other.
+  skipPosixExpansionBody(from, open, close, count) {
+    let depth = count;
+    this.pos = from;
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      if (char === '\\') {
+        this.pos += 2;
+      } else if (char === '`' || (char === '$' && (this.peek(1) === '(' || this.peek(1) === '{'))) {
+        this.readPosixExpansion({ value: '', dynamic: false, quoted: false });
+      } else if (char === close && --depth === 0) {
+        this.pos++;
+        return;
+      } else {
+        depth += char === open ? 1 : 0;
+        this.pos++;
+      }
+    }
+    this.error(`Missing closing "${close}"`);
+  }
+
+  // bash's $'...' with its escapes decoded, so $'\x72m' is `rm`
+  readAnsiCQuote(word) {
+    this.pos += 2;
+    word.quoted = true;
+    while (this.pos < this.text.length && this.peek() !== "'") {
+      if (this.peek() !== '\\') {
+        word.value += this.peek();
+        this.pos++;
+        continue;
+      }
+
+      const escape = this.peek(1) ?? '';
+      const octal = /^[0-7]{1,3}/.exec(this.text.slice(this.pos + 1));
+      const hex = ANSI_C_HEX[escape]?.exec(this.text.slice(this.pos + 2));
+      if (octal) {
+        word.value += String.fromCharCode(parseInt(octal[0], 8));
+        this.pos += 1 + octal[0].length;
+      } else if (hex) {
+        word.value += String.fromCodePoint(Math.min(parseInt(hex[0], 16), 0x10ffff));
+        this.pos += 2 + hex[0].length;
+      } else if (escape === 'c' && this.peek(2) !== undefined) {
+        word.value += String.fromCharCode(this.peek(2).charCodeAt(0) & 0x1f);
+        this.pos += 3;
+      } else if (Object.hasOwn(ANSI_C_ESCAPES, escape)) {
+        word.value += ANSI_C_ESCAPES[escape];
+        this.pos += 2;
+      } else {
+        word.value += `\\${escape}`;
+        this.pos += 2;
+      }
+    }
+    if (this.pos >= this.text.length) {
+      this.error('Unterminated single quote');
+    }
+    this.pos++;
+  }
+
+  // Position after the `count` closing characters that balance an opening
+  findClosing(from, open, close, count) {
+    let depth = count;
+    for (let i = from; i < this.text.length; i++) {
+      if (this.text[i] === open) {
+        depth++;
+      } else if (this.text[i] === close && --depth === 0) {
+        return i + 1;
+      }
+    }
+    this.error(`Missing closing "${close}"`);
+    return this.text.length;
+  }
+
+  // Continue in the text of `outer` until `terminator`, then hand the
+  // position back, e.g. for $( ... )
+  parseFrom(outer, terminator) {
+    this.pos = outer.pos;
+    this.parseList(terminator);
+    outer.pos = this.pos;
+  }
+
+  readCmdPart(word) {
+    const char = this.peek();
+
+    if (char === '^') {
+      word.value += this.peek(1) ?? '';
+      this.pos += 2;
+    } else if (char === '"') {
+      // cmd has no escapes inside quotes; an unclosed quote runs to the end of the line
+      let end = this.text.indexOf('"', this.pos + 1);
+      const lineEnd = this.text.indexOf('\n', this.pos + 1);
+      if (end === -1 || (lineEnd !== -1 && lineEnd < end)) {
+        end = lineEnd === -1 ? this.text.length : lineEnd;
+      }
+      const inner = this.text.slice(this.pos + 1, end);
+      word.value += inner;
+      word.quoted = true;
+      word.dynamic ||= /%[^%\s]+%|![^!\s]+!/.test(inner);
+      this.pos = Math.min(end + 1, this.text.length);
+    } else if (char === '%' || char === '!') {
+      const match = char === '%'
+        ? /^%(?:[^%\s]+%|%|~[a-zA-Z]*[0-9]|[0-9*])/.exec(this.text.slice(this.pos))
+        : /^![^!\s]+!/.exec(this.text.slice(this.pos));
+      const token = match ? match[0] : char;
+      word.value += token;
+      word.dynamic ||= token !== char && token !== '%%';
+      this.pos += token.length;
+    } else {
+      word.value += char;
+      this.pos++;
+    }
+  }
+
+  readPowerShellPart(word) {
+    const char = this.peek();
+
+    if (char === '`') {
+      word.value += this.peek(1) ?? '';
+      this.pos += 2;
+    } else if (char === "'") {
+      this.pos++;
+      word.quoted = true;
+      while (this.pos < this.text.length) {
+        if (this.peek() === "'" && this.peek(1) === "'") {
+          word.value += "'";
+          this.pos += 2;
+        } else if (this.peek() === "'") {
+          break;
+        } else {
+          word.value += this.peek();
+          this.pos++;
+        }
+      }
+      if (this.pos >= this.text.length) {
+        this.error('Unterminated single quote');
+      }
+      this.pos++;
+    } else if (char === '"') {
+      this.pos++;
+      word.quoted = true;
+      while (this.pos < this.text.length && !(this.peek() === '"' && this.peek(1) !== '"')) {
+        if (this.peek() === '`' || (this.peek() === '"' && this.peek(1) === '"')) {
+          word.value += this.peek(1) ?? '';
+          this.pos += 2;
+        } else if (this.peek() === '$') {
+          this.readPowerShellVariable(word);
+        } else {
+          word.value += this.peek();
+          this.pos++;
+        }
+      }
+      if (this.pos >= this.text.length) {
+        this.error('Unterminated double quote');
+      }
+      this.pos++;
+    } else if (char === '$') {
+      this.readPowerShellVariable(word);
+    } else if (char === '@' && (this.peek(1) === '(' || this.peek(1) === '{')) {
+      // Array subexpression @( ... ) or hashtable @{ ... }
+      const start = this.pos;
+      this.pos += 2;
+      new Parser(this.text, 'powershell', this.result, this.depth + 1).parseFrom(this, this.peek(-1) === '(' ? ')' : '}');
+      word.value += this.text.slice(start, this.pos);
+      word.dynamic = true;
+    } else {
+      word.value += char;
+      this.pos++;
+    }
+  }
+
+  readPowerShellVariable(word) {
+    const start = this.pos;
+    const rest = this.text.slice(this.pos);
+
+    if (rest.startsWith('$(')) {
+      this.pos += 2;
+      new Parser(this.text, 'powershell', this.result, this.depth + 1).parseFrom(this, ')');
+    } else if (rest.startsWith('${')) {
+      this.pos = this.findClosing(this.pos + 2, '{', '}', 1);
+    } else if (/^\$(?:[A-Za-z_][\w:]*|[$?^_])/.test(rest)) {
+      this.pos += /^\$(?:[A-Za-z_][\w:]*|[$?^_])/.exec(rest)[0].length;
+    } else {
+      word.value += '$';
+      this.pos++;
+      return;
+    }
+
+    word.value += this.text.slice(start, this.pos);
+    word.dynamic = true;
+  }
+
+  // Turn the words of one simple command into an invocation, skipping
+  // keywords and variable assignments in front of it
+  addInvocation(words, text, callOperator = false) {
+    let rest = words;
+
+    if (!callOperator) {
+      rest = this.skipCommandPrefix(rest);
+      if (!rest) {
+        return;
+      }
+    }
+
+    const [first, ...args] = rest;
+    if (!first) {
+      return;
+    }
+
+    this.pushInvocation({
+      executable: first.value,
+      name: commandName(first.value),
+      args: args.map(arg => arg.value),
+      dynamic: first.dynamic,
+      text: text.trim(),
+    }, args);
+  }
+
+  // Words before the command itself, or null when the command is handled
+  // another way (or isn't a command at all)
+  skipCommandPrefix(words) {
+    let rest = words;
+    const keywords = KEYWORDS[this.dialect];
+
+    while (rest.length > 0) {
+      const [first] = rest;
+      const value = first.quoted ? null : first.value;
+      const lower = value?.toLowerCase();
+
+      if (this.dialect === 'posix' && value !== null && /^[A-Za-z_][A-Za-z0-9_]*(?:\[[^\]]*\])?\+?=/.test(first.value)) {
+        rest = rest.slice(1);
+      } else if (lower !== undefined && keywords.has(this.dialect === 'posix' ? value : lower)) {
+        rest = rest.slice(1);
+      } else if (this.dialect === 'posix' && (value === 'for' || value === 'select')) {
+        // The loop header only names a variable and words
+        return null;
+      } else if (this.dialect === 'posix' && (value === 'case' || value === 'function' || value === 'coproc')) {
+        this.error(`"${value}" is not supported`);
+        return null;
+      } else if (this.dialect === 'cmd' && lower === 'if') {
+        rest = this.skipCmdCondition(rest.slice(1));
+      } else if (this.dialect === 'cmd' && lower === 'for') {
+        this.error('"for" is not supported');
+        return null;
+      } else if (this.dialect === 'powershell' && (lower === 'function' || lower === 'filter')) {
+        return null;
+      } else if (this.dialect === 'powershell' && (first.dynamic || first.quoted || /^[\d\[(@-]/.test(first.value))) {
+        // An expression, not a command; `$x = command` runs the command
+        return rest[1] && /^[-+*/%]?=$/.test(rest[1].value) && !rest[1].quoted ? rest.slice(2) : null;
+      } else {
+        break;
+      }
+    }
+
+    return rest;
+  }
+
+  // `if [/i] [not] exist file command`, `if errorlevel 1 command`, `if a==b command`
+  skipCmdCondition(words) {
+    let rest = words;
+    while (rest.length > 0 && /^(?:\/i|not)$/i.test(rest[0].value)) {
+      rest = rest.slice(1);
+    }
+    if (rest.length === 0) {
+      return rest;
+    }
+
+    const keyword = rest[0].value.toLowerCase();
+    if (['exist', 'errorlevel', 'defined', 'cmdextversion'].includes(keyword)) {
+      return rest.slice(2);
+    }
+    if (rest[0].value.includes('==')) {
+      return rest[0].value.endsWith('==') ? rest.slice(2) : rest.slice(1);
+    }
+    if (rest[1] && /^(?:==|equ|neq|lss|leq|gtr|geq)$/i.test(rest[1].value)) {
+      return rest.slice(3);
+    }
+    this.error('Unrecognized "if" condition');
+    return rest;
+  }
+
+  pushInvocation(invocation, argWords) {
+    this.result.invocations.push(invocation);
+    const { name, args } = invocation;
+
+    // Shells and eval run their argument as a command line
+    if (this.dialect === 'posix' && (name === 'eval' || POSIX_SHELLS.has(name))) {
+      const index = name === 'eval' ? -1 : args.findIndex(arg => /^-[a-z]*c[a-z]*$/i.test(arg));
+      if (name === 'eval' || index !== -1) {
+        const script = name === 'eval' ? args.join(' ') : args[index + 1];
+        const dynamic = name === 'eval' ? argWords.some(word => word.dynamic) : argWords[index + 1]?.dynamic;
+        this.parseScriptArgument(invocation, script, dynamic, 'posix');
+        return;
+      }
+    }
+    if (name === 'cmd') {
+      const index = args.findIndex(arg => /^\/[ck]$/i.test(arg));
+      if (index !== -1) {
+        this.parseScriptArgument(invocation, args.slice(index + 1).join(' '), argWords.slice(index + 1).some(word => word.dynamic), 'cmd');
+        return;
+      }
+    }
+    if (name === 'powershell' || name === 'pwsh') {
+      this.parsePowerShellArguments(invocation, argWords);
+      return;
+    }
+    if (name === 'invoke-expression' || name === 'iex') {
+      this.parseScriptArgument(invocation, args.join(' '), argWords.some(word => word.dynamic), 'powershell');
+      return;
+    }
+
+    if (this.dialect !== 'posix') {
+      return;
+    }
+    if (name === 'find') {
+      this.pushFindActions(invocation, argWords);
+      return;
+    }
+    if (name === 'alias' || name === 'hash' || name === 'enable') {
+      this.pushRebindings(invocation, argWords);
+      return;
+    }
+
+    let wrapper = Object.hasOwn(WRAPPERS, name) ? WRAPPERS[name] : undefined;
+    let wrapped = argWords;
+    if (!wrapper && Object.hasOwn(PACKAGE_RUNNERS, name) && PACKAGE_RUNNERS[name].includes(args[0])) {
+      wrapper = WRAPPERS.npx;
+      wrapped = argWords.slice(1);
+    }
+    if (!wrapper) {
+      return;
+    }
+
+    // `npx -c "cmd"` runs a command line
+    const scriptOptions = Array.isArray(wrapper.script) ? wrapper.script : [];
+    const scriptIndex = wrapped.findIndex(word => scriptOptions.includes(word.value));
+    if (scriptIndex !== -1) {
+      this.parseScriptArgument(invocation, wrapped[scriptIndex + 1]?.value, wrapped[scriptIndex + 1]?.dynamic, 'posix');
+      return;
+    }
+
+    const inner = this.unwrap(wrapped, wrapper);
+    if (inner.length === 0) {
+      return;
+    }
+    // watch hands its arguments to `sh -c` unless -x/--exec is given
+    if (wrapper.script === true && !wrapped.some(word => word.value === '-x' || word.value === '--exec')) {
+      this.parseScriptArgument(invocation, inner.map(word => word.value).join(' '), inner.some(word => word.dynamic), 'posix');
+      return;
+    }
+    this.pushWrapped(invocation, inner);
+  }
+
+  pushWrapped(invocation, words) {
+    this.pushInvocation({
+      executable: words[0].value,
+      name: commandName(words[0].value),
+      args: words.slice(1).map(word => word.value),
+      dynamic: words[0].dynamic,
+      text: invocation.text,
+    }, words.slice(1));
+  }
+
+  // `find . -exec rm {} \;` runs rm for the files it finds
+  pushFindActions(invocation, argWords) {
+    for (let index = 0; index < argWords.length; index++) {
+      if (!FIND_ACTIONS.has(argWords[index].value)) {
+        continue;
+      }
+      const start = index + 1;
+      let end = start;
+      while (end < argWords.length && !(argWords[end].value === ';' || (argWords[end].value === '+' && argWords[end - 1]?.value === '{}'))) {
+        end++;
+      }
+      if (end === argWords.length) {
+        this.error(`${argWords[index].value} is missing its ";" or "+"`);
+      }
+      if (end > start) {
+        this.pushWrapped(invocation, argWords.slice(start, end));
+      }
+      index = end;
+    }
+  }
+
+  // `alias x=rm`, `hash -p /bin/rm ls` and `enable -f lib.so name` make a
+  // later command name run something else. The alias text and the hashed
+  // path are checked as the commands they stand for; a builtin loaded from a
+  // shared object is only known at run time.
+  pushRebindings(invocation, argWords) {
+    for (let index = 0; index < argWords.length; index++) {
+      const word = argWords[index];
+      if (invocation.name === 'enable') {
+        if (/^-[a-z]*f[a-z]*$/.test(word.value)) {
+          this.parseScriptArgument(invocation, argWords[index + 1]?.value, true, 'posix');
+          return;
+        }
+      } else if (invocation.name === 'hash' && /^-[a-z]*p$/.test(word.value) && argWords[index + 1]) {
+        this.pushWrapped(invocation, [argWords[++index]]);
+      } else if (!word.value.startsWith('-') && word.value.includes('=')) {
+        // zsh hashes a path with `hash name=path`
+        const value = word.value.slice(word.value.indexOf('=') + 1);
+        if (invocation.name === 'alias') {
+          this.parseScriptArgument(invocation, value, word.dynamic, 'posix');
+        } else if (value) {
+          this.pushWrapped(invocation, [{ ...word, value }]);
+        }
+      }
+    }
+  }
+
+  parseScriptArgument(invocation, script, dynamic, dialect) {
+    if (dynamic) {
+      // The script is built at run time, so nothing is known about it
+      this.result.invocations.push({ ...invocation, executable: script ?? '', name: '', args: [], dynamic: true });
+    } else if (script) {
+      this.parseNested(script, dialect);
+    }
+  }
+
+  parsePowerShellArguments(invocation, argWords) {
+    const args = argWords.map(word => word.value);
+    const encoded = args.findIndex(arg => /^-(?:e|ec|encodedcommand)$/i.test(arg));
+    if (encoded !== -1 && args[encoded + 1]) {
+      const script = Buffer.from(args[encoded + 1], 'base64').toString('utf16le');
+      this.parseScriptArgument(invocation, script, argWords[encoded + 1].dynamic, 'powershell');
+      return;
+    }
+
+    const index = args.findIndex(arg => /^-(?:c|command)$/i.test(arg));
+    if (index !== -1) {
+      this.parseScriptArgument(invocation, args.slice(index + 1).join(' '), argWords.slice(index + 1).some(word => word.dynamic), 'powershell');
+    }
+  }
+
+  // The wrapped command's words after the wrapper's own options
+  unwrap(words, { options = [], positional = 0 }) {
+    let index = 0;
+    while (index < words.length) {
+      const value = words[index].value;
+      if (value === '--') {
+        index++;
+        break;
+      }
+      if (options.includes(value)) {
+        index += 2;
+      } else if (value.startsWith('-') || /^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) {
+        index++;
+      } else {
+        break;
+      }
+    }
+    return words.slice(index + positional);
+  }
+}
+
+// Parse a command line into { invocations, redirects, errors }. Each
+// invocation is { executable, name, args, dynamic, text }; `dynamic` means the
+// executable comes from an expansion and can't be known before the command
+// runs. Each redirect is { operator, target, dynamic } for output written to
+// a file.
+export function parseCommandLine(command, { dialect = getShellDialect() } = {}) {
+  const result = { invocations: [], redirects: [], errors: [] };
+  new Parser(String(command), dialect, result).parseList(null);
+  return result;
+}
+
+// Options of a POSIX shell that take a value
+const SHELL_VALUE_OPTIONS = new Set(['-o', '+o', '-O', '+O', '--rcfile', '--init-file']);
+
+function posixShellReadsStdin(args) {
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (/^-[a-z]*c[a-z]*$/i.test(arg)) {
+      return false;
+    }
+    if (/^-[a-z]*s[a-z]*$/i.test(arg)) {
+      return true;
+    }
+    if (arg === '--') {
+      return index === args.length - 1;
+    }
+    if (SHELL_VALUE_OPTIONS.has(arg)) {
+      index++;
+    } else if (!/^[-+]/.test(arg)) {
+      // A script file
+      return false;
+    }
+  }
+  return true;
+}
+
+function powerShellReadsStdin(args) {
+  const index = args.findIndex(arg => /^-(?:c|command|e|ec|encodedcommand|f|file)$/i.test(arg) || !arg.startsWith('-'));
+  return index === -1 || (args[index].startsWith('-') && args[index + 1] === '-');
+}
+
+// The executable of the first shell in `command` that is started without a
+// command or script and so reads the commands to run from its stdin
+// (`bash`, `sh -s`, `env zsh -i`), or null
+export function findStdinShell(command, options) {
+  for (const { executable, name, args } of parseCommandLine(command, options).invocations) {
+    const readsStdin = POSIX_SHELLS.has(name) ? posixShellReadsStdin(args)
+      : name === 'powershell' || name === 'pwsh' ? powerShellReadsStdin(args)
+      : name === 'cmd' ? !args.some(arg => /^\/[ck]$/i.test(arg))
+      : false;
+    if (readsStdin) {
+      return executable;
+    }
+  }
+  return null;
+}
+
+// Globs in command rules match any characters, "/" included
+function ruleGlob(glob) {
+  const source = glob
+    .split(/(\*+|\?)/)
+    .map(part => part.startsWith('*') ? '.*' : part === '?' ? '.' : part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// A rule is an executable glob followed by argument globs, e.g.
+// "git push *force*". The executable glob is tried against the command name
+// and the executable as written; each argument glob must match a different
+// argument, in order.
+export function compileCommandRule(rule) {
+  const [executable, ...args] = String(rule).trim().split(/\s+/);
+  return {
+    rule,
+    executable: ruleGlob(executable ?? ''),
+    args: args.map(ruleGlob),
+  };
+}
+
+export function matchesCommandRule(invocation, compiled) {
+  if (!compiled.executable.test(invocation.name) && !compiled.executable.test(invocation.executable)) {
+    return false;
+  }
+
+  let next = 0;
+  for (const arg of invocation.args) {
+    if (next < compiled.args.length && compiled.args[next].test(arg)) {
+      next++;
+    }
+  }
+  return next === compiled.args.length;
+}
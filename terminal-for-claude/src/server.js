@@ -9,6 +9,7 @@ import {
   McpError,
 } from "@modelcontextprotocol/sdk/types.js";
 import { ToolRegistry } from "./tools/index.js";
+import { getApprovalManager } from "./security/approval.js";
 import { EXTENSION_NAME, EXTENSION_VERSION } from "./config/constants.js";
 
 class TerminalServer {
@@ -28,6 +29,18 @@ class TerminalServer {
     );
 
     this.setupToolHandlers();
+    this.setupApprovalPrompts();
+  }
+
+  // Ask the user about held actions directly when the client supports
+  // elicitation; otherwise they wait for approve_action
+  setupApprovalPrompts() {
+    getApprovalManager().setElicitor((params, options) => {
+      if (!this.server.getClientCapabilities()?.elicitation) {
+        return null;
+      }
+      return this.server.elicitInput(params, options);
+    });
   }
 
   setupToolHandlers() {
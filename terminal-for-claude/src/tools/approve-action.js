@@ -0,0 +1,64 @@
+import { BaseTool } from "./base-tool.js";
+import { getApprovalManager } from "../security/approval.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+export class ApproveActionTool extends BaseTool {
+  constructor(registry) {
+    super(
+      "approve_action",
+      "Run (or reject) an action that was held for approval. Only call this after the user has explicitly agreed to the action described in the approval_required response. Without a token, lists the actions waiting for approval",
+      {
+        type: "object",
+        properties: {
+          token: {
+            type: "string",
+            description: "approval_token from the approval_required response",
+          },
+          approve: {
+            type: "boolean",
+            description: "true to run the action, false to discard it (default: true)",
+          },
+        },
+      }
+    );
+    this.registry = registry;
+  }
+
+  async run(args) {
+    const { token, approve = true } = args;
+    const approvals = getApprovalManager();
+
+    if (token === undefined) {
+      const pending = approvals.list();
+      return {
+        pending_count: pending.length,
+        pending,
+      };
+    }
+
+    if (typeof token !== 'string' || !token) {
+      throw new McpError(ErrorCode.InvalidParams, "token must be a non-empty string");
+    }
+
+    const entry = approvals.take(token);
+
+    if (!approve) {
+      return {
+        approved: false,
+        approved_tool: entry.tool,
+        message: `Discarded the held ${entry.tool} call`,
+      };
+    }
+
+    // The call still goes through the policy checks, which may have changed
+    // since it was held; only the approval step is skipped
+    const result = await this.registry.execute(entry.tool, entry.args, { approved: true });
+    const response = JSON.parse(result.content.map(item => item.text || '').join(''));
+
+    return {
+      ...response,
+      approved: true,
+      approved_tool: entry.tool,
+    };
+  }
+}
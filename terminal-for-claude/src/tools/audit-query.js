@@ -0,0 +1,91 @@
+import { BaseTool } from "./base-tool.js";
+import { getAuditLog } from "../security/audit-log.js";
+import { AUDIT_LIMITS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+export class AuditQueryTool extends BaseTool {
+  constructor() {
+    super(
+      "audit_query",
+      "Review the audit log of tool calls made through this server, newest first. Filter by tool, status, session or time range",
+      {
+        type: "object",
+        properties: {
+          tool: {
+            type: "string",
+            description: "Only records for this tool name, e.g. execute_command",
+          },
+          status: {
+            type: "string",
+            enum: ["success", "error", "policy_denied", "sandbox_violation", "approval_required", "file_conflict", "invalid_params"],
+            description: "Only records with this status: success, error, policy_denied, sandbox_violation, approval_required, file_conflict, invalid_params",
+          },
+          session: {
+            type: "string",
+            description: "\"current\" for calls made since this server started (default), \"all\", or a session_id from a previous record",
+          },
+          since: {
+            type: "string",
+            description: "Only records at or after this ISO 8601 timestamp",
+          },
+          until: {
+            type: "string",
+            description: "Only records at or before this ISO 8601 timestamp",
+          },
+          contains: {
+            type: "string",
+            description: "Only records whose arguments contain this text",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of records to return (default: 50, max: 1000)",
+            minimum: 1,
+            maximum: AUDIT_LIMITS.MAX_QUERY_LIMIT,
+          },
+        },
+      }
+    );
+  }
+
+  async run(args) {
+    const {
+      tool,
+      status,
+      session = 'current',
+      since,
+      until,
+      contains,
+      limit = AUDIT_LIMITS.DEFAULT_QUERY_LIMIT,
+    } = args;
+
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        throw new McpError(ErrorCode.InvalidParams, `${name} must be an ISO 8601 timestamp`);
+      }
+    }
+
+    const auditLog = getAuditLog();
+    const sessionId = session === 'current' ? auditLog.sessionId : session === 'all' ? undefined : session;
+    const result = auditLog.query({
+      tool,
+      status,
+      session_id: sessionId,
+      since,
+      until,
+      contains,
+      limit: Math.min(limit, AUDIT_LIMITS.MAX_QUERY_LIMIT),
+    });
+
+    return {
+      operation: 'audit_query',
+      enabled: auditLog.isEnabled(),
+      log_path: auditLog.getPath(),
+      current_session_id: auditLog.sessionId,
+      record_count: result.records.length,
+      truncated: result.truncated,
+      records_scanned: result.scanned,
+      malformed_records: result.malformed,
+      records: result.records,
+    };
+  }
+}
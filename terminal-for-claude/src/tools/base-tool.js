@@ -1,5 +1,7 @@
 import { performance } from "perf_hooks";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { getRedactor } from "../security/redaction.js";
+import { getConfig } from "../config/config-manager.js";
 
 export class BaseTool {
   constructor(name, description, inputSchema) {
@@ -18,12 +20,14 @@ export class BaseTool {
 
   async execute(args) {
     const startTime = performance.now();
+    // Looked up first, so a call that ends a job or PTY still masks its secrets
+    const redactionArgs = this.getRedactionArgs(args);
     
     try {
       const result = await this.run(args);
       const executionTime = Math.round(performance.now() - startTime);
       
-      return this.formatSuccess(result, executionTime);
+      return this.formatSuccess(result, executionTime, redactionArgs, this.getRedactionOptions());
     } catch (error) {
       const executionTime = Math.round(performance.now() - startTime);
       
@@ -31,49 +35,153 @@ export class BaseTool {
         throw error;
       }
       
-      return this.formatError(error, executionTime);
+      return this.formatError(error, executionTime, redactionArgs);
     }
   }
 
+  // Arguments whose environment and env profile hold the secrets to mask in
+  // the response. Tools that run inside state created by an earlier call
+  // (a session, job or PTY) add that call's arguments.
+  getRedactionArgs(args) {
+    return args;
+  }
+
+  // Tools that return file contents turn off pattern redaction for their
+  // results, so source code isn't mangled; known secret values and error
+  // text are still masked
+  getRedactionOptions() {
+    return {};
+  }
+
   async run(args) {
     throw new Error("run() method must be implemented by subclass");
   }
 
-  formatSuccess(result, executionTime) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            success: true,
-            execution_time_ms: executionTime,
-            ...result,
-          }, null, 2),
-        },
-      ],
-    };
+  // Describe what a call will touch so the registry can check it against the
+  // security policy before run() is invoked. Tools that execute commands or
+  // touch the filesystem override this.
+  // Shape: { commands: [string | { command, shell, cwd }], interpreters: [string], paths: [{ path, access: 'read' | 'write' }] }
+  getPolicyTargets(args) {
+    return {};
+  }
+
+  // Tool-specific reasons a call must be approved before it runs, on top of
+  // the command and path rules the registry applies to getPolicyTargets().
+  // Shape: [{ rule, description, target }]
+  async getApprovalReasons(args) {
+    return [];
   }
 
-  formatError(error, executionTime) {
+  // Secrets in the response are masked before it is returned; `args` lets
+  // the redactor pick up values passed in through `environment` or loaded by
+  // an env profile
+  formatSuccess(result, executionTime, args = {}, options = {}) {
+    return this.formatResponse({
+      success: true,
+      execution_time_ms: executionTime,
+      ...result,
+    }, args, options);
+  }
+
+  formatError(error, executionTime, args = {}) {
+    return this.formatResponse({
+      success: false,
+      execution_time_ms: executionTime,
+      error: error.message,
+      ...(error.type && { error_type: error.type }),
+      ...(error.details && { details: error.details }),
+      ...(error.stdout && { stdout: error.stdout.toString() }),
+      ...(error.stderr && { stderr: error.stderr.toString() }),
+      ...(error.code && { exit_code: error.code }),
+      ...(error.signal && { signal: error.signal }),
+      ...(error.killed && { timeout: true }),
+    }, args);
+  }
+
+  formatResponse(payload, args, options = {}) {
+    const { value, count } = getRedactor().redact(payload, args, options);
+
     return {
       content: [
         {
           type: "text",
           text: JSON.stringify({
-            success: false,
-            execution_time_ms: executionTime,
-            error: error.message,
-            ...(error.stdout && { stdout: error.stdout.toString() }),
-            ...(error.stderr && { stderr: error.stderr.toString() }),
-            ...(error.code && { exit_code: error.code }),
-            ...(error.signal && { signal: error.signal }),
-            ...(error.killed && { timeout: true }),
+            ...value,
+            ...(count > 0 && { redactions: count }),
           }, null, 2),
         },
       ],
     };
   }
 
+  // Decode a `stdin` argument given as text or base64 into a Buffer
+  decodeStdin(stdin, encoding = 'utf8', name = 'stdin') {
+    if (stdin === undefined || stdin === null) {
+      return null;
+    }
+
+    if (typeof stdin !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, `${name} must be a string`);
+    }
+
+    if (encoding === 'base64') {
+      if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(stdin)) {
+        throw new McpError(ErrorCode.InvalidParams, `${name} is not valid base64`);
+      }
+      return Buffer.from(stdin, 'base64');
+    }
+
+    if (encoding !== 'utf8') {
+      throw new McpError(ErrorCode.InvalidParams, `${name} encoding must be utf8 or base64`);
+    }
+
+    return Buffer.from(stdin, 'utf8');
+  }
+
+  // A `stdin` argument as text for the policy check; null when it's missing
+  // or invalid, which run() reports
+  previewStdin(stdin, encoding, name) {
+    try {
+      return this.decodeStdin(stdin, encoding, name)?.toString() ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  // The call's working_directory, or the directory it runs in without one.
+  // Used for both the policy check and the run, so what is checked is where
+  // the command really runs.
+  getWorkingDirectory(args) {
+    return args.working_directory || getConfig().getDefaultWorkingDirectory();
+  }
+
+  // Validate the `expected_hash`/`expected_mtime` preconditions of a file write
+  checkFilePreconditionArgs({ expected_hash, expected_mtime }) {
+    if (expected_hash !== undefined && (typeof expected_hash !== 'string' || !/^[0-9a-f]{64}$/i.test(expected_hash))) {
+      throw new McpError(ErrorCode.InvalidParams, "expected_hash must be a SHA-256 content_hash as returned by file_read");
+    }
+    if (expected_mtime !== undefined
+      && (!['string', 'number'].includes(typeof expected_mtime) || Number.isNaN(new Date(expected_mtime).getTime()))) {
+      throw new McpError(ErrorCode.InvalidParams, "expected_mtime must be an ISO timestamp or epoch milliseconds, e.g. stats.modified from file_read");
+    }
+  }
+
+  // Validate an `env_profile` argument against the configured profiles
+  checkEnvProfile(name) {
+    if (name === undefined) {
+      return;
+    }
+
+    const profiles = getConfig().get('envProfiles') || {};
+    if (typeof name !== 'string' || !Object.hasOwn(profiles, name)) {
+      const available = Object.keys(profiles);
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown env_profile: ${name}. ${available.length > 0 ? `Configured profiles: ${available.join(', ')}` : 'No profiles are configured (envProfiles)'}`
+      );
+    }
+  }
+
   validateArgs(args, required = []) {
     for (const field of required) {
       if (!args[field]) {
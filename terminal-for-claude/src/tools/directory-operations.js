@@ -3,16 +3,17 @@ import {
   createDirectory, 
   listDirectory, 
   deleteDirectory, 
-  checkDirectoryExists 
+  checkDirectoryExists,
+  buildDirectoryTree
 } from "../utils/file-utils.js";
-import { DIRECTORY_OPERATIONS } from "../config/constants.js";
+import { DIRECTORY_OPERATIONS, TREE_LIMITS } from "../config/constants.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 
 export class DirectoryOperationsTool extends BaseTool {
   constructor() {
     super(
       "directory_operations",
-      "Perform directory operations (create, list, delete, exists) - better than shell commands",
+      "Perform directory operations (create, list, delete, exists, tree) - better than shell commands",
       {
         type: "object",
         properties: {
@@ -23,7 +24,8 @@ export class DirectoryOperationsTool extends BaseTool {
               DIRECTORY_OPERATIONS.CREATE,
               DIRECTORY_OPERATIONS.LIST,
               DIRECTORY_OPERATIONS.DELETE,
-              DIRECTORY_OPERATIONS.EXISTS
+              DIRECTORY_OPERATIONS.EXISTS,
+              DIRECTORY_OPERATIONS.TREE
             ],
           },
           path: {
@@ -46,12 +48,63 @@ export class DirectoryOperationsTool extends BaseTool {
             type: "boolean",
             description: "Force delete even if directory doesn't exist (default: false)",
           },
+          max_depth: {
+            type: "number",
+            description: "Levels to display in a tree (default: 3). Directory sizes always include deeper levels",
+            minimum: 1,
+          },
+          include: {
+            type: "array",
+            items: { type: "string" },
+            description: "Tree: only show files matching these globs, e.g. [\"*.js\"]. Globs without a / match file names",
+          },
+          exclude: {
+            type: "array",
+            items: { type: "string" },
+            description: "Tree: skip files and directories matching these globs, e.g. [\"node_modules\", \"dist\"]",
+          },
+          respect_gitignore: {
+            type: "boolean",
+            description: "Tree: skip entries ignored by .gitignore (default: true)",
+          },
+          sort: {
+            type: "string",
+            description: "Tree: sort entries by name (directories first), size (largest first) or mtime (newest first). Default: name",
+            enum: ["name", "size", "mtime"],
+          },
+          max_entries: {
+            type: "number",
+            description: "Tree: maximum entries to display before truncating (default: 500, max: 5000)",
+            minimum: 1,
+            maximum: TREE_LIMITS.MAX_ENTRIES,
+          },
+          format: {
+            type: "string",
+            description: "Tree: text (indented drawing) or json (nested nodes). Default: text",
+            enum: ["text", "json"],
+          },
         },
         required: ["operation", "path"],
       }
     );
   }
 
+  getPolicyTargets(args) {
+    const { operation, path } = args;
+    const modifies = operation === DIRECTORY_OPERATIONS.CREATE || operation === DIRECTORY_OPERATIONS.DELETE;
+
+    return {
+      paths: [{ path, access: modifies ? 'write' : 'read' }],
+    };
+  }
+
+  async getApprovalReasons(args) {
+    if (args.operation === DIRECTORY_OPERATIONS.DELETE && args.recursive) {
+      return [{ rule: 'recursive_delete', description: 'Recursively deletes a directory', target: args.path }];
+    }
+    return [];
+  }
+
   async run(args) {
     const { 
       operation, 
@@ -102,6 +155,10 @@ export class DirectoryOperationsTool extends BaseTool {
         case DIRECTORY_OPERATIONS.EXISTS:
           result = checkDirectoryExists(path);
           break;
+
+        case DIRECTORY_OPERATIONS.TREE:
+          result = this.createTree(path, args);
+          break;
           
         default:
           throw new McpError(ErrorCode.InvalidParams, `Unsupported operation: ${operation}`);
@@ -137,6 +194,152 @@ export class DirectoryOperationsTool extends BaseTool {
     }
   }
 
+  createTree(path, args) {
+    const {
+      max_depth = TREE_LIMITS.DEFAULT_MAX_DEPTH,
+      include = [],
+      exclude = [],
+      respect_gitignore = true,
+      include_hidden = false,
+      sort = 'name',
+      max_entries = TREE_LIMITS.DEFAULT_MAX_ENTRIES,
+      format = 'text',
+    } = args;
+
+    if (!Array.isArray(include) || !Array.isArray(exclude)) {
+      throw new McpError(ErrorCode.InvalidParams, "include and exclude must be arrays of glob strings");
+    }
+    if (!Number.isInteger(max_depth) || max_depth < 1) {
+      throw new McpError(ErrorCode.InvalidParams, "max_depth must be a positive integer");
+    }
+    if (!Number.isInteger(max_entries) || max_entries < 1 || max_entries > TREE_LIMITS.MAX_ENTRIES) {
+      throw new McpError(ErrorCode.InvalidParams, `max_entries must be an integer from 1 to ${TREE_LIMITS.MAX_ENTRIES}`);
+    }
+
+    const { root, scanned_entries, partial } = buildDirectoryTree(path, {
+      include,
+      exclude,
+      include_hidden,
+      respect_gitignore,
+    });
+
+    const comparators = {
+      name: (a, b) => (b.is_directory - a.is_directory) || a.name.localeCompare(b.name),
+      size: (a, b) => b.size - a.size || a.name.localeCompare(b.name),
+      mtime: (a, b) => b.modified - a.modified || a.name.localeCompare(b.name),
+    };
+    const compare = comparators[sort] || comparators.name;
+    let shown = 0;
+    let hidden = 0;
+    let beyondDepth = 0;
+
+    // Walk the sorted tree depth-first, stopping once the entry cap is hit.
+    // Levels beyond max_depth and entries past the cap are replaced by a
+    // truncation marker with the number of entries left out.
+    const visit = (node, depth) => {
+      const children = node.children.slice().sort(compare);
+      const visible = [];
+
+      for (let i = 0; i < children.length; i++) {
+        if (shown >= max_entries) {
+          const remaining = children.slice(i).reduce((count, child) => count + 1 + (child.is_directory ? child.file_count + child.directory_count : 0), 0);
+          hidden += remaining;
+          visible.push({ truncated: true, omitted_entries: remaining, reason: 'max_entries' });
+          break;
+        }
+
+        const child = children[i];
+        shown++;
+        const entry = {
+          name: child.name,
+          type: child.is_directory ? 'directory' : (child.is_symbolic_link ? 'symlink' : 'file'),
+          size: child.size,
+          modified: new Date(child.modified).toISOString(),
+        };
+
+        if (child.is_directory) {
+          entry.file_count = child.file_count;
+          if (child.error) entry.error = child.error;
+          if (depth < max_depth) {
+            entry.children = visit(child, depth + 1);
+          } else if (child.children.length > 0) {
+            beyondDepth += child.file_count + child.directory_count;
+            entry.children = [{ truncated: true, omitted_entries: child.file_count + child.directory_count, reason: 'max_depth' }];
+          }
+        }
+
+        visible.push(entry);
+      }
+
+      return visible;
+    };
+
+    const children = visit(root, 1);
+    const result = {
+      operation: 'tree',
+      directory_path: root.path,
+      max_depth,
+      sort,
+      summary: {
+        total_files: root.file_count,
+        total_directories: root.directory_count,
+        total_size: root.size,
+        total_size_mb: Math.round(root.size / 1024 / 1024 * 100) / 100,
+        entries_shown: shown,
+        entries_omitted: hidden,
+        entries_beyond_depth: beyondDepth,
+        truncated: hidden > 0,
+        scanned_entries,
+        sizes_partial: partial,
+      },
+    };
+
+    if (format === 'json') {
+      result.tree = { name: root.name, type: 'directory', size: root.size, file_count: root.file_count, children };
+    } else {
+      result.tree = [`${root.path} (${this.formatSize(root.size)}, ${root.file_count} files)`, ...this.renderTree(children, '')].join('\n');
+    }
+
+    return result;
+  }
+
+  renderTree(entries, prefix) {
+    const lines = [];
+
+    entries.forEach((entry, index) => {
+      const last = index === entries.length - 1;
+      const branch = prefix + (last ? '└── ' : '├── ');
+
+      if (entry.truncated) {
+        lines.push(`${branch}… ${entry.omitted_entries} more entries (${entry.reason})`);
+        return;
+      }
+
+      const details = entry.type === 'directory'
+        ? `${this.formatSize(entry.size)}, ${entry.file_count} files`
+        : this.formatSize(entry.size);
+      const name = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+      lines.push(`${branch}${name} (${details})${entry.error ? ` [${entry.error}]` : ''}`);
+
+      if (entry.children) {
+        lines.push(...this.renderTree(entry.children, prefix + (last ? '    ' : '│   ')));
+      }
+    });
+
+    return lines;
+  }
+
+  formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
   createListingSummary(items) {
     const summary = {
       total_items: items.length,
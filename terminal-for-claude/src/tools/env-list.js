@@ -0,0 +1,69 @@
+import { BaseTool } from "./base-tool.js";
+import { resolveEnvironment } from "../utils/env-utils.js";
+import { globToRegExp } from "../utils/glob-utils.js";
+import { getConfig } from "../config/config-manager.js";
+import { getRedactor } from "../security/redaction.js";
+
+export class EnvListTool extends BaseTool {
+  constructor() {
+    super(
+      "env_list",
+      "Show the environment a command would run with: the server's environment as filtered and extended by an env profile. Values of sensitive variables are masked. Also lists the configured env profiles",
+      {
+        type: "object",
+        properties: {
+          env_profile: {
+            type: "string",
+            description: "Profile to resolve (default: defaultEnvProfile, or the server's environment when none is set)",
+          },
+          working_directory: {
+            type: "string",
+            description: "Directory relative dotenv paths are resolved against (default: server's current directory)",
+          },
+          filter: {
+            type: "string",
+            description: "Only variables whose name matches this glob, e.g. \"NODE_*\" (case-insensitive)",
+          },
+        },
+      }
+    );
+  }
+
+  getPolicyTargets(args) {
+    return {
+      paths: [{ path: this.getWorkingDirectory(args), access: 'read' }],
+    };
+  }
+
+  async run(args) {
+    const { env_profile, filter } = args;
+    const working_directory = this.getWorkingDirectory(args);
+
+    this.checkEnvProfile(env_profile);
+
+    const { env, sources, profile } = resolveEnvironment({ env_profile, working_directory });
+    const redactor = getRedactor();
+    const pattern = filter ? globToRegExp(filter, { ignoreCase: true }) : null;
+
+    const variables = Object.keys(env)
+      .filter(name => !pattern || pattern.test(name))
+      .sort()
+      .map(name => {
+        const masked = redactor.isSensitiveName(name);
+        return {
+          name,
+          value: masked ? `[REDACTED:${name}]` : env[name],
+          source: sources[name],
+          ...(masked && { masked: true }),
+        };
+      });
+
+    return {
+      env_profile: profile,
+      available_profiles: Object.keys(getConfig().get('envProfiles') || {}),
+      variable_count: variables.length,
+      masked_count: variables.filter(variable => variable.masked).length,
+      variables,
+    };
+  }
+}
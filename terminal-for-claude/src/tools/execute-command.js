@@ -1,5 +1,6 @@
 import { BaseTool } from "./base-tool.js";
-import { execAsync, getExecOptions } from "../utils/command-utils.js";
+import { shellInputTargets, trackShellInput } from "../security/shell-input.js";
+import { runCommand, getExecOptions } from "../utils/command-utils.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 
 export class ExecuteCommandTool extends BaseTool {
@@ -26,7 +27,29 @@ export class ExecuteCommandTool extends BaseTool {
           },
           environment: {
             type: "object",
-            description: "Optional environment variables",
+            description: "Optional environment variables, applied on top of env_profile",
+          },
+          env_profile: {
+            type: "string",
+            description: "Named environment profile from the config (see env_list); defaults to defaultEnvProfile",
+          },
+          max_output_bytes: {
+            type: "number",
+            description: "Bytes of stdout and of stderr to return inline (default: 102400). Longer output is cut to its head and tail and saved in full to a temp file readable with file_read",
+            minimum: 1024,
+          },
+          stdin: {
+            type: "string",
+            description: "Optional data to write to the process's stdin, which is closed afterwards",
+          },
+          stdin_encoding: {
+            type: "string",
+            description: "Encoding of stdin: utf8 text or base64 for binary data (default: utf8)",
+            enum: ["utf8", "base64"],
+          },
+          fail_on_nonzero: {
+            type: "boolean",
+            description: "Report a non-zero exit code, signal or timeout as a failure instead of a normal result (default: false)",
           },
         },
         required: ["command"],
@@ -34,27 +57,55 @@ export class ExecuteCommandTool extends BaseTool {
     );
   }
 
+  // Input for a shell that reads its commands from stdin (`bash` with
+  // stdin) is checked like the command itself
+  getPolicyTargets(args) {
+    const stdin = this.previewStdin(args.stdin, args.stdin_encoding);
+    const cwd = this.getWorkingDirectory(args);
+    return {
+      commands: [{ command: args.command, cwd }, ...shellInputTargets(this.name, trackShellInput(args.command), stdin, { end: true })],
+      paths: [{ path: cwd, access: 'read' }],
+    };
+  }
+
   async run(args) {
-    const { command, working_directory, timeout, environment } = args;
+    const {
+      command,
+      timeout,
+      environment,
+      env_profile,
+      fail_on_nonzero = false,
+      max_output_bytes,
+      stdin,
+      stdin_encoding,
+    } = args;
+    const working_directory = this.getWorkingDirectory(args);
     
     if (!command || typeof command !== 'string') {
       throw new McpError(ErrorCode.InvalidParams, "Command must be a non-empty string");
     }
 
+    this.checkEnvProfile(env_profile);
+    const input = this.decodeStdin(stdin, stdin_encoding);
+
     const execOptions = getExecOptions({
       timeout,
       working_directory,
       environment,
+      env_profile,
+      max_output_bytes,
     });
 
-    const { stdout, stderr } = await execAsync(command, execOptions);
+    const result = await runCommand(command, {
+      ...execOptions,
+      input,
+      failOnNonzero: fail_on_nonzero,
+    });
 
     return {
       command,
-      working_directory: working_directory || process.cwd(),
-      stdout: stdout.toString(),
-      stderr: stderr.toString(),
-      exit_code: 0,
+      working_directory,
+      ...result,
     };
   }
 }
\ No newline at end of file
@@ -1,11 +1,23 @@
 import { BaseTool } from "./base-tool.js";
-import { execAsync, getExecOptions } from "../utils/command-utils.js";
-import { SCRIPT_EXTENSIONS, SCRIPT_COMMANDS, TIMEOUTS } from "../config/constants.js";
+import { runCommand, getExecOptions } from "../utils/command-utils.js";
+import { planScriptEnvironment, prepareScriptEnvironment, PACKAGE_ECOSYSTEMS } from "../utils/script-env.js";
+import { getInterpreter, getInterpreters, getAvailableInterpreters, findInterpreter, buildInterpreterCommand } from "../utils/interpreters.js";
+import { isPathWithin } from "../utils/file-utils.js";
+import { SCRIPT_ENV_LIMITS, SCRIPT_LIMITS, TIMEOUTS } from "../config/constants.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
-import { writeFileSync, unlinkSync, mkdtempSync } from "fs";
-import { join } from "path";
+import { writeFileSync, mkdirSync, mkdtempSync, rmSync, symlinkSync } from "fs";
+import { join, resolve, dirname, isAbsolute } from "path";
 import { tmpdir } from "os";
 
+// Registry packages only, by name with an optional version: a URL, git repo,
+// tarball or local path would install code from outside the configured source
+const DEPENDENCY_SPECS = {
+  // name, optional [extras], optional comma-separated version clauses
+  python: /^[A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?(?:\[[A-Za-z0-9._,-]+\])?(?:(?:~=|===?|!=|<=|>=|<|>)[A-Za-z0-9.*+!_-]+(?:,(?:~=|===?|!=|<=|>=|<|>)[A-Za-z0-9.*+!_-]+)*)?$/,
+  // name or @scope/name, optional @version, range or tag
+  node: /^(?:@[a-z0-9][a-z0-9._~-]*\/)?[a-z0-9][a-z0-9._~-]*(?:@[A-Za-z0-9.*+^~<>=|_-]+)?$/i,
+};
+
 export class ExecuteScriptTool extends BaseTool {
   constructor() {
     super(
@@ -21,77 +33,296 @@ export class ExecuteScriptTool extends BaseTool {
           interpreter: {
             type: "string",
             description: "Script interpreter (bash, powershell, python, node, etc.)",
-            enum: ["bash", "sh", "powershell", "cmd", "python", "python3", "node", "perl", "ruby"],
+          },
+          args: {
+            type: "array",
+            items: { type: "string" },
+            description: "Arguments passed to the script (sys.argv[1:], process.argv.slice(2), $1...)",
+          },
+          entry_point: {
+            type: "string",
+            description: "Relative file name for script_content, e.g. \"main.py\" or \"src/index.mjs\" (default: script plus the interpreter's extension)",
+          },
+          files: {
+            type: "object",
+            additionalProperties: { type: "string" },
+            description: "Additional files written next to the entry point, as a map of relative path to content, e.g. {\"utils.py\": \"...\"} for modules the script imports",
+          },
+          keep_temp_dir: {
+            type: "boolean",
+            description: "Keep the temporary directory holding the script files and return its path, for debugging (default: false)",
           },
           working_directory: {
             type: "string",
             description: "Optional working directory for script execution",
           },
+          dependencies: {
+            type: "array",
+            items: { type: "string" },
+            description: "Registry packages the script needs, by name and optional version, e.g. [\"requests==2.32.3\"] for Python or [\"lodash@4\"] for node. They are installed once into a cached virtualenv or node_modules directory and reused by later calls with the same list",
+          },
+          env_profile: {
+            type: "string",
+            description: "Named environment profile from the config (see env_list); defaults to defaultEnvProfile",
+          },
           timeout: {
             type: "number",
             description: "Optional timeout in milliseconds (default: 60000)",
             minimum: 1000,
             maximum: 300000,
           },
+          max_output_bytes: {
+            type: "number",
+            description: "Bytes of stdout and of stderr to return inline (default: 102400). Longer output is cut to its head and tail and saved in full to a temp file readable with file_read",
+            minimum: 1024,
+          },
+          stdin: {
+            type: "string",
+            description: "Optional data to write to the process's stdin, which is closed afterwards",
+          },
+          stdin_encoding: {
+            type: "string",
+            description: "Encoding of stdin: utf8 text or base64 for binary data (default: utf8)",
+            enum: ["utf8", "base64"],
+          },
+          fail_on_nonzero: {
+            type: "boolean",
+            description: "Report a non-zero exit code, signal or timeout as a failure instead of a normal result (default: false)",
+          },
         },
         required: ["script_content", "interpreter"],
       }
     );
   }
 
+  // The interpreter enum lists what is installed and allowed right now, so
+  // it is rebuilt whenever the tools are listed
+  getDefinition() {
+    const available = getAvailableInterpreters().map(interpreter => interpreter.name);
+    const properties = {
+      ...this.inputSchema.properties,
+      interpreter: {
+        ...this.inputSchema.properties.interpreter,
+        ...(available.length > 0 && { enum: available }),
+      },
+    };
+
+    return {
+      ...super.getDefinition(),
+      inputSchema: { ...this.inputSchema, properties },
+    };
+  }
+
+  // Shell scripts, including any extra files they might source, are held
+  // on the same command rules as execute_command. Installing dependencies
+  // runs pip or npm, which is checked like any other command.
+  getPolicyTargets(args) {
+    const cwd = this.getWorkingDirectory(args);
+    const environment = this.planEnvironment(args);
+    return {
+      commands: [
+        ...this.getShellScripts(args).map(command => ({ ...command, cwd })),
+        ...(environment ? environment.steps.map(step => step.command) : []),
+      ],
+      interpreters: [args.interpreter],
+      paths: [{ path: cwd, access: 'read' }],
+    };
+  }
+
+  // The approval rules see the shell scripts through getPolicyTargets.
+  // Packages are held before they are downloaded, unless they are already
+  // in the cache.
+  async getApprovalReasons(args) {
+    const environment = this.planEnvironment(args);
+    if (!environment || environment.cached) {
+      return [];
+    }
+    return [{ rule: 'install_packages', description: 'Installs packages from the package registry', target: environment.packages.join(' ') }];
+  }
+
+  // script_content and files of a shell interpreter, as command targets in
+  // its dialect
+  getShellScripts(args) {
+    const interpreter = getInterpreter(args.interpreter);
+    if (!interpreter?.shell) {
+      return [];
+    }
+    const files = args.files && typeof args.files === 'object' ? Object.values(args.files) : [];
+    return [args.script_content, ...files]
+      .filter(content => typeof content === 'string')
+      .map(command => ({ command, shell: interpreter.executable }));
+  }
+
+  // The environment `dependencies` are installed into, or null when there
+  // are none or they are rejected when the tool runs
+  planEnvironment(args) {
+    const definition = getInterpreter(args.interpreter);
+    const { dependencies = [] } = args;
+    if (!definition || !Array.isArray(dependencies) || dependencies.length === 0) {
+      return null;
+    }
+    this.validateDependencies(definition, dependencies);
+    return planScriptEnvironment(definition, dependencies);
+  }
+
   async run(args) {
-    const { script_content, interpreter, working_directory, timeout = TIMEOUTS.SCRIPT } = args;
+    const {
+      script_content,
+      interpreter,
+      env_profile,
+      dependencies = [],
+      args: scriptArgs = [],
+      entry_point,
+      files = {},
+      keep_temp_dir = false,
+      timeout = TIMEOUTS.SCRIPT,
+      fail_on_nonzero = false,
+      max_output_bytes,
+      stdin,
+      stdin_encoding,
+    } = args;
+    const working_directory = this.getWorkingDirectory(args);
     
     if (!script_content || typeof script_content !== 'string') {
       throw new McpError(ErrorCode.InvalidParams, "Script content must be a non-empty string");
     }
 
-    let tempFile = null;
+    const definition = getInterpreter(interpreter);
+    if (!definition) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported interpreter: ${interpreter}. Configured interpreters: ${Object.keys(getInterpreters()).join(', ')}`);
+    }
+    if (!Array.isArray(scriptArgs) || scriptArgs.some(arg => typeof arg !== 'string')) {
+      throw new McpError(ErrorCode.InvalidParams, "args must be an array of strings");
+    }
+    if (scriptArgs.length > 0 && !definition.command.includes('{args}')) {
+      throw new McpError(ErrorCode.InvalidParams, `The ${interpreter} interpreter doesn't take script arguments`);
+    }
+
+    this.checkEnvProfile(env_profile);
+    this.validateDependencies(definition, dependencies);
+    this.validateScriptFiles(entry_point, files);
+    const input = this.decodeStdin(stdin, stdin_encoding);
+
+    if (!findInterpreter(definition)) {
+      throw new Error(`Interpreter ${interpreter} is not installed: ${definition.executable} was not found`);
+    }
+
+    let tempDir = null;
 
     try {
-      // Create temporary file for script
-      const tempDir = mkdtempSync(join(tmpdir(), 'claude-terminal-'));
-      const extension = SCRIPT_EXTENSIONS[interpreter] || '.txt';
-      tempFile = join(tempDir, `script${extension}`);
-      
-      writeFileSync(tempFile, script_content, 'utf8');
-
-      // Build command based on interpreter
-      const command = this.buildScriptCommand(interpreter, tempFile);
-      
+      // Write the script and its files into a temporary directory
+      tempDir = mkdtempSync(join(tmpdir(), 'claude-terminal-'));
+      const tempFile = this.writeScriptFile(tempDir, entry_point || `script${definition.extension}`, script_content);
+      for (const [path, content] of Object.entries(files)) {
+        this.writeScriptFile(tempDir, path, content);
+      }
+
       const execOptions = getExecOptions({
         timeout,
         working_directory,
+        env_profile,
+        max_output_bytes,
       });
 
-      const { stdout, stderr } = await execAsync(command, execOptions);
+      // Install time doesn't count against the script's timeout
+      const environment = dependencies.length > 0
+        ? await prepareScriptEnvironment(definition, dependencies, { env: execOptions.env })
+        : null;
+
+      // node resolves packages from the script's directory upwards, so the
+      // cached node_modules is linked next to it
+      if (environment?.node_modules) {
+        symlinkSync(environment.node_modules, join(tempDir, 'node_modules'), 'junction');
+      }
+
+      // Build command based on interpreter; a virtualenv brings its own python
+      const command = buildInterpreterCommand(definition, tempFile, scriptArgs, environment?.python);
+
+      const result = await runCommand(command, {
+        ...execOptions,
+        input,
+        failOnNonzero: fail_on_nonzero,
+      });
 
       return {
         interpreter,
-        working_directory: working_directory || process.cwd(),
-        stdout: stdout.toString(),
-        stderr: stderr.toString(),
-        exit_code: 0,
+        working_directory,
+        ...(keep_temp_dir && { temp_dir: tempDir, entry_point: tempFile }),
+        ...(environment && {
+          dependencies: {
+            packages: environment.packages,
+            environment: environment.path,
+            cache_hit: environment.cache_hit,
+            install_time_ms: environment.install_time_ms,
+          },
+        }),
+        ...result,
       };
     } finally {
-      // Clean up temp file
-      if (tempFile) {
+      // Clean up the temp directory; a linked node_modules is unlinked, not emptied
+      if (tempDir && !keep_temp_dir) {
         try {
-          unlinkSync(tempFile);
+          rmSync(tempDir, { recursive: true, force: true });
         } catch (cleanupError) {
-          console.error(`Failed to cleanup temp file: ${cleanupError.message}`);
+          console.error(`Failed to cleanup temp directory: ${cleanupError.message}`);
         }
       }
     }
   }
 
-  buildScriptCommand(interpreter, scriptPath) {
-    const commandBuilder = SCRIPT_COMMANDS[interpreter];
-    
-    if (!commandBuilder) {
-      throw new McpError(ErrorCode.InvalidParams, `Unsupported interpreter: ${interpreter}`);
+  validateScriptFiles(entryPoint, files) {
+    if (entryPoint !== undefined && (typeof entryPoint !== 'string' || !entryPoint)) {
+      throw new McpError(ErrorCode.InvalidParams, "entry_point must be a non-empty relative path");
+    }
+    if (!files || typeof files !== 'object' || Array.isArray(files)) {
+      throw new McpError(ErrorCode.InvalidParams, "files must be an object mapping relative paths to file content");
+    }
+
+    const paths = Object.keys(files);
+    if (paths.length > SCRIPT_LIMITS.MAX_FILES) {
+      throw new McpError(ErrorCode.InvalidParams, `At most ${SCRIPT_LIMITS.MAX_FILES} files are allowed`);
+    }
+    if (entryPoint && paths.some(path => resolve('/', path) === resolve('/', entryPoint))) {
+      throw new McpError(ErrorCode.InvalidParams, `files must not contain the entry point ${entryPoint}; pass its content as script_content`);
+    }
+    for (const [path, content] of Object.entries(files)) {
+      if (typeof content !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, `Content of ${path} in files must be a string`);
+      }
+    }
+  }
+
+  // Write a file given by a relative path, which must stay inside `tempDir`
+  writeScriptFile(tempDir, relativePath, content) {
+    const target = resolve(tempDir, relativePath);
+    if (isAbsolute(relativePath) || target === tempDir || !isPathWithin(target, tempDir)) {
+      throw new McpError(ErrorCode.InvalidParams, `Script file paths must be relative and stay inside the script directory: ${relativePath}`);
+    }
+
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, content, 'utf8');
+    return target;
+  }
+
+  validateDependencies(definition, dependencies) {
+    if (!Array.isArray(dependencies)) {
+      throw new McpError(ErrorCode.InvalidParams, "dependencies must be an array of package names");
+    }
+    if (dependencies.length === 0) {
+      return;
+    }
+    if (!PACKAGE_ECOSYSTEMS.includes(definition.dependencies)) {
+      throw new McpError(ErrorCode.InvalidParams, `The ${definition.name} interpreter doesn't support dependencies; Python and node interpreters do`);
+    }
+    if (dependencies.length > SCRIPT_ENV_LIMITS.MAX_DEPENDENCIES) {
+      throw new McpError(ErrorCode.InvalidParams, `At most ${SCRIPT_ENV_LIMITS.MAX_DEPENDENCIES} dependencies are allowed`);
+    }
+
+    const pattern = DEPENDENCY_SPECS[definition.dependencies];
+    const invalid = dependencies.filter(spec => typeof spec !== 'string' || !pattern.test(spec));
+    if (invalid.length > 0) {
+      const example = definition.dependencies === 'python' ? '"requests==2.32.3"' : '"lodash@4"';
+      throw new McpError(ErrorCode.InvalidParams, `Invalid dependency: ${JSON.stringify(invalid[0])}. Use registry package names with an optional version, like ${example}; URLs, git repos, tarballs and local paths aren't supported`);
     }
-    
-    return commandBuilder(scriptPath);
   }
-}
\ No newline at end of file
+}
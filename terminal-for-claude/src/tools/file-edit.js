@@ -0,0 +1,269 @@
+import { BaseTool } from "./base-tool.js";
+import { readFileWithMetadata, writeFileWithMetadata, createBackup, checkFilePreconditions } from "../utils/file-utils.js";
+import { createUnifiedDiff, applyUnifiedDiff, splitLines } from "../utils/diff-utils.js";
+import { FILE_EDIT_MODES, FILE_ENCODINGS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+export class FileEditTool extends BaseTool {
+  constructor() {
+    super(
+      "file_edit",
+      "Edit a file in place without rewriting it: exact string replacement, regex replacement, line-range replacement or applying a unified diff. Returns the resulting diff. The write is atomic and fails if the file changes while the edit is applied",
+      {
+        type: "object",
+        properties: {
+          file_path: {
+            type: "string",
+            description: "Path to the file to edit (absolute or relative)",
+          },
+          mode: {
+            type: "string",
+            description: "replace: exact string replacement; regex: regular expression replacement; lines: replace a line range; patch: apply a unified diff",
+            enum: Object.values(FILE_EDIT_MODES),
+          },
+          old_string: {
+            type: "string",
+            description: "replace mode: exact text to find. Must match exactly once unless replace_all is set",
+          },
+          new_string: {
+            type: "string",
+            description: "replace mode: replacement text. lines mode: text that replaces the line range (empty string deletes the lines)",
+          },
+          replace_all: {
+            type: "boolean",
+            description: "replace mode: replace every occurrence instead of requiring a unique match (default: false)",
+          },
+          pattern: {
+            type: "string",
+            description: "regex mode: JavaScript regular expression",
+          },
+          replacement: {
+            type: "string",
+            description: "regex mode: replacement template; $1, $<name> and $& refer to captures",
+          },
+          flags: {
+            type: "string",
+            description: "regex mode: regular expression flags (default: g)",
+          },
+          start_line: {
+            type: "number",
+            description: "lines mode: first line to replace, 1-based",
+            minimum: 1,
+          },
+          end_line: {
+            type: "number",
+            description: "lines mode: last line to replace, inclusive. Use start_line - 1 to insert before start_line without replacing anything",
+            minimum: 0,
+          },
+          diff: {
+            type: "string",
+            description: "patch mode: unified diff for this file",
+          },
+          encoding: {
+            type: "string",
+            description: "File encoding (default: utf8)",
+            enum: FILE_ENCODINGS,
+          },
+          backup: {
+            type: "boolean",
+            description: "Create a backup of the file before editing (default: false)",
+          },
+          dry_run: {
+            type: "boolean",
+            description: "Return the diff without writing the file (default: false)",
+          },
+          expected_hash: {
+            type: "string",
+            description: "Only edit if the file's current content_hash (from file_read) is this; otherwise fail with a file_conflict error",
+          },
+          expected_mtime: {
+            type: ["string", "number"],
+            description: "Only edit if the file's modification time is this (stats.modified from file_read); otherwise fail with a file_conflict error",
+          },
+        },
+        required: ["file_path", "mode"],
+      }
+    );
+  }
+
+  getPolicyTargets(args) {
+    return {
+      paths: [{ path: args.file_path, access: args.dry_run ? 'read' : 'write' }],
+    };
+  }
+
+  getRedactionOptions() {
+    return { patterns: false };
+  }
+
+  async run(args) {
+    const { file_path, mode, encoding = 'utf8', backup = false, dry_run = false, expected_hash, expected_mtime } = args;
+
+    if (!file_path || typeof file_path !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "file_path must be a non-empty string");
+    }
+
+    if (!Object.values(FILE_EDIT_MODES).includes(mode)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid mode. Must be one of: ${Object.values(FILE_EDIT_MODES).join(', ')}`
+      );
+    }
+
+    this.checkFilePreconditionArgs(args);
+
+    // Checked after the read: if the file changes in between, the write
+    // below sees that it no longer matches `original`
+    const original = readFileWithMetadata(file_path, encoding);
+    checkFilePreconditions(original.file_path, { expected_hash, expected_mtime });
+    const { content, replacements } = this.applyEdit(original.content, args);
+    const label = original.file_path.replace(/^[\\/]+/, '');
+    const diff = createUnifiedDiff(original.content, content, {
+      fromFile: `a/${label}`,
+      toFile: `b/${label}`,
+    });
+
+    if (dry_run || content === original.content) {
+      return {
+        operation: 'file_edit',
+        mode,
+        file_path: original.file_path,
+        content_hash: original.content_hash,
+        changed: content !== original.content,
+        dry_run,
+        replacements,
+        diff,
+      };
+    }
+
+    const backupInfo = backup ? createBackup(original.file_path) : null;
+    const result = writeFileWithMetadata(original.file_path, content, { encoding, expected_hash: original.content_hash });
+
+    return {
+      operation: 'file_edit',
+      mode,
+      ...result,
+      changed: true,
+      dry_run,
+      replacements,
+      diff,
+      backup_created: backupInfo,
+    };
+  }
+
+  applyEdit(content, args) {
+    switch (args.mode) {
+      case FILE_EDIT_MODES.REPLACE:
+        return this.replaceString(content, args);
+      case FILE_EDIT_MODES.REGEX:
+        return this.replaceRegex(content, args);
+      case FILE_EDIT_MODES.LINES:
+        return this.replaceLines(content, args);
+      case FILE_EDIT_MODES.PATCH:
+        return this.applyPatch(content, args);
+      default:
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported mode: ${args.mode}`);
+    }
+  }
+
+  replaceString(content, { old_string, new_string, replace_all = false }) {
+    if (typeof old_string !== 'string' || old_string === '') {
+      throw new McpError(ErrorCode.InvalidParams, "old_string must be a non-empty string for replace mode");
+    }
+    if (typeof new_string !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "new_string must be a string for replace mode");
+    }
+
+    const occurrences = content.split(old_string).length - 1;
+
+    if (occurrences === 0) {
+      throw new Error("old_string not found in file");
+    }
+
+    if (occurrences > 1 && !replace_all) {
+      throw new Error(`old_string matches ${occurrences} times. Include more surrounding context to make it unique, or set replace_all: true`);
+    }
+
+    // split/join avoids String.replace interpreting $ patterns in new_string
+    return {
+      content: content.split(old_string).join(new_string),
+      replacements: occurrences,
+    };
+  }
+
+  replaceRegex(content, { pattern, replacement, flags = 'g' }) {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new McpError(ErrorCode.InvalidParams, "pattern must be a non-empty string for regex mode");
+    }
+    if (typeof replacement !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "replacement must be a string for regex mode");
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid regular expression: ${error.message}`);
+    }
+
+    const matches = regex.global ? [...content.matchAll(regex)].length : (regex.test(content) ? 1 : 0);
+    regex.lastIndex = 0;
+
+    if (matches === 0) {
+      throw new Error(`Pattern /${pattern}/${flags} did not match anything in the file`);
+    }
+
+    return {
+      content: content.replace(regex, replacement),
+      replacements: matches,
+    };
+  }
+
+  replaceLines(content, { start_line, end_line, new_string }) {
+    if (!Number.isInteger(start_line) || start_line < 1) {
+      throw new McpError(ErrorCode.InvalidParams, "start_line must be a positive integer for lines mode");
+    }
+    if (!Number.isInteger(end_line) || end_line < start_line - 1) {
+      throw new McpError(ErrorCode.InvalidParams, "end_line must be an integer >= start_line - 1 for lines mode");
+    }
+    if (typeof new_string !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "new_string must be a string for lines mode");
+    }
+
+    const lines = splitLines(content);
+
+    if (start_line > lines.length + 1 || end_line > lines.length) {
+      throw new Error(`Line range ${start_line}-${end_line} is outside the file (${lines.length} lines)`);
+    }
+
+    // Keep the replaced block's line structure: the new text ends with a
+    // newline unless it replaces the file's unterminated last line.
+    const replacesLastLine = end_line === lines.length && !content.endsWith('\n');
+    let replacement = new_string;
+    if (replacement !== '' && !replacement.endsWith('\n') && !replacesLastLine) {
+      replacement += '\n';
+    }
+    // Appending after an unterminated last line needs a line break first
+    if (start_line === lines.length + 1 && lines.length > 0 && !content.endsWith('\n')) {
+      lines[lines.length - 1] += '\n';
+    }
+
+    lines.splice(start_line - 1, end_line - start_line + 1, ...splitLines(replacement));
+
+    return {
+      content: lines.join(''),
+      replacements: end_line - start_line + 1,
+    };
+  }
+
+  applyPatch(content, { diff }) {
+    if (typeof diff !== 'string' || diff.trim() === '') {
+      throw new McpError(ErrorCode.InvalidParams, "diff must be a non-empty unified diff for patch mode");
+    }
+
+    return {
+      content: applyUnifiedDiff(content, diff),
+      replacements: (diff.match(/^@@ /gm) || []).length,
+    };
+  }
+}
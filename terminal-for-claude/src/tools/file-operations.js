@@ -38,6 +38,18 @@ export class FileOperationsTool extends BaseTool {
     );
   }
 
+  getPolicyTargets(args) {
+    const { operation, source, destination } = args;
+
+    // Copying only reads the source; move and delete modify it
+    return {
+      paths: [
+        { path: source, access: operation === FILE_OPERATIONS.COPY ? 'read' : 'write' },
+        { path: destination, access: 'write' },
+      ],
+    };
+  }
+
   async run(args) {
     const { operation, source, destination, overwrite = false, force = false } = args;
     
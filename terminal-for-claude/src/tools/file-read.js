@@ -1,5 +1,5 @@
 import { BaseTool } from "./base-tool.js";
-import { readFileWithMetadata } from "../utils/file-utils.js";
+import { readFileWithMetadata, readFileRangeWithMetadata } from "../utils/file-utils.js";
 import { FILE_ENCODINGS } from "../config/constants.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 
@@ -7,7 +7,7 @@ export class FileReadTool extends BaseTool {
   constructor() {
     super(
       "file_read",
-      "Read file contents with metadata - safer and more informative than shell commands",
+      "Read file contents with metadata - safer and more informative than shell commands. Use start_line/end_line, tail_lines or offset/length to read part of a large file",
       {
         type: "object",
         properties: {
@@ -20,21 +20,83 @@ export class FileReadTool extends BaseTool {
             description: "File encoding (default: utf8)",
             enum: FILE_ENCODINGS,
           },
+          start_line: {
+            type: "number",
+            description: "First line to read, 1-based (default: 1 when end_line is given)",
+            minimum: 1,
+          },
+          end_line: {
+            type: "number",
+            description: "Last line to read, inclusive (default: end of file when start_line is given)",
+            minimum: 1,
+          },
+          tail_lines: {
+            type: "number",
+            description: "Read only the last N lines of the file",
+            minimum: 1,
+          },
+          offset: {
+            type: "number",
+            description: "Byte offset to start reading from",
+            minimum: 0,
+          },
+          length: {
+            type: "number",
+            description: "Number of bytes to read from offset (default: 65536)",
+            minimum: 1,
+          },
+          line_numbers: {
+            type: "boolean",
+            description: "Prefix each line with its line number in line-range and tail reads (default: true)",
+          },
         },
         required: ["file_path"],
       }
     );
   }
 
+  getPolicyTargets(args) {
+    return {
+      paths: [{ path: args.file_path, access: 'read' }],
+    };
+  }
+
+  getRedactionOptions() {
+    return { patterns: false };
+  }
+
   async run(args) {
-    const { file_path, encoding = 'utf8' } = args;
+    const { file_path, encoding = 'utf8', start_line, end_line, tail_lines, offset, length, line_numbers } = args;
     
     if (!file_path || typeof file_path !== 'string') {
       throw new McpError(ErrorCode.InvalidParams, "file_path must be a non-empty string");
     }
 
+    for (const [name, value] of Object.entries({ start_line, end_line, tail_lines, length })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new McpError(ErrorCode.InvalidParams, `${name} must be a positive integer`);
+      }
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      throw new McpError(ErrorCode.InvalidParams, "offset must be a non-negative integer");
+    }
+
+    const lineRange = start_line !== undefined || end_line !== undefined;
+    const byteRange = offset !== undefined || length !== undefined;
+    const modes = [lineRange, tail_lines !== undefined, byteRange].filter(Boolean).length;
+
+    if (modes > 1) {
+      throw new McpError(ErrorCode.InvalidParams, "Use only one of start_line/end_line, tail_lines or offset/length");
+    }
+
+    if (lineRange && start_line !== undefined && end_line !== undefined && end_line < start_line) {
+      throw new McpError(ErrorCode.InvalidParams, "end_line must be greater than or equal to start_line");
+    }
+
     try {
-      const result = readFileWithMetadata(file_path, encoding);
+      const result = modes > 0
+        ? readFileRangeWithMetadata(file_path, { encoding, start_line, end_line, tail_lines, offset, length, line_numbers })
+        : readFileWithMetadata(file_path, encoding);
       
       return {
         operation: 'file_read',
@@ -1,5 +1,5 @@
 import { BaseTool } from "./base-tool.js";
-import { writeFileWithMetadata } from "../utils/file-utils.js";
+import { writeFileWithMetadata, createBackup, checkFilePreconditions } from "../utils/file-utils.js";
 import { FILE_ENCODINGS } from "../config/constants.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 
@@ -7,7 +7,7 @@ export class FileWriteTool extends BaseTool {
   constructor() {
     super(
       "file_write",
-      "Write content to a file with metadata - safer than shell redirection",
+      "Write content to a file with metadata - safer than shell redirection. The write is atomic, and expected_hash/expected_mtime refuse to overwrite a file that changed since it was read",
       {
         type: "object",
         properties: {
@@ -32,19 +32,39 @@ export class FileWriteTool extends BaseTool {
             type: "boolean",
             description: "Create a backup of existing file before overwriting (default: false)",
           },
+          expected_hash: {
+            type: "string",
+            description: "Only write if the file's current content_hash (from file_read) is this; otherwise fail with a file_conflict error",
+          },
+          expected_mtime: {
+            type: ["string", "number"],
+            description: "Only write if the file's modification time is this (stats.modified from file_read); otherwise fail with a file_conflict error",
+          },
         },
         required: ["file_path", "content"],
       }
     );
   }
 
+  getPolicyTargets(args) {
+    return {
+      paths: [{ path: args.file_path, access: 'write' }],
+    };
+  }
+
+  getRedactionOptions() {
+    return { patterns: false };
+  }
+
   async run(args) {
     const { 
       file_path, 
       content, 
       encoding = 'utf8', 
       create_directories = false,
-      backup = false 
+      backup = false,
+      expected_hash,
+      expected_mtime,
     } = args;
     
     if (!file_path || typeof file_path !== 'string') {
@@ -55,20 +75,25 @@ export class FileWriteTool extends BaseTool {
       throw new McpError(ErrorCode.InvalidParams, "content is required");
     }
 
+    this.checkFilePreconditionArgs(args);
+
     // Convert content to string if it isn't already
     const stringContent = typeof content === 'string' ? content : String(content);
 
     try {
       let backupInfo = null;
       
-      // Create backup if requested and file exists
+      // Create backup if requested and file exists; a stale file gets neither
       if (backup) {
+        checkFilePreconditions(file_path, { expected_hash, expected_mtime });
         backupInfo = await this.createBackup(file_path);
       }
 
       const result = writeFileWithMetadata(file_path, stringContent, {
         encoding,
-        create_directories
+        create_directories,
+        expected_hash,
+        expected_mtime,
       });
       
       return {
@@ -98,33 +123,7 @@ export class FileWriteTool extends BaseTool {
   }
 
   async createBackup(filePath) {
-    try {
-      const { existsSync } = await import("fs");
-      const { copyFileSync } = await import("fs");
-      const { validateAndNormalizePath } = await import("../utils/file-utils.js");
-      
-      const normalizedPath = validateAndNormalizePath(filePath);
-      
-      if (!existsSync(normalizedPath)) {
-        return null; // No backup needed if file doesn't exist
-      }
-
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = `${normalizedPath}.backup-${timestamp}`;
-      
-      copyFileSync(normalizedPath, backupPath);
-      
-      return {
-        backup_created: true,
-        backup_path: backupPath,
-        timestamp
-      };
-    } catch (error) {
-      return {
-        backup_created: false,
-        error: error.message
-      };
-    }
+    return createBackup(filePath);
   }
 
   createContentPreview(content, maxLength = 200) {
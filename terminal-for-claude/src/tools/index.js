@@ -2,9 +2,18 @@ export { BaseTool } from "./base-tool.js";
 export { ExecuteCommandTool } from "./execute-command.js";
 export { ExecuteScriptTool } from "./execute-script.js";
 export { SystemInfoTool } from "./system-info.js";
+export { EnvListTool } from "./env-list.js";
 export { ListProcessesTool, KillProcessTool } from "./process-manager.js";
+export { ListPortsTool } from "./list-ports.js";
 export { FileReadTool } from "./file-read.js";
 export { FileWriteTool } from "./file-write.js";
+export { FileEditTool } from "./file-edit.js";
 export { FileOperationsTool } from "./file-operations.js";
 export { DirectoryOperationsTool } from "./directory-operations.js";
+export { SearchFilesTool } from "./search-files.js";
+export { SessionCreateTool, SessionExecTool, SessionCloseTool } from "./session-manager.js";
+export { JobStartTool, JobOutputTool, JobStatusTool, JobStopTool, JobInputTool } from "./job-manager.js";
+export { PtyOpenTool, PtyWriteTool, PtyReadTool, PtyResizeTool, PtyCloseTool } from "./pty-manager.js";
+export { AuditQueryTool } from "./audit-query.js";
+export { ApproveActionTool } from "./approve-action.js";
 export { ToolRegistry } from "./tool-registry.js";
\ No newline at end of file
@@ -0,0 +1,356 @@
+import { BaseTool } from "./base-tool.js";
+import { getJobManager } from "../utils/background-job.js";
+import { shellInputTargets, trackShellInput } from "../security/shell-input.js";
+import { resolveEnvironment } from "../utils/env-utils.js";
+import { JOB_LIMITS, TIMEOUTS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+function requireJobId(job_id) {
+  if (!job_id || typeof job_id !== 'string') {
+    throw new McpError(ErrorCode.InvalidParams, "job_id must be a non-empty string");
+  }
+}
+
+// Secrets from the env profile and environment the job was started with
+function jobRedactionArgs(args) {
+  try {
+    return { ...getJobManager().get(args.job_id).redactionArgs, ...args };
+  } catch {
+    return args;
+  }
+}
+
+export class JobStartTool extends BaseTool {
+  constructor() {
+    super(
+      "job_start",
+      "Start a long-running command (dev server, watcher, build) in the background and return a job ID immediately",
+      {
+        type: "object",
+        properties: {
+          command: {
+            type: "string",
+            description: "The command to run in the background",
+          },
+          working_directory: {
+            type: "string",
+            description: "Optional working directory for the job",
+          },
+          environment: {
+            type: "object",
+            description: "Optional environment variables, applied on top of env_profile",
+          },
+          env_profile: {
+            type: "string",
+            description: "Named environment profile from the config (see env_list); defaults to defaultEnvProfile",
+          },
+          name: {
+            type: "string",
+            description: "Optional label to help identify the job",
+          },
+          stdin: {
+            type: "string",
+            description: "Optional data to write to the job's stdin when it starts",
+          },
+          stdin_encoding: {
+            type: "string",
+            description: "Encoding of stdin: utf8 text or base64 for binary data (default: utf8)",
+            enum: ["utf8", "base64"],
+          },
+          keep_stdin_open: {
+            type: "boolean",
+            description: "Keep stdin open after the initial input so more can be sent with job_input (default: false, stdin is closed)",
+          },
+        },
+        required: ["command"],
+      }
+    );
+  }
+
+  getPolicyTargets(args) {
+    const stdin = this.previewStdin(args.stdin, args.stdin_encoding);
+    const end = args.keep_stdin_open !== true;
+    const cwd = this.getWorkingDirectory(args);
+    return {
+      commands: [{ command: args.command, cwd }, ...shellInputTargets(this.name, trackShellInput(args.command), stdin, { end })],
+      paths: [{ path: cwd, access: 'read' }],
+    };
+  }
+
+  async run(args) {
+    const {
+      command,
+      environment,
+      env_profile,
+      name,
+      stdin,
+      stdin_encoding,
+      keep_stdin_open = false,
+    } = args;
+    const working_directory = this.getWorkingDirectory(args);
+
+    if (!command || typeof command !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "Command must be a non-empty string");
+    }
+    if (environment !== undefined && (typeof environment !== 'object' || environment === null)) {
+      throw new McpError(ErrorCode.InvalidParams, "environment must be an object");
+    }
+    this.checkEnvProfile(env_profile);
+
+    const input = this.decodeStdin(stdin, stdin_encoding);
+    const { env } = resolveEnvironment({ env_profile, environment, working_directory });
+    const job = getJobManager().start(command, {
+      working_directory,
+      env,
+      redactionArgs: { env_profile, environment, working_directory },
+      name,
+      input,
+      keep_stdin_open,
+    });
+
+    return {
+      ...job.getInfo(),
+    };
+  }
+}
+
+export class JobOutputTool extends BaseTool {
+  constructor() {
+    super(
+      "job_output",
+      "Fetch output from a background job incrementally. Pass next_offset or next_line from the previous call to get only new output",
+      {
+        type: "object",
+        properties: {
+          job_id: {
+            type: "string",
+            description: "Job ID returned by job_start",
+          },
+          offset: {
+            type: "number",
+            description: "Byte offset to read from (default: 0). Ignored when line is given",
+            minimum: 0,
+          },
+          line: {
+            type: "number",
+            description: "Line cursor to read from; returns whole lines instead of raw bytes",
+            minimum: 0,
+          },
+          max_bytes: {
+            type: "number",
+            description: "Maximum bytes to return (default: 65536)",
+            minimum: 1,
+            maximum: JOB_LIMITS.OUTPUT_BUFFER_SIZE,
+          },
+          max_lines: {
+            type: "number",
+            description: "Maximum lines to return in line mode (default: 200)",
+            minimum: 1,
+          },
+        },
+        required: ["job_id"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return jobRedactionArgs(args);
+  }
+
+  async run(args) {
+    const {
+      job_id,
+      offset = 0,
+      line,
+      max_bytes = JOB_LIMITS.DEFAULT_READ_BYTES,
+      max_lines = JOB_LIMITS.DEFAULT_READ_LINES,
+    } = args;
+
+    requireJobId(job_id);
+    const job = getJobManager().get(job_id);
+
+    const output = line !== undefined
+      ? job.output.readLines(line, {
+          maxLines: max_lines,
+          maxBytes: max_bytes,
+          includePartial: !job.isRunning(),
+        })
+      : job.output.readBytes(offset, max_bytes);
+
+    return {
+      job_id,
+      status: job.status,
+      running: job.isRunning(),
+      exit_code: job.exitCode,
+      ...output,
+    };
+  }
+}
+
+export class JobStatusTool extends BaseTool {
+  constructor() {
+    super(
+      "job_status",
+      "Report whether background jobs are running and their exit codes. Omit job_id to list all jobs",
+      {
+        type: "object",
+        properties: {
+          job_id: {
+            type: "string",
+            description: "Optional job ID; all jobs are listed when omitted",
+          },
+        },
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return jobRedactionArgs(args);
+  }
+
+  async run(args) {
+    const { job_id } = args;
+    const manager = getJobManager();
+
+    if (job_id === undefined) {
+      const jobs = manager.list();
+      return {
+        job_count: jobs.length,
+        running_count: jobs.filter(job => job.running).length,
+        jobs,
+      };
+    }
+
+    requireJobId(job_id);
+    return {
+      ...manager.get(job_id).getInfo(),
+    };
+  }
+}
+
+export class JobStopTool extends BaseTool {
+  constructor() {
+    super(
+      "job_stop",
+      "Stop a background job and everything it started. Escalates to SIGKILL if the job ignores the signal",
+      {
+        type: "object",
+        properties: {
+          job_id: {
+            type: "string",
+            description: "Job ID returned by job_start",
+          },
+          signal: {
+            type: "string",
+            description: "Signal to send first (default: SIGTERM)",
+            enum: ["SIGTERM", "SIGKILL", "SIGINT", "SIGHUP", "SIGQUIT"],
+          },
+          grace_period: {
+            type: "number",
+            description: "Milliseconds to wait before escalating to SIGKILL (default: 5000)",
+            minimum: 0,
+            maximum: 60000,
+          },
+        },
+        required: ["job_id"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return jobRedactionArgs(args);
+  }
+
+  async run(args) {
+    const { job_id, signal = 'SIGTERM', grace_period = TIMEOUTS.KILL } = args;
+
+    requireJobId(job_id);
+    const job = getJobManager().get(job_id);
+
+    const signalled = job.stop(signal, grace_period);
+    // Give the escalation a chance to land before reporting
+    const exited = signalled ? await job.waitForExit(grace_period + 1000) : !job.isRunning();
+
+    return {
+      ...job.getInfo(),
+      signal_sent: signalled ? signal : null,
+      stopped: exited,
+    };
+  }
+}
+
+export class JobInputTool extends BaseTool {
+  constructor() {
+    super(
+      "job_input",
+      "Write to the stdin of a background job started with keep_stdin_open, or close its stdin to signal end of input",
+      {
+        type: "object",
+        properties: {
+          job_id: {
+            type: "string",
+            description: "Job ID returned by job_start",
+          },
+          data: {
+            type: "string",
+            description: "Data to write. Include a trailing newline to answer a line-based prompt",
+          },
+          encoding: {
+            type: "string",
+            description: "Encoding of data: utf8 text or base64 for binary data (default: utf8)",
+            enum: ["utf8", "base64"],
+          },
+          close_stdin: {
+            type: "boolean",
+            description: "Close stdin after writing, sending end-of-file to the job (default: false)",
+          },
+        },
+        required: ["job_id"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return jobRedactionArgs(args);
+  }
+
+  // Lines written to a shell job are command lines, checked like job_start's
+  getPolicyTargets(args) {
+    let job;
+    try {
+      job = getJobManager().get(args.job_id);
+    } catch {
+      // An unknown job fails when the tool runs
+      return {};
+    }
+
+    const data = this.previewStdin(args.data, args.encoding, 'data');
+    return {
+      commands: shellInputTargets(this.name, job.shellInput, data, { end: args.close_stdin === true }),
+    };
+  }
+
+  async run(args) {
+    const { job_id, data, encoding, close_stdin = false } = args;
+
+    requireJobId(job_id);
+    if (data === undefined && !close_stdin) {
+      throw new McpError(ErrorCode.InvalidParams, "Provide data to write, close_stdin: true, or both");
+    }
+
+    const input = this.decodeStdin(data, encoding, 'data');
+    const job = getJobManager().get(job_id);
+    const bytesWritten = input ? await job.writeInput(input) : 0;
+
+    if (close_stdin) {
+      job.closeInput();
+    }
+
+    return {
+      job_id,
+      bytes_written: bytesWritten,
+      stdin_closed: close_stdin,
+      ...job.getInfo(),
+    };
+  }
+}
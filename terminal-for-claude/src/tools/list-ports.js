@@ -0,0 +1,103 @@
+import { BaseTool } from "./base-tool.js";
+import { listSockets, isListening } from "../utils/net-utils.js";
+import { listProcessDetails } from "../utils/process-utils.js";
+import { PROCESS_LIMITS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+const STATE_FILTERS = {
+  listening: socket => isListening(socket),
+  established: socket => socket.state === 'ESTABLISHED',
+  all: () => true,
+};
+
+export class ListPortsTool extends BaseTool {
+  constructor() {
+    super(
+      "list_ports",
+      "List TCP/UDP sockets with local and remote address, state and the owning process. Use it to find what is using a port; kill_process accepts a port to terminate its owner",
+      {
+        type: "object",
+        properties: {
+          port: {
+            type: "number",
+            description: "Only sockets with this local or remote port",
+            minimum: 1,
+            maximum: 65535,
+          },
+          pid: {
+            type: "number",
+            description: "Only sockets owned by this process",
+            minimum: 1,
+          },
+          state: {
+            type: "string",
+            description: "listening (TCP LISTEN and bound UDP), established, or all (default: all)",
+            enum: Object.keys(STATE_FILTERS),
+          },
+          protocol: {
+            type: "string",
+            description: "Only tcp or udp sockets, IPv4 and IPv6 (default: both)",
+            enum: ["tcp", "udp"],
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of sockets returned (default: 50, max: 500)",
+            minimum: 1,
+            maximum: PROCESS_LIMITS.MAX_LIMIT,
+          },
+        },
+      }
+    );
+  }
+
+  async run(args) {
+    const { port, pid, state = 'all', protocol, limit = PROCESS_LIMITS.DEFAULT_LIMIT } = args;
+
+    if (!STATE_FILTERS[state]) {
+      throw new McpError(ErrorCode.InvalidParams, `state must be one of: ${Object.keys(STATE_FILTERS).join(', ')}`);
+    }
+    if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      throw new McpError(ErrorCode.InvalidParams, "port must be an integer between 1 and 65535");
+    }
+
+    const [sockets, processes] = await Promise.all([listSockets(), listProcessDetails()]);
+    const byPid = new Map(processes.map(proc => [proc.pid, proc]));
+
+    let matches = sockets.filter(STATE_FILTERS[state]);
+    if (protocol) {
+      matches = matches.filter(socket => socket.protocol.startsWith(protocol));
+    }
+    if (port !== undefined) {
+      matches = matches.filter(socket => socket.local_port === port || socket.remote_port === port);
+    }
+    if (pid !== undefined) {
+      matches = matches.filter(socket => socket.pid === pid);
+    }
+
+    matches.sort((a, b) => a.local_port - b.local_port || a.protocol.localeCompare(b.protocol));
+
+    const unattributed = matches.filter(socket => socket.pid === null).length;
+    const total = matches.length;
+    matches = matches.slice(0, Math.min(limit, PROCESS_LIMITS.MAX_LIMIT));
+
+    return {
+      socket_count: matches.length,
+      total_matched: total,
+      ...(total > matches.length && { truncated: true }),
+      sockets: matches.map(socket => ({
+        protocol: socket.protocol,
+        local_address: socket.local_address,
+        local_port: socket.local_port,
+        remote_address: socket.remote_address,
+        remote_port: socket.remote_port,
+        state: socket.state,
+        pid: socket.pid,
+        process_name: byPid.get(socket.pid)?.name ?? null,
+        command: byPid.get(socket.pid)?.command ?? null,
+      })),
+      ...(unattributed > 0 && {
+        note: `The owner of ${unattributed} socket(s) could not be determined; other users' processes need more privileges to inspect`,
+      }),
+    };
+  }
+}
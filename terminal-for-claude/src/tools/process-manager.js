@@ -1,20 +1,64 @@
+import { basename } from "path";
 import { BaseTool } from "./base-tool.js";
 import { execAsync } from "../utils/command-utils.js";
 import { isWindows } from "../utils/command-utils.js";
+import { getJobManager } from "../utils/background-job.js";
+import { getSessionManager } from "../utils/shell-session.js";
+import { getPtyManager } from "../utils/pty-session.js";
+import { listProcessDetails, getAncestors, getDescendants, buildProcessTree, isProcessAlive } from "../utils/process-utils.js";
+import { getListeningPortsByPid, listSockets, isListening } from "../utils/net-utils.js";
+import { ToolError, PolicyDeniedError } from "../utils/errors.js";
+import { getConfig } from "../config/config-manager.js";
 import { PROCESS_LIMITS, TIMEOUTS } from "../config/constants.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
 
+// PIDs this server started, mapped to what started them
+function getServerOwnedProcesses() {
+  const owners = new Map();
+
+  for (const [pid, job] of getJobManager().getOwnedProcesses()) {
+    owners.set(pid, { type: 'job', id: job.id, ...(job.name && { name: job.name }) });
+  }
+
+  for (const [pid, pty] of getPtyManager().getOwnedProcesses()) {
+    owners.set(pid, { type: 'pty', id: pty.id, ...(pty.name && { name: pty.name }) });
+  }
+
+  for (const session of getSessionManager().list()) {
+    if (!session.closed) {
+      owners.set(session.pid, { type: 'session', id: session.session_id });
+    }
+  }
+
+  owners.set(process.pid, { type: 'server' });
+  return owners;
+}
+
+const SORT_FIELDS = {
+  pid: proc => proc.pid,
+  ppid: proc => proc.ppid,
+  name: proc => proc.name.toLowerCase(),
+  user: proc => proc.user || '',
+  cpu: proc => proc.cpu_percent ?? -1,
+  memory: proc => proc.memory_percent ?? -1,
+  rss: proc => proc.rss_kb ?? -1,
+  start_time: proc => proc.start_time || '',
+};
+
+// Resource columns are most useful biggest-first
+const DESCENDING_BY_DEFAULT = new Set(['cpu', 'memory', 'rss']);
+
 export class ListProcessesTool extends BaseTool {
   constructor() {
     super(
       "list_processes",
-      "List running processes with filtering options",
+      "List running processes with filtering options. Use detailed, tree, sort_by or the user/pid/ppid/port/min_cpu/min_memory filters for full details: parent PID, RSS/VSZ, state, start time, cwd, command line and listening ports",
       {
         type: "object",
         properties: {
           filter: {
             type: "string",
-            description: "Optional filter for process names (regex supported)",
+            description: "Optional filter for process names (regex supported). In detailed mode the full command line is matched too",
           },
           limit: {
             type: "number",
@@ -22,13 +66,69 @@ export class ListProcessesTool extends BaseTool {
             minimum: 1,
             maximum: 500,
           },
+          owned_only: {
+            type: "boolean",
+            description: "Only list processes started by this server (background jobs and shell sessions)",
+          },
+          detailed: {
+            type: "boolean",
+            description: "Return full process details (default: false)",
+          },
+          user: {
+            type: "string",
+            description: "Only processes owned by this user",
+          },
+          pid: {
+            type: "number",
+            description: "Only this process (and its descendants when tree is true)",
+            minimum: 0,
+          },
+          ppid: {
+            type: "number",
+            description: "Only direct children of this parent PID",
+            minimum: 0,
+          },
+          port: {
+            type: "number",
+            description: "Only processes listening on this TCP/UDP port",
+            minimum: 1,
+            maximum: 65535,
+          },
+          min_cpu: {
+            type: "number",
+            description: "Only processes using at least this CPU percentage",
+            minimum: 0,
+          },
+          min_memory: {
+            type: "number",
+            description: "Only processes using at least this percentage of physical memory",
+            minimum: 0,
+          },
+          sort_by: {
+            type: "string",
+            description: "Sort field (default: pid)",
+            enum: Object.keys(SORT_FIELDS),
+          },
+          sort_order: {
+            type: "string",
+            description: "Sort direction (default: desc for cpu, memory and rss, asc otherwise)",
+            enum: ["asc", "desc"],
+          },
+          tree: {
+            type: "boolean",
+            description: "Nest processes under their parents in a children array",
+          },
         },
       }
     );
   }
 
   async run(args) {
-    const { filter, limit = PROCESS_LIMITS.DEFAULT_LIMIT } = args;
+    const { filter, limit = PROCESS_LIMITS.DEFAULT_LIMIT, owned_only = false } = args;
+
+    if (this.wantsDetails(args)) {
+      return this.runDetailed(args);
+    }
 
     const command = isWindows() ? 'tasklist /FO CSV' : 'ps aux';
 
@@ -37,7 +137,11 @@ export class ListProcessesTool extends BaseTool {
       maxBuffer: 1024 * 1024 * 5, // 5MB buffer
     });
 
-    let processes = this.parseProcessList(stdout, isWindows());
+    let processes = this.markOwnedProcesses(this.parseProcessList(stdout, isWindows()));
+
+    if (owned_only) {
+      processes = processes.filter(proc => proc.owned_by_server);
+    }
     
     if (filter) {
       const regex = new RegExp(filter, 'i');
@@ -52,6 +156,90 @@ export class ListProcessesTool extends BaseTool {
     };
   }
 
+  wantsDetails(args) {
+    return Boolean(args.detailed || args.tree || args.sort_by)
+      || ['user', 'pid', 'ppid', 'port', 'min_cpu', 'min_memory'].some(key => args[key] !== undefined);
+  }
+
+  async runDetailed(args) {
+    const {
+      filter,
+      limit = PROCESS_LIMITS.DEFAULT_LIMIT,
+      owned_only = false,
+      user,
+      pid,
+      ppid,
+      port,
+      min_cpu,
+      min_memory,
+      sort_by = 'pid',
+      sort_order,
+      tree = false,
+    } = args;
+
+    if (!SORT_FIELDS[sort_by]) {
+      throw new McpError(ErrorCode.InvalidParams, `sort_by must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    for (const [key, value] of Object.entries({ pid, ppid, port, min_cpu, min_memory })) {
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        throw new McpError(ErrorCode.InvalidParams, `${key} must be a non-negative number`);
+      }
+    }
+
+    let processes = this.markOwnedProcesses(await this.loadProcesses());
+
+    if (pid !== undefined) {
+      const selected = processes.filter(proc => proc.pid === pid);
+      processes = tree && selected.length > 0 ? [...selected, ...getDescendants(processes, pid)] : selected;
+    }
+    if (ppid !== undefined) {
+      processes = processes.filter(proc => proc.ppid === ppid);
+    }
+    if (owned_only) {
+      processes = processes.filter(proc => proc.owned_by_server);
+    }
+    if (user !== undefined) {
+      processes = processes.filter(proc => proc.user === user);
+    }
+    if (port !== undefined) {
+      processes = processes.filter(proc => proc.ports.some(entry => entry.port === port));
+    }
+    if (min_cpu !== undefined) {
+      processes = processes.filter(proc => (proc.cpu_percent ?? 0) >= min_cpu);
+    }
+    if (min_memory !== undefined) {
+      processes = processes.filter(proc => (proc.memory_percent ?? 0) >= min_memory);
+    }
+    if (filter) {
+      const regex = new RegExp(filter, 'i');
+      processes = processes.filter(proc => regex.test(proc.name) || regex.test(proc.command));
+    }
+
+    const key = SORT_FIELDS[sort_by];
+    const direction = (sort_order || (DESCENDING_BY_DEFAULT.has(sort_by) ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+    processes.sort((a, b) => {
+      const left = key(a);
+      const right = key(b);
+      return (left < right ? -1 : left > right ? 1 : a.pid - b.pid) * direction;
+    });
+
+    const matched = processes.length;
+    processes = processes.slice(0, Math.min(limit, PROCESS_LIMITS.MAX_LIMIT));
+
+    return {
+      process_count: processes.length,
+      total_matched: matched,
+      ...(matched > processes.length && { truncated: true }),
+      processes: tree ? buildProcessTree(processes) : processes,
+    };
+  }
+
+  // Every process with the ports it listens on
+  async loadProcesses() {
+    const [processes, ports] = await Promise.all([listProcessDetails(), getListeningPortsByPid()]);
+    return processes.map(proc => ({ ...proc, ports: ports.get(proc.pid) || [] }));
+  }
+
   parseProcessList(stdout, isWindows) {
     const lines = stdout.trim().split('\n');
     const processes = [];
@@ -86,13 +274,23 @@ export class ListProcessesTool extends BaseTool {
 
     return processes;
   }
+
+  // Tag processes this server started so the model can tell them apart
+  markOwnedProcesses(processes) {
+    const owners = getServerOwnedProcesses();
+
+    return processes.map(proc => owners.has(proc.pid)
+      ? { ...proc, owned_by_server: owners.get(proc.pid) }
+      : proc
+    );
+  }
 }
 
 export class KillProcessTool extends BaseTool {
   constructor() {
     super(
       "kill_process",
-      "Terminate a process by PID with safety checks",
+      "Terminate a process by PID, or whatever is listening on a port, optionally with all its descendants, with safety checks. Sends the signal, waits a grace period, then escalates to SIGKILL, and reports which processes actually exited. Critical system processes, the server and its ancestors are refused",
       {
         type: "object",
         properties: {
@@ -101,45 +299,230 @@ export class KillProcessTool extends BaseTool {
             description: "Process ID to terminate",
             minimum: 1,
           },
+          port: {
+            type: "number",
+            description: "Terminate the process(es) listening on this TCP/UDP port instead of giving a PID",
+            minimum: 1,
+            maximum: 65535,
+          },
+          expected_name: {
+            type: "string",
+            description: "Refuse unless the process has this name (e.g. \"node\"), guarding against a stale or mistyped PID",
+          },
+          tree: {
+            type: "boolean",
+            description: "Also terminate all descendants of the process (default: false)",
+          },
           force: {
             type: "boolean",
-            description: "Force kill the process (default: false)",
+            description: "Send SIGKILL straight away (default: false)",
           },
           signal: {
             type: "string",
-            description: "Signal to send (SIGTERM, SIGKILL, etc.)",
+            description: "Signal to send first (default: SIGTERM)",
             enum: ["SIGTERM", "SIGKILL", "SIGINT", "SIGHUP", "SIGQUIT"],
           },
+          grace_period: {
+            type: "number",
+            description: "Milliseconds to wait for the processes to exit before sending SIGKILL (default: 3000)",
+            minimum: 0,
+            maximum: PROCESS_LIMITS.MAX_GRACE_PERIOD,
+          },
+          escalate: {
+            type: "boolean",
+            description: "Send SIGKILL to processes still running after the grace period (default: true)",
+          },
         },
-        required: ["pid"],
       }
     );
   }
 
+  // Killing something this server started (or a child of it) is routine;
+  // anything else, a whole tree, or an unknown port owner needs approval
+  async getApprovalReasons(args) {
+    const { pid, port, tree } = args;
+    const reasons = [];
+
+    if (port !== undefined) {
+      reasons.push({ rule: 'kill_by_port', description: 'Terminates whatever is listening on a port', target: `port ${port}` });
+    }
+    if (tree) {
+      reasons.push({ rule: 'kill_tree', description: 'Terminates a process and all its descendants', target: `PID ${pid ?? `on port ${port}`}` });
+    }
+
+    if (typeof pid === 'number' && !tree) {
+      const owners = getServerOwnedProcesses();
+      const lineage = [pid, ...getAncestors(await listProcessDetails(), pid).map(proc => proc.pid)];
+      if (!lineage.some(entry => owners.has(entry))) {
+        reasons.push({ rule: 'kill_foreign_process', description: 'Terminates a process this server did not start', target: `PID ${pid}` });
+      }
+    }
+
+    return reasons;
+  }
+
   async run(args) {
-    const { pid, force = false, signal = 'SIGTERM' } = args;
+    const {
+      pid,
+      port,
+      expected_name,
+      tree = false,
+      force = false,
+      signal = 'SIGTERM',
+      grace_period = getConfig().get('killGracePeriod'),
+      escalate = true,
+    } = args;
 
-    if (!pid || typeof pid !== 'number' || pid < 1) {
+    if ((pid === undefined) === (port === undefined)) {
+      throw new McpError(ErrorCode.InvalidParams, "Provide either pid or port");
+    }
+    if (pid !== undefined && (!pid || typeof pid !== 'number' || pid < 1)) {
       throw new McpError(ErrorCode.InvalidParams, "PID must be a positive number");
     }
+    if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+      throw new McpError(ErrorCode.InvalidParams, "port must be an integer between 1 and 65535");
+    }
+    if (typeof grace_period !== 'number' || grace_period < 0) {
+      throw new McpError(ErrorCode.InvalidParams, "grace_period must be a non-negative number");
+    }
 
-    let command;
-    if (isWindows()) {
-      command = force ? `taskkill /F /PID ${pid}` : `taskkill /PID ${pid}`;
-    } else {
-      const killSignal = force ? 'SIGKILL' : signal;
-      command = `kill -${killSignal} ${pid}`;
+    const processes = await listProcessDetails();
+    const owners = port !== undefined
+      ? await this.findPortOwners(port, processes)
+      : processes.filter(proc => proc.pid === pid);
+    if (owners.length === 0) {
+      throw new Error(port !== undefined ? `No process is listening on port ${port}` : `No process with PID ${pid}`);
     }
 
-    const { stdout, stderr } = await execAsync(command, {
-      timeout: TIMEOUTS.KILL,
-    });
+    for (const owner of owners) {
+      if (expected_name && !this.matchesName(owner, expected_name)) {
+        throw new ToolError(
+          `PID ${owner.pid} is ${owner.name}, not ${expected_name}`,
+          'process_mismatch',
+          { pid: owner.pid, name: owner.name, command: owner.command, expected_name }
+        );
+      }
+    }
 
+    // Children before parents, so a supervisor can't respawn what we just killed
+    const ordered = new Map();
+    for (const owner of owners) {
+      for (const proc of [owner, ...(tree ? getDescendants(processes, owner.pid) : [])]) {
+        ordered.set(proc.pid, proc);
+      }
+    }
+    const targets = [...ordered.values()].reverse();
+    this.checkProtected(targets, processes);
+
+    const firstSignal = force ? 'SIGKILL' : signal;
+    const failed = [];
+    for (const proc of targets) {
+      const error = await this.sendSignal(proc.pid, firstSignal);
+      if (error) {
+        failed.push({ pid: proc.pid, name: proc.name, error });
+      }
+    }
+
+    const signalled = targets.filter(proc => !failed.some(entry => entry.pid === proc.pid));
+    let survivors = await this.waitForExit(signalled, firstSignal === 'SIGKILL' ? PROCESS_LIMITS.KILL_WAIT : Math.min(grace_period, PROCESS_LIMITS.MAX_GRACE_PERIOD));
+
+    const escalated = escalate && firstSignal !== 'SIGKILL' && survivors.length > 0;
+    if (escalated) {
+      for (const proc of survivors) {
+        await this.sendSignal(proc.pid, 'SIGKILL');
+      }
+      survivors = await this.waitForExit(survivors, PROCESS_LIMITS.KILL_WAIT);
+    }
+
+    const summarize = proc => ({ pid: proc.pid, name: proc.name });
     return {
-      pid,
-      signal: force ? 'SIGKILL' : signal,
-      stdout: stdout.toString(),
-      stderr: stderr.toString(),
+      ...(port !== undefined
+        ? { port, owners: owners.map(summarize) }
+        : { pid, name: owners[0].name }),
+      signal: firstSignal,
+      tree,
+      escalated,
+      terminated: signalled.filter(proc => !survivors.includes(proc)).map(summarize),
+      still_running: survivors.map(summarize),
+      ...(failed.length > 0 && { failed }),
     };
   }
-}
\ No newline at end of file
+
+  // Processes listening on the port. Forked servers share one listening
+  // socket between the parent and its workers, so there may be several.
+  async findPortOwners(port, processes) {
+    const sockets = (await listSockets()).filter(socket => socket.local_port === port && isListening(socket));
+    if (sockets.length === 0) {
+      throw new Error(`Nothing is listening on port ${port}`);
+    }
+
+    const pids = new Set(sockets.map(socket => socket.pid).filter(owner => owner !== null));
+    if (pids.size === 0) {
+      throw new Error(`Port ${port} is held by a process this server cannot inspect (it may belong to another user)`);
+    }
+
+    return processes.filter(proc => pids.has(proc.pid));
+  }
+
+  matchesName(proc, expected) {
+    const wanted = expected.toLowerCase().replace(/\.exe$/, '');
+    const candidates = [proc.name, basename(proc.command.split(' ')[0])];
+    return candidates.some(name => name && name.toLowerCase().replace(/\.exe$/, '') === wanted);
+  }
+
+  checkProtected(targets, processes) {
+    const protectedPids = new Set([0, 1, 2, ...(getConfig().get('protectedPids') || [])]);
+    const protectedNames = new Set((getConfig().get('protectedProcessNames') || []).map(name => name.toLowerCase()));
+    const ancestors = new Set(getAncestors(processes, process.pid).map(proc => proc.pid));
+
+    for (const proc of targets) {
+      let reason = null;
+      if (proc.pid === process.pid) {
+        reason = 'it is this server';
+      } else if (ancestors.has(proc.pid)) {
+        reason = 'it is an ancestor of this server (killing it would kill the server and its client)';
+      } else if (protectedPids.has(proc.pid)) {
+        reason = 'its PID is protected';
+      } else if (protectedNames.has(proc.name.toLowerCase())) {
+        reason = `${proc.name} is a protected process`;
+      }
+
+      if (reason) {
+        throw new PolicyDeniedError(`Refusing to kill PID ${proc.pid}: ${reason}`, {
+          pid: proc.pid,
+          name: proc.name,
+          command: proc.command,
+          rule: 'protected_process',
+        });
+      }
+    }
+  }
+
+  // Returns an error message, or null once the signal was delivered
+  async sendSignal(pid, signal) {
+    try {
+      if (isWindows() && signal !== 'SIGKILL') {
+        // taskkill without /F asks the program to close instead of terminating it
+        await execAsync(`taskkill /PID ${pid}`, { timeout: TIMEOUTS.KILL });
+      } else {
+        process.kill(pid, signal);
+      }
+      return null;
+    } catch (error) {
+      return error.code === 'ESRCH' ? null : error.message;
+    }
+  }
+
+  // Returns the processes still alive after waiting up to `timeout` ms
+  async waitForExit(processes, timeout) {
+    const deadline = Date.now() + timeout;
+    let alive = processes.filter(proc => isProcessAlive(proc.pid));
+
+    while (alive.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, PROCESS_LIMITS.POLL_INTERVAL));
+      alive = alive.filter(proc => isProcessAlive(proc.pid));
+    }
+
+    return alive;
+  }
+}
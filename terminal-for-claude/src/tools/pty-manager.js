@@ -0,0 +1,415 @@
+import { BaseTool } from "./base-tool.js";
+import { getPtyManager, encodeKey } from "../utils/pty-session.js";
+import { stripAnsi } from "../utils/vt-screen.js";
+import { getSessionShell } from "../utils/shell-session.js";
+import { isWindows, escapeShellArg } from "../utils/command-utils.js";
+import { findDangerousCommands } from "../security/approval.js";
+import { shellInputTargets } from "../security/shell-input.js";
+import { resolveEnvironment } from "../utils/env-utils.js";
+import { PTY_LIMITS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+function requirePtyId(pty_id) {
+  if (!pty_id || typeof pty_id !== 'string') {
+    throw new McpError(ErrorCode.InvalidParams, "pty_id must be a non-empty string");
+  }
+}
+
+// Secrets from the env profile and environment the PTY was opened with
+function ptyRedactionArgs(args) {
+  try {
+    return { ...getPtyManager().get(args.pty_id).redactionArgs, ...args };
+  } catch {
+    return args;
+  }
+}
+
+function validateSize(cols, rows) {
+  if (cols !== undefined && (!Number.isInteger(cols) || cols < 10 || cols > PTY_LIMITS.MAX_COLS)) {
+    throw new McpError(ErrorCode.InvalidParams, `cols must be an integer between 10 and ${PTY_LIMITS.MAX_COLS}`);
+  }
+  if (rows !== undefined && (!Number.isInteger(rows) || rows < 2 || rows > PTY_LIMITS.MAX_ROWS)) {
+    throw new McpError(ErrorCode.InvalidParams, `rows must be an integer between 2 and ${PTY_LIMITS.MAX_ROWS}`);
+  }
+}
+
+const sizeProperties = {
+  cols: {
+    type: "number",
+    description: "Terminal width in columns (default: 120)",
+    minimum: 10,
+    maximum: PTY_LIMITS.MAX_COLS,
+  },
+  rows: {
+    type: "number",
+    description: "Terminal height in rows (default: 30)",
+    minimum: 2,
+    maximum: PTY_LIMITS.MAX_ROWS,
+  },
+};
+
+export class PtyOpenTool extends BaseTool {
+  constructor() {
+    super(
+      "pty_open",
+      "Start a program in a pseudo-terminal for interactive use: REPLs, password prompts, top, git rebase -i, anything that needs a TTY. Returns a PTY ID and the initial screen",
+      {
+        type: "object",
+        properties: {
+          command: {
+            type: "string",
+            description: "Command to run (default: an interactive shell)",
+          },
+          working_directory: {
+            type: "string",
+            description: "Optional working directory",
+          },
+          environment: {
+            type: "object",
+            description: "Optional environment variables, applied on top of env_profile",
+          },
+          env_profile: {
+            type: "string",
+            description: "Named environment profile from the config (see env_list); defaults to defaultEnvProfile",
+          },
+          ...sizeProperties,
+          name: {
+            type: "string",
+            description: "Optional label to help identify the PTY",
+          },
+        },
+      }
+    );
+  }
+
+  getPolicyTargets(args) {
+    // The command runs under /bin/sh, or the session shell on Windows.
+    // Without one the shell itself is the command.
+    const command = args.command === undefined ? escapeShellArg(getSessionShell()) : args.command;
+    const cwd = this.getWorkingDirectory(args);
+    return {
+      commands: [{ command, shell: isWindows() ? getSessionShell() : '/bin/sh', cwd }],
+      paths: [{ path: cwd, access: 'read' }],
+    };
+  }
+
+  async run(args) {
+    const { command, environment, env_profile, cols, rows, name } = args;
+    const working_directory = this.getWorkingDirectory(args);
+
+    if (command !== undefined && (typeof command !== 'string' || !command.trim())) {
+      throw new McpError(ErrorCode.InvalidParams, "command must be a non-empty string");
+    }
+    if (environment !== undefined && (typeof environment !== 'object' || environment === null)) {
+      throw new McpError(ErrorCode.InvalidParams, "environment must be an object");
+    }
+    validateSize(cols, rows);
+    this.checkEnvProfile(env_profile);
+
+    const { env } = resolveEnvironment({
+      env_profile,
+      environment: { TERM: 'xterm-256color', ...environment },
+      working_directory,
+    });
+    const session = await getPtyManager().open({
+      command,
+      working_directory,
+      env,
+      redactionArgs: { env_profile, environment, working_directory },
+      cols,
+      rows,
+      name,
+    });
+    await session.waitFor({ offset: 0, timeout: PTY_LIMITS.DEFAULT_WAIT });
+
+    return {
+      ...session.getInfo(),
+      ...session.screen.snapshot(),
+      next_offset: session.output.totalBytes,
+    };
+  }
+}
+
+export class PtyWriteTool extends BaseTool {
+  constructor() {
+    super(
+      "pty_write",
+      "Send text and/or keys to a PTY. Text is sent first, then keys in order, e.g. data: \"ls\", keys: [\"enter\"]",
+      {
+        type: "object",
+        properties: {
+          pty_id: {
+            type: "string",
+            description: "PTY ID returned by pty_open",
+          },
+          data: {
+            type: "string",
+            description: "Text to type. Use keys for Enter and other special keys",
+          },
+          keys: {
+            type: "array",
+            items: { type: "string" },
+            description: "Keys to press: enter, tab, escape, backspace, delete, up, down, left, right, home, end, pageup, pagedown, f1-f12, ctrl-<key> (ctrl-c, ctrl-d, ctrl-z), alt-<key>",
+          },
+        },
+        required: ["pty_id"],
+      }
+    );
+  }
+
+  // A shell PTY gets every command line the input completes checked against
+  // the command and approval rules
+  getRedactionArgs(args) {
+    return ptyRedactionArgs(args);
+  }
+
+  getPolicyTargets(args) {
+    let session;
+    let input;
+    try {
+      session = getPtyManager().get(args.pty_id);
+      input = this.encodeInput(args);
+    } catch {
+      // Reported when the tool runs
+      return {};
+    }
+
+    return {
+      commands: shellInputTargets(this.name, session.shellInput, input),
+    };
+  }
+
+  // Text typed into any other program may still be a shell command line
+  async getApprovalReasons(args) {
+    try {
+      if (getPtyManager().get(args.pty_id).shellInput) {
+        return [];
+      }
+    } catch {
+      // Unknown PTY
+    }
+    return findDangerousCommands(args.data);
+  }
+
+  // The text and key sequences to send, in order
+  encodeInput({ data, keys = [] }) {
+    if (data !== undefined && typeof data !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "data must be a string");
+    }
+    if (!Array.isArray(keys)) {
+      throw new McpError(ErrorCode.InvalidParams, "keys must be an array of key names");
+    }
+    if (!data && keys.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, "Provide data, keys, or both");
+    }
+
+    const sequences = keys.map(key => {
+      const sequence = encodeKey(key);
+      if (sequence === null) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown key: ${key}`);
+      }
+      return sequence;
+    });
+    return (data || '') + sequences.join('');
+  }
+
+  async run(args) {
+    const { pty_id } = args;
+
+    requirePtyId(pty_id);
+    const input = this.encodeInput(args);
+    const session = getPtyManager().get(pty_id);
+    session.write(input);
+
+    return {
+      pty_id,
+      bytes_written: Buffer.byteLength(input),
+      running: session.isRunning(),
+    };
+  }
+}
+
+export class PtyReadTool extends BaseTool {
+  constructor() {
+    super(
+      "pty_read",
+      "Read a PTY's current screen as text, optionally waiting for a pattern to appear or for output to settle. Pass offset to also get the raw output since a previous read",
+      {
+        type: "object",
+        properties: {
+          pty_id: {
+            type: "string",
+            description: "PTY ID returned by pty_open",
+          },
+          wait_for: {
+            type: "string",
+            description: "Regular expression to wait for in the output received since the last pty_write (or since offset), e.g. a prompt like \"\\\\$ $\" or \"Password:\"",
+          },
+          timeout: {
+            type: "number",
+            description: "Maximum milliseconds to wait (default: 5000, max: 60000)",
+            minimum: 0,
+            maximum: PTY_LIMITS.MAX_WAIT,
+          },
+          idle_ms: {
+            type: "number",
+            description: "Without wait_for: return once nothing has been written or output for this long (default: 200)",
+            minimum: 0,
+          },
+          offset: {
+            type: "number",
+            description: "Also return the output stream from this byte offset; pass next_offset from the previous call. Also where wait_for starts looking",
+            minimum: 0,
+          },
+          raw: {
+            type: "boolean",
+            description: "Keep escape sequences in the returned output (default: false)",
+          },
+          max_bytes: {
+            type: "number",
+            description: "Maximum bytes of output to return (default: 64KB)",
+            minimum: 1,
+          },
+        },
+        required: ["pty_id"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return ptyRedactionArgs(args);
+  }
+
+  async run(args) {
+    const {
+      pty_id,
+      wait_for,
+      timeout = PTY_LIMITS.DEFAULT_WAIT,
+      idle_ms = PTY_LIMITS.DEFAULT_IDLE,
+      offset,
+      raw = false,
+      max_bytes = PTY_LIMITS.DEFAULT_READ_BYTES,
+    } = args;
+
+    requirePtyId(pty_id);
+
+    let pattern = null;
+    if (wait_for !== undefined) {
+      try {
+        pattern = new RegExp(wait_for, 'm');
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid wait_for regular expression: ${error.message}`);
+      }
+    }
+
+    const session = getPtyManager().get(pty_id);
+    const wait = await session.waitFor({
+      pattern,
+      offset,
+      idle: idle_ms,
+      timeout: Math.min(timeout, PTY_LIMITS.MAX_WAIT),
+    });
+
+    const result = {
+      pty_id,
+      status: session.status,
+      running: session.isRunning(),
+      exit_code: session.exitCode,
+      ...wait,
+      ...session.screen.snapshot(),
+      next_offset: session.output.totalBytes,
+    };
+
+    if (offset !== undefined) {
+      const output = session.output.readBytes(offset, max_bytes);
+      result.output = raw ? output.data : stripAnsi(output.data);
+      result.next_offset = output.next_offset;
+      result.dropped_bytes = output.dropped_bytes;
+      result.has_more = output.has_more;
+    }
+
+    return result;
+  }
+}
+
+export class PtyResizeTool extends BaseTool {
+  constructor() {
+    super(
+      "pty_resize",
+      "Change a PTY's terminal size. The program is notified (SIGWINCH) and usually redraws",
+      {
+        type: "object",
+        properties: {
+          pty_id: {
+            type: "string",
+            description: "PTY ID returned by pty_open",
+          },
+          ...sizeProperties,
+        },
+        required: ["pty_id", "cols", "rows"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return ptyRedactionArgs(args);
+  }
+
+  async run(args) {
+    const { pty_id, cols, rows } = args;
+
+    requirePtyId(pty_id);
+    if (cols === undefined || rows === undefined) {
+      throw new McpError(ErrorCode.InvalidParams, "cols and rows are required");
+    }
+    validateSize(cols, rows);
+
+    const session = getPtyManager().get(pty_id);
+    session.resize(cols, rows);
+
+    return {
+      ...session.getInfo(),
+    };
+  }
+}
+
+export class PtyCloseTool extends BaseTool {
+  constructor() {
+    super(
+      "pty_close",
+      "Close a PTY: hang up the program (SIGHUP, escalating to SIGKILL) and return its final screen",
+      {
+        type: "object",
+        properties: {
+          pty_id: {
+            type: "string",
+            description: "PTY ID returned by pty_open",
+          },
+          signal: {
+            type: "string",
+            description: "Signal to send first (default: SIGHUP)",
+            enum: ["SIGHUP", "SIGTERM", "SIGINT", "SIGKILL"],
+          },
+        },
+        required: ["pty_id"],
+      }
+    );
+  }
+
+  getRedactionArgs(args) {
+    return ptyRedactionArgs(args);
+  }
+
+  async run(args) {
+    const { pty_id, signal = 'SIGHUP' } = args;
+
+    requirePtyId(pty_id);
+    const { session, exited } = await getPtyManager().close(pty_id, signal);
+
+    return {
+      ...session.getInfo(),
+      closed: exited,
+      ...session.screen.snapshot(),
+    };
+  }
+}
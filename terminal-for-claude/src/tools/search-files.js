@@ -0,0 +1,291 @@
+import { BaseTool } from "./base-tool.js";
+import { validateAndNormalizePath, walkDirectory, scanFileLines } from "../utils/file-utils.js";
+import { createGlobMatcher } from "../utils/glob-utils.js";
+import { SEARCH_LIMITS, FILE_LIMITS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { openSync, readSync, closeSync, statSync } from "fs";
+import { basename } from "path";
+
+export class SearchFilesTool extends BaseTool {
+  constructor() {
+    super(
+      "search_files",
+      "Search file contents recursively (like grep -rn) with structured results - consistent across Windows, macOS and Linux",
+      {
+        type: "object",
+        properties: {
+          pattern: {
+            type: "string",
+            description: "Regular expression to search for (or plain text with literal: true)",
+          },
+          path: {
+            type: "string",
+            description: "Directory or file to search (default: current working directory)",
+          },
+          literal: {
+            type: "boolean",
+            description: "Treat pattern as plain text instead of a regular expression (default: false)",
+          },
+          ignore_case: {
+            type: "boolean",
+            description: "Case-insensitive matching (default: false)",
+          },
+          include: {
+            type: "array",
+            items: { type: "string" },
+            description: "Only search files matching these globs, e.g. [\"*.js\", \"src/**/*.ts\"]. Globs without a / match file names",
+          },
+          exclude: {
+            type: "array",
+            items: { type: "string" },
+            description: "Skip files and directories matching these globs, e.g. [\"node_modules\", \"*.min.js\"]",
+          },
+          respect_gitignore: {
+            type: "boolean",
+            description: "Skip files ignored by .gitignore (default: true)",
+          },
+          include_hidden: {
+            type: "boolean",
+            description: "Search hidden files and directories (default: false)",
+          },
+          context_lines: {
+            type: "number",
+            description: "Lines of context to include before and after each match (default: 0, max: 10)",
+            minimum: 0,
+            maximum: SEARCH_LIMITS.MAX_CONTEXT_LINES,
+          },
+          max_results: {
+            type: "number",
+            description: "Maximum number of matches to return (default: 200, max: 5000)",
+            minimum: 1,
+            maximum: SEARCH_LIMITS.MAX_RESULTS,
+          },
+          max_matches_per_file: {
+            type: "number",
+            description: "Maximum number of matches to return from a single file (default: 50)",
+            minimum: 1,
+          },
+        },
+        required: ["pattern"],
+      }
+    );
+  }
+
+  getPolicyTargets(args) {
+    return {
+      paths: [{ path: args.path || this.getWorkingDirectory(args), access: 'read' }],
+    };
+  }
+
+  getRedactionOptions() {
+    return { patterns: false };
+  }
+
+  async run(args) {
+    const {
+      pattern,
+      path = this.getWorkingDirectory(args),
+      literal = false,
+      ignore_case = false,
+      include = [],
+      exclude = [],
+      respect_gitignore = true,
+      include_hidden = false,
+      context_lines = 0,
+      max_results = SEARCH_LIMITS.DEFAULT_MAX_RESULTS,
+      max_matches_per_file = SEARCH_LIMITS.DEFAULT_MATCHES_PER_FILE,
+    } = args;
+
+    if (!pattern || typeof pattern !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "pattern must be a non-empty string");
+    }
+
+    if (!Array.isArray(include) || !Array.isArray(exclude)) {
+      throw new McpError(ErrorCode.InvalidParams, "include and exclude must be arrays of glob strings");
+    }
+
+    if (!Number.isInteger(context_lines) || context_lines < 0 || context_lines > SEARCH_LIMITS.MAX_CONTEXT_LINES) {
+      throw new McpError(ErrorCode.InvalidParams, `context_lines must be an integer from 0 to ${SEARCH_LIMITS.MAX_CONTEXT_LINES}`);
+    }
+    if (!Number.isInteger(max_results) || max_results < 1 || max_results > SEARCH_LIMITS.MAX_RESULTS) {
+      throw new McpError(ErrorCode.InvalidParams, `max_results must be an integer from 1 to ${SEARCH_LIMITS.MAX_RESULTS}`);
+    }
+    if (!Number.isInteger(max_matches_per_file) || max_matches_per_file < 1) {
+      throw new McpError(ErrorCode.InvalidParams, "max_matches_per_file must be a positive integer");
+    }
+
+    let regex;
+    try {
+      const source = literal ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+      regex = new RegExp(source, ignore_case ? 'gi' : 'g');
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid regular expression: ${error.message}`);
+    }
+
+    const rootPath = validateAndNormalizePath(path);
+    const rootStats = statSync(rootPath);
+    const isIncluded = include.length > 0 ? createGlobMatcher(include) : () => true;
+    const limits = {
+      context: context_lines,
+      perFile: max_matches_per_file,
+      remaining: max_results,
+    };
+
+    const summary = {
+      files_searched: 0,
+      files_matched: 0,
+      files_skipped_binary: 0,
+      files_skipped_large: 0,
+      files_truncated: 0,
+      errors: [],
+    };
+    const matches = [];
+
+    const files = rootStats.isFile()
+      ? [{ path: rootPath, relative_path: basename(rootPath), is_file: true }]
+      : walkDirectory(rootPath, { include_hidden, respect_gitignore, exclude });
+
+    for (const entry of files) {
+      if (limits.remaining <= 0) {
+        break;
+      }
+
+      if (entry.error) {
+        summary.errors.push({ path: entry.path, error: entry.error });
+        continue;
+      }
+
+      if (!entry.is_file || !isIncluded(entry.relative_path)) {
+        continue;
+      }
+
+      try {
+        if (statSync(entry.path).size > FILE_LIMITS.MAX_READ_SIZE) {
+          summary.files_skipped_large++;
+          continue;
+        }
+
+        if (this.isBinaryFile(entry.path)) {
+          summary.files_skipped_binary++;
+          continue;
+        }
+
+        summary.files_searched++;
+        const result = this.searchFile(entry.path, regex, limits);
+
+        if (result.matches.length > 0) {
+          summary.files_matched++;
+          if (result.truncated) {
+            summary.files_truncated++;
+          }
+          matches.push(...result.matches);
+        }
+      } catch (error) {
+        summary.errors.push({ path: entry.path, error: error.message });
+      }
+    }
+
+    return {
+      operation: 'search',
+      pattern,
+      root: rootPath,
+      match_count: matches.length,
+      truncated: limits.remaining <= 0,
+      ...summary,
+      errors: summary.errors.slice(0, 20),
+      matches,
+    };
+  }
+
+  // Same heuristic as git and grep: a NUL byte near the start means binary
+  isBinaryFile(filePath) {
+    const fd = openSync(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SEARCH_LIMITS.BINARY_CHECK_BYTES);
+      const bytesRead = readSync(fd, buffer, 0, buffer.length, 0);
+      return buffer.subarray(0, bytesRead).includes(0);
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  searchFile(filePath, regex, limits) {
+    const matches = [];
+    const before = [];
+    let awaitingAfter = [];
+    let truncated = false;
+
+    scanFileLines(filePath, () => true, (lineNumber, buffer) => {
+      const text = buffer.toString('utf8').replace(/\r$/, '');
+
+      // Feed this line to earlier matches still collecting trailing context
+      for (const match of awaitingAfter) {
+        match.context_after.push(this.trimLine(text));
+      }
+      awaitingAfter = awaitingAfter.filter(match => match.context_after.length < limits.context);
+
+      if (matches.length < limits.perFile && limits.remaining > 0) {
+        regex.lastIndex = 0;
+        for (const found of text.matchAll(regex)) {
+          if (matches.length >= limits.perFile) {
+            truncated = true;
+            break;
+          }
+          if (limits.remaining <= 0) {
+            break;
+          }
+
+          const match = {
+            path: filePath,
+            line: lineNumber,
+            column: found.index + 1,
+            match: found[0],
+            text: this.trimLine(text, found.index),
+          };
+
+          if (limits.context > 0) {
+            match.context_before = before.slice();
+            match.context_after = [];
+            awaitingAfter.push(match);
+          }
+
+          matches.push(match);
+          limits.remaining--;
+        }
+      } else if (!truncated && matches.length >= limits.perFile && this.lineMatches(regex, text)) {
+        truncated = true;
+      }
+
+      if (limits.context > 0) {
+        before.push(this.trimLine(text));
+        if (before.length > limits.context) {
+          before.shift();
+        }
+      }
+
+      // Stop once nothing more can be collected from this file
+      const full = limits.remaining <= 0 || (matches.length >= limits.perFile && truncated);
+      return !(full && awaitingAfter.length === 0);
+    });
+
+    return { matches, truncated };
+  }
+
+  lineMatches(regex, text) {
+    regex.lastIndex = 0;
+    const matched = regex.test(text);
+    regex.lastIndex = 0;
+    return matched;
+  }
+
+  // Keep very long lines (minified files) from flooding the results
+  trimLine(text, around = 0) {
+    if (text.length <= SEARCH_LIMITS.MAX_LINE_LENGTH) {
+      return text;
+    }
+
+    const start = Math.max(0, around - SEARCH_LIMITS.MAX_LINE_LENGTH / 2);
+    const end = start + SEARCH_LIMITS.MAX_LINE_LENGTH;
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+}
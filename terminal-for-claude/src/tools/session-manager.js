@@ -0,0 +1,209 @@
+import { BaseTool } from "./base-tool.js";
+import { getSessionManager, getSessionShell, isSessionShell, SESSION_SHELLS } from "../utils/shell-session.js";
+import { escapeShellArg } from "../utils/command-utils.js";
+import { resolveEnvironment } from "../utils/env-utils.js";
+import { getConfig } from "../config/config-manager.js";
+import { TIMEOUTS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+export class SessionCreateTool extends BaseTool {
+  constructor() {
+    super(
+      "session_create",
+      "Start a persistent shell session that keeps its working directory, environment variables and shell functions between commands",
+      {
+        type: "object",
+        properties: {
+          working_directory: {
+            type: "string",
+            description: "Optional initial working directory for the session",
+          },
+          environment: {
+            type: "object",
+            description: "Optional environment variables for the session, applied on top of env_profile",
+          },
+          env_profile: {
+            type: "string",
+            description: "Named environment profile from the config (see env_list); defaults to defaultEnvProfile",
+          },
+          shell: {
+            type: "string",
+            description: `Optional shell executable: ${SESSION_SHELLS.join(', ')}, by name or path (default: bash or sh, powershell on Windows)`,
+          },
+        },
+      }
+    );
+  }
+
+  // The shell itself is a command, so the command rules decide whether it
+  // may be started at all
+  getPolicyTargets(args) {
+    return {
+      commands: typeof args.shell === 'string' || args.shell === undefined ? [escapeShellArg(getSessionShell(args.shell))] : [],
+      paths: [{ path: this.getWorkingDirectory(args), access: 'read' }],
+    };
+  }
+
+  async run(args) {
+    const { environment, env_profile, shell } = args;
+    const working_directory = this.getWorkingDirectory(args);
+
+    if (environment !== undefined && (typeof environment !== 'object' || environment === null)) {
+      throw new McpError(ErrorCode.InvalidParams, "environment must be an object");
+    }
+    if (shell !== undefined && !isSessionShell(shell)) {
+      throw new McpError(ErrorCode.InvalidParams, `shell must be one of ${SESSION_SHELLS.join(', ')}, by name or path`);
+    }
+    this.checkEnvProfile(env_profile);
+
+    const { env } = resolveEnvironment({ env_profile, environment, working_directory });
+    const session = getSessionManager().create({
+      working_directory,
+      env,
+      shell,
+      // Output of later session_exec calls is masked with this call's secrets
+      redactionArgs: { env_profile, environment, working_directory },
+    });
+
+    return {
+      ...session.getInfo(),
+    };
+  }
+}
+
+export class SessionExecTool extends BaseTool {
+  constructor() {
+    super(
+      "session_exec",
+      "Run a command inside a persistent shell session. cd, exported variables, sourced files and functions carry over to later commands",
+      {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Session ID returned by session_create",
+          },
+          command: {
+            type: "string",
+            description: "The command to run in the session",
+          },
+          timeout: {
+            type: "number",
+            description: "Optional timeout in milliseconds (default: 30000, max: 300000). The session is terminated if the command times out",
+            minimum: 1000,
+            maximum: 300000,
+          },
+          max_output_bytes: {
+            type: "number",
+            description: "Bytes of stdout and of stderr to return inline (default: 102400). Longer output is cut to its head and tail and saved in full to a temp file readable with file_read",
+            minimum: 1024,
+          },
+          stdin: {
+            type: "string",
+            description: "Optional data for the command's stdin (default: no input). Not supported in PowerShell sessions",
+          },
+          stdin_encoding: {
+            type: "string",
+            description: "Encoding of stdin: utf8 text or base64 for binary data (default: utf8)",
+            enum: ["utf8", "base64"],
+          },
+        },
+        required: ["session_id", "command"],
+      }
+    );
+  }
+
+  // Secrets from the session's env profile and environment
+  getRedactionArgs(args) {
+    try {
+      return { ...getSessionManager().get(args.session_id).redactionArgs, ...args };
+    } catch {
+      return args;
+    }
+  }
+
+  getPolicyTargets(args) {
+    // Checked with the syntax of the session's shell (PowerShell by default
+    // on Windows), in the directory the session is in
+    let shell, cwd;
+    try {
+      ({ shell, cwd } = getSessionManager().get(args.session_id));
+    } catch {
+      // An unknown session fails when the tool runs
+    }
+
+    return {
+      commands: [{ command: args.command, shell, cwd }],
+    };
+  }
+
+  async run(args) {
+    const {
+      session_id,
+      command,
+      timeout = TIMEOUTS.SESSION_COMMAND,
+      max_output_bytes,
+      stdin,
+      stdin_encoding,
+    } = args;
+
+    if (!session_id || typeof session_id !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "session_id must be a non-empty string");
+    }
+
+    if (!command || typeof command !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "Command must be a non-empty string");
+    }
+
+    if (!Number.isInteger(timeout) || timeout < 1) {
+      throw new McpError(ErrorCode.InvalidParams, "timeout must be a positive integer number of milliseconds");
+    }
+
+    const input = this.decodeStdin(stdin, stdin_encoding);
+    const session = getSessionManager().get(session_id);
+    const result = await session.exec(command, {
+      timeout: Math.min(timeout, 300000),
+      input,
+      outputBudget: max_output_bytes || getConfig().get('outputBudget'),
+    });
+
+    return {
+      session_id,
+      command,
+      ...result,
+    };
+  }
+}
+
+export class SessionCloseTool extends BaseTool {
+  constructor() {
+    super(
+      "session_close",
+      "Close a persistent shell session and terminate its shell",
+      {
+        type: "object",
+        properties: {
+          session_id: {
+            type: "string",
+            description: "Session ID returned by session_create",
+          },
+        },
+        required: ["session_id"],
+      }
+    );
+  }
+
+  async run(args) {
+    const { session_id } = args;
+
+    if (!session_id || typeof session_id !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, "session_id must be a non-empty string");
+    }
+
+    const session = getSessionManager().close(session_id);
+
+    return {
+      ...session.getInfo(),
+    };
+  }
+}
@@ -1,38 +1,109 @@
 import { BaseTool } from "./base-tool.js";
-import { platform, arch, release, type, cpus, homedir, tmpdir } from "os";
+import { platform, arch, release, type, cpus, homedir, tmpdir, hostname, uptime, totalmem, freemem, loadavg, networkInterfaces } from "os";
+import { existsSync } from "fs";
+import { delimiter } from "path";
+import { execAsync, findExecutable, escapeShellArg, getShell, isWindows } from "../utils/command-utils.js";
+import { getInterpreters, findInterpreter } from "../utils/interpreters.js";
+import { getConfig } from "../config/config-manager.js";
+import { SYSTEM_INFO_LIMITS } from "../config/constants.js";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+// Pseudo filesystems that df lists but nobody means by "disk"
+const IGNORED_FILESYSTEMS = /^(proc|sysfs|devfs|devtmpfs|tmpfs|cgroup2?|udev|none|shm|map .*)$/;
+
+// How each tool reports its version. Java prints to stderr, Go has no --version.
+const TOOLCHAINS = [
+  { name: 'git', args: '--version' },
+  { name: 'python3', args: '--version' },
+  { name: 'python', args: '--version' },
+  { name: 'node', args: '--version' },
+  { name: 'npm', args: '--version' },
+  { name: 'docker', args: '--version' },
+  { name: 'java', args: '-version' },
+  { name: 'go', args: 'version' },
+];
+
+const SECTIONS = ['os', 'cpu', 'memory', 'load', 'disks', 'network', 'shell', 'toolchains', 'interpreters', 'process'];
+
+// Probing toolchains spawns a process per tool, so results are kept for a while
+let toolchainCache = null;
+let interpreterCache = null;
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
 
 export class SystemInfoTool extends BaseTool {
   constructor() {
     super(
       "get_system_info",
-      "Get comprehensive system information",
+      "Get comprehensive system information: OS, CPU, system memory, load averages, disk usage per mount, network interfaces, shell and PATH, installed toolchain versions (git, python, node, docker, java, go) and the execute_script interpreters",
       {
         type: "object",
-        properties: {},
+        properties: {
+          sections: {
+            type: "array",
+            items: { type: "string", enum: SECTIONS },
+            description: "Only include these sections (default: all)",
+          },
+          refresh: {
+            type: "boolean",
+            description: "Probe toolchain and interpreter versions again instead of using cached results (default: false)",
+          },
+        },
       }
     );
   }
 
-  async run() {
-    const systemInfo = {
+  async run(args) {
+    const { sections = SECTIONS, refresh = false } = args;
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, "sections must be a non-empty array");
+    }
+    const unknown = sections.filter(section => !SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown section(s): ${unknown.join(', ')}. Valid sections: ${SECTIONS.join(', ')}`);
+    }
+
+    const collectors = {
+      os: () => this.getOsInfo(),
+      cpu: () => this.getCpuInfo(),
+      memory: () => this.getMemoryInfo(),
+      load: () => this.getLoadInfo(),
+      disks: () => this.getDiskInfo(),
+      network: () => this.getNetworkInfo(),
+      shell: () => this.getShellInfo(),
+      toolchains: () => this.getToolchains(refresh),
+      interpreters: () => this.getInterpreterInfo(refresh),
+      process: () => this.getProcessInfo(),
+    };
+
+    const systemInfo = {};
+    for (const section of SECTIONS.filter(name => sections.includes(name))) {
+      try {
+        systemInfo[section] = await collectors[section]();
+      } catch (error) {
+        systemInfo[section] = { error: error.message };
+      }
+    }
+    systemInfo.timestamp = new Date().toISOString();
+
+    return {
+      system_info: systemInfo,
+    };
+  }
+
+  getOsInfo() {
+    return {
       platform: platform(),
       architecture: arch(),
       release: release(),
       type: type(),
-      node_version: process.version,
-      uptime: Math.round(process.uptime()),
-      memory: process.memoryUsage(),
-      cpu_count: cpus().length,
-      cpu_info: this.getCpuInfo(),
+      hostname: hostname(),
+      uptime: Math.round(uptime()),
       home_directory: homedir(),
       temp_directory: tmpdir(),
-      current_working_directory: process.cwd(),
-      environment_variables: Object.keys(process.env).length,
-      timestamp: new Date().toISOString(),
-    };
-
-    return {
-      system_info: systemInfo,
     };
   }
 
@@ -47,4 +118,166 @@ export class SystemInfoTool extends BaseTool {
     }
     return null;
   }
-}
\ No newline at end of file
+
+  getMemoryInfo() {
+    const total = totalmem();
+    const free = freemem();
+    return {
+      total_bytes: total,
+      free_bytes: free,
+      used_bytes: total - free,
+      used_percent: percent(total - free, total),
+    };
+  }
+
+  getLoadInfo() {
+    // Windows has no load average; os.loadavg() reports zeros there
+    if (isWindows()) {
+      return { load_average: null, cpu_count: cpus().length };
+    }
+
+    const [one, five, fifteen] = loadavg().map(value => Math.round(value * 100) / 100);
+    return {
+      load_average: { '1m': one, '5m': five, '15m': fifteen },
+      cpu_count: cpus().length,
+    };
+  }
+
+  async getDiskInfo() {
+    if (isWindows()) {
+      const script = "Get-CimInstance Win32_LogicalDisk | Where-Object { $_.Size } | "
+        + "Select-Object DeviceID,FileSystem,Size,FreeSpace | ConvertTo-Json -Compress";
+      const { stdout } = await execAsync(`powershell -NoProfile -NonInteractive -Command "${script}"`, {
+        timeout: SYSTEM_INFO_LIMITS.PROBE_TIMEOUT,
+      });
+      const parsed = JSON.parse(stdout || '[]');
+
+      return (Array.isArray(parsed) ? parsed : [parsed]).map(disk => ({
+        mount: disk.DeviceID,
+        filesystem: disk.FileSystem,
+        total_bytes: disk.Size,
+        used_bytes: disk.Size - disk.FreeSpace,
+        available_bytes: disk.FreeSpace,
+        used_percent: percent(disk.Size - disk.FreeSpace, disk.Size),
+      }));
+    }
+
+    // POSIX output format keeps each filesystem on one line
+    const { stdout } = await execAsync('df -kP', { timeout: SYSTEM_INFO_LIMITS.PROBE_TIMEOUT });
+    const disks = [];
+
+    for (const line of stdout.trim().split('\n').slice(1)) {
+      const match = /^(.+?)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)%\s+(\/.*)$/.exec(line);
+      if (!match || IGNORED_FILESYSTEMS.test(match[1]) || Number(match[2]) === 0) {
+        continue;
+      }
+
+      const [, filesystem, total, used, available, , mount] = match;
+      disks.push({
+        mount,
+        filesystem,
+        total_bytes: Number(total) * 1024,
+        used_bytes: Number(used) * 1024,
+        available_bytes: Number(available) * 1024,
+        // Matches df: reserved blocks count as neither used nor available
+        used_percent: percent(Number(used), Number(used) + Number(available)),
+      });
+    }
+
+    return disks;
+  }
+
+  getNetworkInfo() {
+    return Object.entries(networkInterfaces()).map(([name, addresses]) => ({
+      name,
+      internal: addresses.every(address => address.internal),
+      mac: addresses.find(address => address.mac && address.mac !== '00:00:00:00:00:00')?.mac ?? null,
+      addresses: addresses.map(address => ({
+        address: address.address,
+        family: address.family,
+        cidr: address.cidr,
+      })),
+    }));
+  }
+
+  getShellInfo() {
+    const path = (process.env.PATH || '').split(delimiter).filter(Boolean);
+    return {
+      user_shell: process.env.SHELL || process.env.ComSpec || null,
+      command_shell: getShell(),
+      path,
+      missing_path_entries: path.filter(entry => !existsSync(entry)),
+      environment_variables: Object.keys(process.env).length,
+      current_working_directory: process.cwd(),
+    };
+  }
+
+  async getToolchains(refresh) {
+    if (!refresh && toolchainCache && Date.now() - toolchainCache.time < SYSTEM_INFO_LIMITS.TOOLCHAIN_CACHE_TTL) {
+      return { ...toolchainCache.result, cached: true };
+    }
+
+    const entries = await Promise.all(TOOLCHAINS.map(async ({ name, args }) => [name, await this.probeToolchain(name, args)]));
+    const time = Date.now();
+    const result = { tools: Object.fromEntries(entries), probed_at: new Date(time).toISOString() };
+    toolchainCache = { time, result };
+
+    return { ...result, cached: false };
+  }
+
+  // execute_script interpreters: whether each is installed and allowed, and
+  // its version when the registry entry says how to ask for it
+  async getInterpreterInfo(refresh) {
+    if (!refresh && interpreterCache && Date.now() - interpreterCache.time < SYSTEM_INFO_LIMITS.TOOLCHAIN_CACHE_TTL) {
+      return { ...interpreterCache.result, cached: true };
+    }
+
+    const config = getConfig();
+    const entries = await Promise.all(Object.values(getInterpreters(config)).map(async interpreter => {
+      const path = findInterpreter(interpreter);
+      const probe = path && interpreter.version
+        ? await this.probeVersion(path, interpreter.version.map(escapeShellArg).join(' '))
+        : { path, version: null };
+
+      return [interpreter.name, {
+        ...probe,
+        available: Boolean(path),
+        allowed: config.isInterpreterAllowed(interpreter.name),
+        supports_dependencies: Boolean(interpreter.dependencies),
+      }];
+    }));
+    const time = Date.now();
+    const result = { interpreters: Object.fromEntries(entries), probed_at: new Date(time).toISOString() };
+    interpreterCache = { time, result };
+
+    return { ...result, cached: false };
+  }
+
+  async probeToolchain(name, args) {
+    const path = findExecutable(name);
+    return path ? this.probeVersion(path, args) : null;
+  }
+
+  async probeVersion(path, args) {
+    try {
+      const { stdout, stderr } = await execAsync(`"${path}" ${args}`, {
+        timeout: SYSTEM_INFO_LIMITS.PROBE_TIMEOUT,
+        windowsHide: true,
+      });
+      const output = `${stdout}\n${stderr}`.trim();
+      const version = /\d+\.\d+(?:\.\d+)?(?:[-+._][0-9A-Za-z.]+)?/.exec(output);
+      return { path, version: version ? version[0] : null, output: output.split('\n')[0] };
+    } catch (error) {
+      return { path, version: null, error: error.message.split('\n')[0] };
+    }
+  }
+
+  getProcessInfo() {
+    return {
+      pid: process.pid,
+      node_version: process.version,
+      uptime: Math.round(process.uptime()),
+      memory: process.memoryUsage(),
+    };
+  }
+}
@@ -1,16 +1,34 @@
 import { ExecuteCommandTool } from "./execute-command.js";
 import { ExecuteScriptTool } from "./execute-script.js";
 import { SystemInfoTool } from "./system-info.js";
+import { EnvListTool } from "./env-list.js";
 import { ListProcessesTool, KillProcessTool } from "./process-manager.js";
+import { ListPortsTool } from "./list-ports.js";
 import { FileReadTool } from "./file-read.js";
 import { FileWriteTool } from "./file-write.js";
+import { FileEditTool } from "./file-edit.js";
 import { FileOperationsTool } from "./file-operations.js";
 import { DirectoryOperationsTool } from "./directory-operations.js";
+import { SearchFilesTool } from "./search-files.js";
+import { SessionCreateTool, SessionExecTool, SessionCloseTool } from "./session-manager.js";
+import { JobStartTool, JobOutputTool, JobStatusTool, JobStopTool, JobInputTool } from "./job-manager.js";
+import { PtyOpenTool, PtyWriteTool, PtyReadTool, PtyResizeTool, PtyCloseTool } from "./pty-manager.js";
+import { AuditQueryTool } from "./audit-query.js";
+import { ApproveActionTool } from "./approve-action.js";
+import { PolicyEnforcer } from "../security/policy-enforcer.js";
+import { getAuditLog, sanitizeArgs, summarizeResult } from "../security/audit-log.js";
+import { getRedactor } from "../security/redaction.js";
+import { getApprovalManager } from "../security/approval.js";
+import { PolicyDeniedError, ApprovalRequiredError } from "../utils/errors.js";
 import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { performance } from "perf_hooks";
 
 export class ToolRegistry {
   constructor() {
     this.tools = new Map();
+    this.policy = new PolicyEnforcer();
+    this.auditLog = getAuditLog();
+    this.approvals = getApprovalManager();
     this.registerDefaultTools();
   }
 
@@ -19,14 +37,43 @@ export class ToolRegistry {
     this.register(new ExecuteCommandTool());
     this.register(new ExecuteScriptTool());
     this.register(new SystemInfoTool());
+    this.register(new EnvListTool());
     this.register(new ListProcessesTool());
     this.register(new KillProcessTool());
+    this.register(new ListPortsTool());
     
     // Register file operation tools
     this.register(new FileReadTool());
     this.register(new FileWriteTool());
+    this.register(new FileEditTool());
     this.register(new FileOperationsTool());
     this.register(new DirectoryOperationsTool());
+    this.register(new SearchFilesTool());
+
+    // Register persistent shell session tools
+    this.register(new SessionCreateTool());
+    this.register(new SessionExecTool());
+    this.register(new SessionCloseTool());
+
+    // Register background job tools
+    this.register(new JobStartTool());
+    this.register(new JobOutputTool());
+    this.register(new JobStatusTool());
+    this.register(new JobStopTool());
+    this.register(new JobInputTool());
+
+    // Register interactive terminal tools
+    this.register(new PtyOpenTool());
+    this.register(new PtyWriteTool());
+    this.register(new PtyReadTool());
+    this.register(new PtyResizeTool());
+    this.register(new PtyCloseTool());
+
+    // Register audit log tools
+    this.register(new AuditQueryTool());
+
+    // Register the approval tool; it runs held calls back through this registry
+    this.register(new ApproveActionTool(this));
   }
 
   register(tool) {
@@ -54,7 +101,8 @@ export class ToolRegistry {
     return Array.from(this.tools.values()).map(tool => tool.getDefinition());
   }
 
-  async execute(toolName, args) {
+  // `approved` is set when approve_action re-runs a held call
+  async execute(toolName, args, { approved = false } = {}) {
     const tool = this.get(toolName);
     
     if (!tool) {
@@ -64,7 +112,76 @@ export class ToolRegistry {
       );
     }
 
-    return await tool.execute(args);
+    const startTime = performance.now();
+    let result;
+
+    try {
+      this.policy.enforce(tool, args || {});
+      if (!approved) {
+        await this.requireApproval(tool, args || {});
+      }
+      result = await tool.execute(args);
+    } catch (error) {
+      if (error instanceof PolicyDeniedError) {
+        result = tool.formatError(error, 0, args);
+      } else {
+        this.audit(toolName, args, startTime, {
+          status: error instanceof McpError && error.code === ErrorCode.InvalidParams ? 'invalid_params' : 'error',
+          error: error.message,
+        });
+        throw error;
+      }
+    }
+
+    this.audit(toolName, args, startTime, {
+      ...summarizeResult(result),
+      ...(approved && { approved: true }),
+    });
+    return result;
+  }
+
+  // Hold calls that match an approval rule. The user is asked directly when
+  // the client supports elicitation; otherwise the model gets a token to
+  // pass to approve_action once the user has agreed.
+  async requireApproval(tool, args) {
+    const reasons = await this.approvals.getReasons(tool, args);
+    if (reasons.length === 0) {
+      return;
+    }
+
+    const decision = await this.approvals.confirm(tool.name, reasons);
+    if (decision === 'approved') {
+      return;
+    }
+    if (decision === 'denied') {
+      throw new PolicyDeniedError(`The user declined to run ${tool.name}`, {
+        tool: tool.name,
+        rule: 'approval',
+        reasons,
+      });
+    }
+
+    const entry = this.approvals.request(tool.name, args, reasons);
+    throw new ApprovalRequiredError(
+      `${this.approvals.explain(tool.name, reasons)}\nNothing was run. Ask the user to confirm, then call approve_action with this approval_token.`,
+      {
+        tool: tool.name,
+        approval_token: entry.token,
+        reasons,
+        expires_at: entry.expires_at,
+      }
+    );
+  }
+
+  audit(toolName, args, startTime, outcome) {
+    const { value: record } = getRedactor().redact({
+      tool: toolName,
+      args: sanitizeArgs(args || {}),
+      ...outcome,
+      duration_ms: Math.round(performance.now() - startTime),
+    }, args);
+
+    this.auditLog.record(record);
   }
 
   // Method to add custom tools dynamically
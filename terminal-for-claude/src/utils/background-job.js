@@ -0,0 +1,366 @@
+import { spawn } from "child_process";
+import { isWindows, signalProcessTree } from "./command-utils.js";
+import { trackShellInput } from "../security/shell-input.js";
+import { JOB_LIMITS, TIMEOUTS } from "../config/constants.js";
+
+const NEWLINE = 0x0a;
+
+function countNewlines(buffer, start = 0, end = buffer.length) {
+  let count = 0;
+  for (let i = start; i < end; i++) {
+    if (buffer[i] === NEWLINE) count++;
+  }
+  return count;
+}
+
+// Don't cut a multi-byte UTF-8 character in half at the end of a read
+function alignToCharBoundary(buffer, end) {
+  while (end > 0 && end < buffer.length && (buffer[end] & 0xc0) === 0x80) {
+    end--;
+  }
+  return end;
+}
+
+// Bounded output buffer. Keeps the most recent `maxBytes` of output while
+// tracking absolute byte and line positions, so readers can poll with a
+// cursor and find out how much was dropped in between.
+export class OutputBuffer {
+  constructor(maxBytes = JOB_LIMITS.OUTPUT_BUFFER_SIZE) {
+    this.maxBytes = maxBytes;
+    this.data = Buffer.alloc(0);
+    this.startOffset = 0; // absolute byte offset of data[0]
+    this.startLine = 0; // absolute line number of data[0]
+    this.totalBytes = 0;
+    this.totalLines = 0;
+  }
+
+  append(chunk) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    this.data = Buffer.concat([this.data, buffer]);
+    this.totalBytes += buffer.length;
+    this.totalLines += countNewlines(buffer);
+
+    if (this.data.length > this.maxBytes) {
+      let cut = this.data.length - this.maxBytes;
+      // Drop up to the end of the partial line so the buffer starts on a line boundary
+      const newline = this.data.indexOf(NEWLINE, cut);
+      if (newline !== -1) {
+        cut = newline + 1;
+      }
+      this.startLine += countNewlines(this.data, 0, cut);
+      this.startOffset += cut;
+      this.data = this.data.subarray(cut);
+    }
+  }
+
+  readBytes(offset = 0, maxBytes = JOB_LIMITS.DEFAULT_READ_BYTES) {
+    const droppedBytes = Math.max(0, this.startOffset - offset);
+    const from = Math.max(offset, this.startOffset) - this.startOffset;
+    const end = alignToCharBoundary(this.data, Math.min(this.data.length, from + maxBytes));
+    const slice = this.data.subarray(Math.min(from, end), end);
+
+    return {
+      data: slice.toString('utf8'),
+      offset: this.startOffset + Math.min(from, end),
+      next_offset: this.startOffset + end,
+      dropped_bytes: droppedBytes,
+      total_bytes: this.totalBytes,
+      has_more: this.startOffset + end < this.totalBytes,
+    };
+  }
+
+  // Read whole lines from absolute line number `line`. The unterminated last
+  // line is held back unless `includePartial` is set (i.e. the writer is done).
+  readLines(line = 0, options = {}) {
+    const {
+      maxLines = JOB_LIMITS.DEFAULT_READ_LINES,
+      maxBytes = JOB_LIMITS.DEFAULT_READ_BYTES,
+      includePartial = false,
+    } = options;
+    const droppedLines = Math.max(0, this.startLine - line);
+    let current = Math.max(line, this.startLine);
+
+    // Walk to the first requested line
+    let position = 0;
+    for (let skip = current - this.startLine; skip > 0 && position < this.data.length; skip--) {
+      const newline = this.data.indexOf(NEWLINE, position);
+      position = newline === -1 ? this.data.length : newline + 1;
+    }
+
+    const lines = [];
+    let bytes = 0;
+    while (lines.length < maxLines && position < this.data.length) {
+      let newline = this.data.indexOf(NEWLINE, position);
+      if (newline === -1) {
+        if (!includePartial) break;
+        newline = this.data.length;
+      }
+      const length = newline - position;
+      if (lines.length > 0 && bytes + length > maxBytes) break;
+      lines.push(this.data.subarray(position, newline).toString('utf8'));
+      bytes += length + 1;
+      position = newline + 1;
+      current++;
+    }
+
+    return {
+      lines,
+      line: Math.max(line, this.startLine),
+      next_line: current,
+      dropped_lines: droppedLines,
+      total_lines: this.totalLines,
+      has_more: position < this.data.length,
+    };
+  }
+}
+
+export class BackgroundJob {
+  constructor(id, command, options = {}) {
+    this.id = id;
+    this.command = command;
+    this.name = options.name || null;
+    this.workingDirectory = options.working_directory || process.cwd();
+    // Output of later job tool calls is masked with the starting call's secrets
+    this.redactionArgs = options.redactionArgs || {};
+    this.output = new OutputBuffer(options.buffer_size || JOB_LIMITS.OUTPUT_BUFFER_SIZE);
+    this.status = 'running';
+    this.exitCode = null;
+    this.signal = null;
+    this.error = null;
+    this.startedAt = new Date();
+    this.endedAt = null;
+    this.stdinOpen = Boolean(options.input || options.keep_stdin_open);
+    this.stdinBytes = 0;
+    // Set when the job is a shell reading commands from stdin
+    this.shellInput = this.stdinOpen ? trackShellInput(command) : null;
+
+    this.child = spawn(command, {
+      shell: true,
+      cwd: this.workingDirectory,
+      env: options.env || process.env,
+      stdio: [this.stdinOpen ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      // Own process group so stopping the job also stops whatever it started
+      detached: !isWindows(),
+      windowsHide: true,
+    });
+
+    this.pid = this.child.pid;
+    if (this.child.stdin) {
+      this.child.stdin.on('error', () => {
+        // The job stopped reading; later writes report stdin as closed
+        this.stdinOpen = false;
+      });
+      this.child.stdin.on('close', () => {
+        this.stdinOpen = false;
+      });
+
+      if (options.input) {
+        this.writeInput(options.input).catch(() => {});
+      }
+      if (!options.keep_stdin_open) {
+        this.closeInput();
+      }
+    }
+
+    this.child.stdout.on('data', (data) => this.output.append(data));
+    this.child.stderr.on('data', (data) => this.output.append(data));
+
+    this.child.on('error', (error) => {
+      this.status = 'failed';
+      this.error = error.message;
+      this.endedAt = new Date();
+    });
+
+    this.child.on('close', (code, signal) => {
+      if (this.status === 'stopping') {
+        this.status = 'stopped';
+      } else if (this.status === 'running') {
+        this.status = signal ? 'killed' : 'exited';
+      }
+      this.exitCode = code;
+      this.signal = signal;
+      this.endedAt = new Date();
+      clearTimeout(this.escalationTimer);
+    });
+  }
+
+  isRunning() {
+    return this.status === 'running' || this.status === 'stopping';
+  }
+
+  writeInput(data) {
+    if (!this.stdinOpen || !this.isRunning()) {
+      return Promise.reject(new Error(
+        `stdin of job ${this.id} is closed. Start the job with keep_stdin_open to write to it after it starts`
+      ));
+    }
+
+    this.shellInput?.commit(data.toString());
+    return new Promise((resolve, reject) => {
+      this.child.stdin.write(data, (error) => {
+        if (error) {
+          reject(new Error(`Failed to write to stdin of job ${this.id}: ${error.message}`));
+          return;
+        }
+        this.stdinBytes += data.length;
+        resolve(data.length);
+      });
+    });
+  }
+
+  closeInput() {
+    if (this.child.stdin && !this.child.stdin.writableEnded) {
+      this.child.stdin.end();
+    }
+    this.stdinOpen = false;
+  }
+
+  sendSignal(signal) {
+    signalProcessTree(this.pid, signal);
+  }
+
+  // Ask the job to stop, escalating to SIGKILL if it ignores the signal
+  stop(signal = 'SIGTERM', gracePeriod = TIMEOUTS.KILL) {
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    this.status = 'stopping';
+    try {
+      this.sendSignal(signal);
+    } catch {
+      return false;
+    }
+
+    if (signal !== 'SIGKILL') {
+      this.escalationTimer = setTimeout(() => {
+        if (this.isRunning()) {
+          try {
+            this.sendSignal('SIGKILL');
+          } catch {
+            // Already gone
+          }
+        }
+      }, gracePeriod);
+      this.escalationTimer.unref();
+    }
+
+    return true;
+  }
+
+  // Wait until the job has exited, or until `timeout` runs out
+  waitForExit(timeout) {
+    if (!this.isRunning()) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), timeout);
+      this.child.once('close', () => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  }
+
+  getInfo() {
+    const endTime = this.endedAt || new Date();
+    return {
+      job_id: this.id,
+      name: this.name,
+      command: this.command,
+      pid: this.pid,
+      working_directory: this.workingDirectory,
+      status: this.status,
+      running: this.isRunning(),
+      exit_code: this.exitCode,
+      signal: this.signal,
+      ...(this.error && { error: this.error }),
+      started_at: this.startedAt.toISOString(),
+      ended_at: this.endedAt ? this.endedAt.toISOString() : null,
+      runtime_ms: endTime - this.startedAt,
+      stdin_open: this.stdinOpen && this.isRunning(),
+      stdin_bytes: this.stdinBytes,
+      output_bytes: this.output.totalBytes,
+      output_lines: this.output.totalLines,
+    };
+  }
+}
+
+export class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.nextId = 1;
+
+    // Jobs run in their own process groups, so they would outlive the server
+    process.once('exit', () => this.killAll());
+  }
+
+  start(command, options = {}) {
+    this.prune();
+
+    const running = Array.from(this.jobs.values()).filter(job => job.isRunning()).length;
+    if (running >= JOB_LIMITS.MAX_JOBS) {
+      throw new Error(`Too many running jobs (max ${JOB_LIMITS.MAX_JOBS}). Stop one with job_stop first.`);
+    }
+
+    const id = `job-${this.nextId++}`;
+    const job = new BackgroundJob(id, command, options);
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    return job;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => job.getInfo());
+  }
+
+  // Map of pid -> job for every job whose process is still alive
+  getOwnedProcesses() {
+    const owned = new Map();
+    for (const job of this.jobs.values()) {
+      if (job.isRunning() && job.pid) {
+        owned.set(job.pid, job);
+      }
+    }
+    return owned;
+  }
+
+  // Forget the oldest finished jobs once more than MAX_FINISHED_JOBS are kept
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => !job.isRunning());
+    const excess = finished.length - JOB_LIMITS.MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  killAll() {
+    for (const job of this.jobs.values()) {
+      if (job.isRunning()) {
+        try {
+          job.sendSignal('SIGKILL');
+        } catch {
+          // Already gone
+        }
+      }
+    }
+  }
+}
+
+// Singleton instance
+let jobManagerInstance = null;
+
+export function getJobManager() {
+  if (!jobManagerInstance) {
+    jobManagerInstance = new JobManager();
+  }
+  return jobManagerInstance;
+}
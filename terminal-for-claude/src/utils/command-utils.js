@@ -1,22 +1,41 @@
-import { exec } from "child_process";
+import { exec, spawn } from "child_process";
 import { promisify } from "util";
 import { platform } from "os";
+import { readFileSync, existsSync, accessSync, statSync, constants } from "fs";
+import { join, delimiter } from "path";
+import { performance } from "perf_hooks";
+import { getConfig } from "../config/config-manager.js";
+import { OutputCapture } from "./output-capture.js";
+import { resolveEnvironment } from "./env-utils.js";
 
 export const execAsync = promisify(exec);
 
-export const MAX_BUFFER_SIZE = 1024 * 1024 * 10; // 10MB
 export const DEFAULT_TIMEOUT = 30000;
 export const MAX_TIMEOUT = 300000;
+export const KILL_GRACE_PERIOD = 2000;
 
 export function getExecOptions(options = {}) {
   return {
     timeout: Math.min(options.timeout || DEFAULT_TIMEOUT, MAX_TIMEOUT),
-    maxBuffer: MAX_BUFFER_SIZE,
-    env: options.environment ? { ...process.env, ...options.environment } : process.env,
+    outputBudget: options.max_output_bytes || getConfig().get('outputBudget'),
+    env: resolveEnvironment(options).env,
     ...(options.working_directory && { cwd: options.working_directory }),
   };
 }
 
+// Signal a child spawned with `detached` (its own process group) along with
+// everything it started. Windows has no process groups: taskkill /T walks the
+// tree, and /F is the only way to stop console programs, so any signal there
+// terminates at once. Throws ESRCH on POSIX when the group is gone.
+export function signalProcessTree(pid, signal = 'SIGTERM') {
+  if (isWindows()) {
+    spawn('taskkill', ['/PID', String(pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true })
+      .on('error', () => {});
+    return;
+  }
+  process.kill(-pid, signal);
+}
+
 export function isWindows() {
   return platform() === 'win32';
 }
@@ -25,9 +44,175 @@ export function getShell() {
   return isWindows() ? 'cmd.exe' : '/bin/sh';
 }
 
+// Look an executable up on PATH without spawning a shell
+export function findExecutable(name) {
+  const extensions = isWindows() ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+  const directories = (process.env.PATH || '').split(delimiter).filter(Boolean);
+
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      const candidate = join(directory, name + extension);
+      try {
+        accessSync(candidate, constants.X_OK);
+        if (statSync(candidate).isFile()) {
+          return candidate;
+        }
+      } catch {
+        // Not here
+      }
+    }
+  }
+
+  return null;
+}
+
 export function escapeShellArg(arg) {
   if (isWindows()) {
     return `"${arg.replace(/"/g, '""')}"`;
   }
   return `'${arg.replace(/'/g, "'\\''")}'`;
-}
\ No newline at end of file
+}
+
+// CPU time (ms) of all reaped children of this process, from /proc/self/stat.
+// Node has no per-child rusage, so the difference across a run is used as the
+// child's CPU time. Only available on Linux; other children that exit during
+// the same window are counted too.
+function readChildCpuTime() {
+  try {
+    const stat = readFileSync('/proc/self/stat', 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    // cutime and cstime are fields 16 and 17; the slice starts at field 3
+    const ticksToMs = 1000 / 100; // USER_HZ is 100 on every mainstream kernel
+    return {
+      user: parseInt(fields[13], 10) * ticksToMs,
+      system: parseInt(fields[14], 10) * ticksToMs,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Run a shell command and resolve with its real exit status instead of
+// rejecting on non-zero exit like execAsync. Options take the same shape as
+// getExecOptions(); set failOnNonzero to reject like exec does. `input` (a
+// Buffer) is written to the child's stdin, which is then closed. Output past
+// outputBudget is summarized to head and tail and saved in full to a temp
+// file rather than stopping the command.
+export function runCommand(command, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    outputBudget,
+    input = null,
+    env = process.env,
+    cwd,
+    failOnNonzero = false,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const cpuBefore = readChildCpuTime();
+    const startTime = performance.now();
+    const stdout = new OutputCapture('stdout', outputBudget);
+    const stderr = new OutputCapture('stderr', outputBudget);
+    let timedOut = false;
+    let killTimer = null;
+
+    const child = spawn(command, {
+      shell: true,
+      cwd,
+      env,
+      stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      // Own process group so a timeout also stops whatever the command started
+      detached: !isWindows(),
+      windowsHide: true,
+    });
+
+    const terminate = () => {
+      const signalTree = (signal) => {
+        try {
+          signalProcessTree(child.pid, signal);
+        } catch {
+          // Already gone
+        }
+      };
+
+      signalTree('SIGTERM');
+      killTimer = setTimeout(() => signalTree('SIGKILL'), KILL_GRACE_PERIOD);
+    };
+
+    if (input) {
+      // A command that exits without reading all of its input is not an error
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+
+    child.stdout.on('data', (data) => stdout.write(data));
+    child.stderr.on('data', (data) => stderr.write(data));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      terminate();
+    }, timeout);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      stdout.close();
+      stderr.close();
+      // spawn reports a missing cwd as the shell itself not being found
+      if (error.code === 'ENOENT' && cwd && !existsSync(cwd)) {
+        reject(new Error(`Working directory not found: ${cwd}`));
+        return;
+      }
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+
+      const cpuAfter = readChildCpuTime();
+      const cpuTime = cpuBefore && cpuAfter ? {
+        user: cpuAfter.user - cpuBefore.user,
+        system: cpuAfter.system - cpuBefore.system,
+        total: (cpuAfter.user - cpuBefore.user) + (cpuAfter.system - cpuBefore.system),
+      } : null;
+
+      const out = stdout.finish();
+      const err = stderr.finish();
+      const truncated = {
+        ...(out.info && { stdout: out.info }),
+        ...(err.info && { stderr: err.info }),
+      };
+
+      const result = {
+        stdout: out.text,
+        stderr: err.text,
+        exit_code: code,
+        signal,
+        timed_out: timedOut,
+        ...(Object.keys(truncated).length > 0 && { output_truncated: truncated }),
+        wall_time_ms: Math.round(performance.now() - startTime),
+        cpu_time_ms: cpuTime,
+      };
+
+      if (failOnNonzero && (code !== 0 || timedOut)) {
+        const message = timedOut
+          ? `Command timed out after ${timeout}ms: ${command}`
+          : `Command failed with ${signal ? `signal ${signal}` : `exit code ${code}`}: ${command}`;
+        const error = new Error(message);
+        error.stdout = result.stdout;
+        error.stderr = result.stderr;
+        error.code = code;
+        error.signal = signal;
+        error.killed = timedOut;
+        if (result.output_truncated) {
+          error.details = { output_truncated: result.output_truncated };
+        }
+        reject(error);
+        return;
+      }
+
+      resolve(result);
+    });
+  });
+}
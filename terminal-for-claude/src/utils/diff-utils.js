@@ -0,0 +1,290 @@
+// Line-based diff helpers: unified diff generation (Myers) and patch application.
+// Lines keep their "\n" terminator so a missing newline at end of file
+// survives a round trip.
+
+const MAX_EDIT_DISTANCE = 5000;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+export function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Myers O(ND) diff over two line arrays. Returns a list of
+// { type: ' ' | '-' | '+', line } operations.
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      break;
+    }
+
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    if (found) {
+      break;
+    }
+  }
+
+  // Too many differences to diff line by line; treat it as a full rewrite
+  if (!found) {
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line })),
+    ];
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: '+', line: b[--y] });
+    } else {
+      ops.push({ type: '-', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+export function diffLines(oldLines, newLines) {
+  // Most edits are local; trim the common prefix and suffix before diffing
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const middle = myersDiff(
+    oldLines.slice(prefix, oldLines.length - suffix),
+    newLines.slice(prefix, newLines.length - suffix)
+  );
+
+  return [
+    ...oldLines.slice(0, prefix).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: ' ', line })),
+  ];
+}
+
+function formatHunkRange(start, count) {
+  // An empty range points at the line before it
+  const first = count === 0 ? start - 1 : start;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+function formatDiffLine(type, line) {
+  if (line.endsWith('\n')) {
+    return `${type}${line.slice(0, -1)}\n`;
+  }
+  return `${type}${line}\n${NO_NEWLINE_MARKER}\n`;
+}
+
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Positions of each op in the old and new files (1-based)
+  let oldLine = 1;
+  let newLine = 1;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const changes = positioned
+    .map((op, index) => (op.type === ' ' ? -1 : index))
+    .filter(index => index !== -1);
+
+  if (changes.length === 0) {
+    return '';
+  }
+
+  // Group changes whose surrounding context overlaps into hunks
+  const hunks = [];
+  let start = Math.max(0, changes[0] - context);
+  let end = Math.min(positioned.length, changes[0] + context + 1);
+  for (const index of changes.slice(1)) {
+    if (index - context <= end) {
+      end = Math.min(positioned.length, index + context + 1);
+    } else {
+      hunks.push([start, end]);
+      start = Math.max(0, index - context);
+      end = Math.min(positioned.length, index + context + 1);
+    }
+  }
+  hunks.push([start, end]);
+
+  let output = `--- ${fromFile}\n+++ ${toFile}\n`;
+  for (const [hunkStart, hunkEnd] of hunks) {
+    const slice = positioned.slice(hunkStart, hunkEnd);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    output += `@@ -${formatHunkRange(slice[0].oldLine, oldCount)} +${formatHunkRange(slice[0].newLine, newCount)} @@\n`;
+    for (const op of slice) {
+      output += formatDiffLine(op.type, op.line);
+    }
+  }
+
+  return output;
+}
+
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let current = null;
+
+  const patchLines = patch.split('\n');
+  if (patchLines[patchLines.length - 1] === '') {
+    patchLines.pop();
+  }
+
+  for (const rawLine of patchLines) {
+    const line = rawLine.replace(/\r$/, '');
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+
+    if (header) {
+      current = {
+        oldStart: parseInt(header[1], 10),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newCount: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        oldLines: [],
+        newLines: [],
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    if (!current) {
+      // File headers (diff --git, ---, +++, index) before the first hunk
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before it
+      const stripNewline = (lines) => {
+        if (lines.length) lines[lines.length - 1] = lines[lines.length - 1].replace(/\n$/, '');
+      };
+      if (current.lastType !== '+') stripNewline(current.oldLines);
+      if (current.lastType !== '-') stripNewline(current.newLines);
+      continue;
+    }
+
+    if (current.oldLines.length >= current.oldCount && current.newLines.length >= current.newCount) {
+      // Hunk is complete; anything up to the next @@ is headers for another file
+      if (line.startsWith('--- ') || line.startsWith('diff ')) {
+        throw new Error("Patch touches more than one file; apply one file at a time");
+      }
+      continue;
+    }
+
+    const type = line === '' ? ' ' : line[0];
+    const content = `${line.slice(1)}\n`;
+
+    if (type === ' ') {
+      current.oldLines.push(content);
+      current.newLines.push(content);
+    } else if (type === '-') {
+      current.oldLines.push(content);
+    } else if (type === '+') {
+      current.newLines.push(content);
+    } else {
+      throw new Error(`Invalid line in patch: ${line}`);
+    }
+    current.lastType = type;
+  }
+
+  return hunks;
+}
+
+function blockMatchesAt(lines, block, position) {
+  if (position < 0 || position + block.length > lines.length) {
+    return false;
+  }
+  return block.every((line, index) => lines[position + index] === line);
+}
+
+// Apply a single-file unified diff. Hunks must match exactly, but may have
+// drifted from their recorded line numbers.
+export function applyUnifiedDiff(text, patch) {
+  const hunks = parseUnifiedDiff(patch);
+
+  if (hunks.length === 0) {
+    throw new Error("Patch contains no hunks");
+  }
+
+  const lines = splitLines(text);
+  let delta = 0;
+  let minPosition = 0;
+
+  hunks.forEach((hunk, index) => {
+    // A pure insertion goes after oldStart; anything else starts at oldStart
+    const expected = (hunk.oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+    let position = -1;
+
+    for (let distance = 0; distance <= lines.length; distance++) {
+      if (expected - distance >= minPosition && blockMatchesAt(lines, hunk.oldLines, expected - distance)) {
+        position = expected - distance;
+        break;
+      }
+      if (blockMatchesAt(lines, hunk.oldLines, expected + distance) && expected + distance >= minPosition) {
+        position = expected + distance;
+        break;
+      }
+    }
+
+    if (position === -1) {
+      throw new Error(`Hunk ${index + 1} (@@ -${hunk.oldStart},${hunk.oldCount}) does not match the file content`);
+    }
+
+    lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+    delta += position - expected + hunk.newLines.length - hunk.oldLines.length;
+    minPosition = position + hunk.newLines.length;
+  });
+
+  return lines.join('');
+}
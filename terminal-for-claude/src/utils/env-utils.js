@@ -0,0 +1,110 @@
+import { readFileSync } from "fs";
+import { resolve, delimiter } from "path";
+import { homedir } from "os";
+import { getConfig } from "../config/config-manager.js";
+import { globToRegExp } from "./glob-utils.js";
+
+function expandHome(path) {
+  return path === '~' || path.startsWith('~/') ? homedir() + path.slice(1) : path;
+}
+
+// Windows spells it "Path"
+function pathKey(env) {
+  return Object.keys(env).find(name => name.toUpperCase() === 'PATH') || 'PATH';
+}
+
+function unquote(value) {
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1);
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    return value.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+  }
+  // Unquoted values end at a comment
+  return value.replace(/\s+#.*$/, '').trim();
+}
+
+// Variables from a .env file: KEY=value lines, optionally prefixed with
+// `export`. Single-quoted values are literal, double-quoted ones understand
+// \n, \t and \" and may span lines.
+export function parseDotenv(text) {
+  const variables = {};
+  const pattern = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_.]*)[ \t]*=[ \t]*('[^']*'|"(?:\\.|[^"\\])*"|[^\r\n]*)/gm;
+
+  for (const match of text.matchAll(pattern)) {
+    variables[match[1]] = unquote(match[2].trim());
+  }
+  return variables;
+}
+
+// The named profile, or the default one when `name` is omitted; null when
+// neither is set
+export function getEnvProfile(name, config = getConfig()) {
+  const profileName = name ?? config.get('defaultEnvProfile');
+  if (!profileName) {
+    return null;
+  }
+
+  const profiles = config.get('envProfiles') || {};
+  if (!Object.hasOwn(profiles, profileName)) {
+    throw new Error(`Unknown env profile: ${profileName}`);
+  }
+  return { name: profileName, ...profiles[profileName] };
+}
+
+// The environment a command runs with. Without a profile that is the server's
+// own environment; a profile filters what is inherited, loads dotenv files,
+// sets its variables and prepends PATH entries. The call's `environment`
+// argument goes on top. Returns the variables and where each came from.
+export function resolveEnvironment({ env_profile, environment, working_directory } = {}, config = getConfig()) {
+  const profile = getEnvProfile(env_profile, config);
+  const env = {};
+  const sources = {};
+  const set = (name, value, source) => {
+    env[name] = String(value);
+    sources[name] = source;
+  };
+
+  if (!profile) {
+    Object.entries(process.env).forEach(([name, value]) => set(name, value, 'inherited'));
+  } else if (profile.inherit !== false) {
+    const allow = profile.allow?.map(glob => globToRegExp(glob, { ignoreCase: true }));
+    const deny = (profile.deny || []).map(glob => globToRegExp(glob, { ignoreCase: true }));
+
+    for (const [name, value] of Object.entries(process.env)) {
+      if ((allow && !allow.some(regex => regex.test(name))) || deny.some(regex => regex.test(name))) {
+        continue;
+      }
+      set(name, value, 'inherited');
+    }
+  }
+
+  if (profile) {
+    // Relative paths belong to the project the command runs in
+    const base = working_directory || process.cwd();
+
+    for (const file of [].concat(profile.dotenv || [])) {
+      const path = resolve(base, expandHome(file));
+      let content;
+      try {
+        content = readFileSync(path, 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read dotenv file ${path} for env profile ${profile.name}: ${error.message}`);
+      }
+      Object.entries(parseDotenv(content)).forEach(([name, value]) => set(name, value, `dotenv:${path}`));
+    }
+
+    Object.entries(profile.variables || {}).forEach(([name, value]) => set(name, value, 'profile'));
+
+    if (profile.pathPrepend?.length > 0) {
+      const key = pathKey(env);
+      const entries = profile.pathPrepend.map(entry => resolve(base, expandHome(entry)));
+      set(key, [...entries, env[key]].filter(Boolean).join(delimiter), 'profile');
+    }
+  }
+
+  Object.entries(environment || {}).forEach(([name, value]) => set(name, value, 'environment'));
+
+  return { env, sources, profile: profile?.name ?? null };
+}
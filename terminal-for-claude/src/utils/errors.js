@@ -0,0 +1,39 @@
+// Errors that tools and the registry report back to the model as structured
+// results. `type` ends up as `error_type` in the formatted response so the
+// model can tell a policy decision apart from an ordinary failure.
+export class ToolError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.type = type;
+    this.details = details;
+  }
+}
+
+export class PolicyDeniedError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, 'policy_denied', details);
+  }
+}
+
+// The call was held, not refused: it runs once approved through approve_action
+export class ApprovalRequiredError extends PolicyDeniedError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.type = 'approval_required';
+  }
+}
+
+export class SandboxViolationError extends PolicyDeniedError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.type = 'sandbox_violation';
+  }
+}
+
+// The file changed since the caller read it; nothing was written
+export class FileConflictError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, 'file_conflict', details);
+  }
+}
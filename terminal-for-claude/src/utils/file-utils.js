@@ -1,6 +1,5 @@
 import { 
   readFileSync, 
-  writeFileSync, 
   existsSync, 
   statSync, 
   readdirSync,
@@ -10,11 +9,24 @@ import {
   unlinkSync,
   rmSync,
   accessSync,
+  lstatSync,
+  realpathSync,
+  readlinkSync,
+  openSync,
+  readSync,
+  writeSync,
+  fsyncSync,
+  fchmodSync,
+  fchownSync,
+  closeSync,
   constants as fsConstants
 } from "fs";
-import { join, dirname, resolve, normalize, isAbsolute, sep } from "path";
-import { homedir, platform } from "os";
-import { FILE_LIMITS, FILE_ENCODINGS } from "../config/constants.js";
+import { createHash, randomBytes } from "crypto";
+import { join, dirname, basename, resolve, normalize, isAbsolute, sep, relative } from "path";
+import { platform } from "os";
+import { FILE_LIMITS, FILE_ENCODINGS, TREE_LIMITS } from "../config/constants.js";
+import { GitignoreMatcher, createGlobMatcher } from "./glob-utils.js";
+import { FileConflictError } from "./errors.js";
 
 // Path validation and normalization
 export function validateAndNormalizePath(filePath) {
@@ -22,16 +34,63 @@ export function validateAndNormalizePath(filePath) {
     throw new Error("Path must be a non-empty string");
   }
 
-  // Normalize path separators and resolve relative paths
-  const normalizedPath = normalize(resolve(filePath));
-  
-  // Basic security check - prevent path traversal attacks
-  const homePath = homedir();
-  if (normalizedPath.includes('..') && !normalizedPath.startsWith(homePath)) {
-    throw new Error("Path traversal detected - access denied");
+  // Normalize path separators and resolve relative paths. Access control
+  // (allowed roots, symlink resolution) is enforced by the policy layer
+  // before a tool runs; see src/security/policy-enforcer.js.
+  return normalize(resolve(filePath));
+}
+
+// Resolve symlinks in a path that may not exist yet: the deepest existing
+// ancestor is resolved with realpath and the missing remainder appended.
+// A dangling symlink is followed to where writing through it would create
+// the file.
+export function resolveRealPath(filePath, links = 0) {
+  const absolutePath = resolve(filePath);
+  const missing = [];
+  let current = absolutePath;
+
+  while (true) {
+    try {
+      return join(realpathSync.native(current), ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+      const link = readDanglingLink(current);
+      if (link !== null) {
+        if (links >= FILE_LIMITS.MAX_SYMLINKS) {
+          throw new Error(`Too many levels of symbolic links: ${absolutePath}`);
+        }
+        return resolveRealPath(join(resolve(dirname(current), link), ...missing), links + 1);
+      }
+      const parent = dirname(current);
+      if (parent === current) {
+        return absolutePath;
+      }
+      missing.unshift(basename(current));
+      current = parent;
+    }
+  }
+}
+
+function readDanglingLink(path) {
+  try {
+    return lstatSync(path).isSymbolicLink() ? readlinkSync(path) : null;
+  } catch {
+    return null;
   }
+}
+
+// True if `filePath` is `rootPath` or inside it. Both must be absolute.
+export function isPathWithin(filePath, rootPath) {
+  const caseInsensitive = platform() === 'win32';
+  const target = caseInsensitive ? filePath.toLowerCase() : filePath;
+  const root = caseInsensitive ? rootPath.toLowerCase() : rootPath;
 
-  return normalizedPath;
+  if (target === root) {
+    return true;
+  }
+  return target.startsWith(root.endsWith(sep) ? root : root + sep);
 }
 
 export function validateEncoding(encoding) {
@@ -97,25 +156,361 @@ export function readFileWithMetadata(filePath, encoding = 'utf8') {
   }
 
   if (stats.size > FILE_LIMITS.MAX_READ_SIZE) {
-    throw new Error(`File too large: ${Math.round(stats.size / 1024 / 1024)}MB exceeds limit of ${Math.round(FILE_LIMITS.MAX_READ_SIZE / 1024 / 1024)}MB`);
+    throw new Error(`File too large: ${Math.round(stats.size / 1024 / 1024)}MB exceeds limit of ${Math.round(FILE_LIMITS.MAX_READ_SIZE / 1024 / 1024)}MB. Read it in parts with start_line/end_line, tail_lines or offset/length`);
   }
 
   const validEncoding = validateEncoding(encoding);
-  const content = readFileSync(normalizedPath, validEncoding);
+  const buffer = readFileSync(normalizedPath);
   const fileStats = getFileStats(normalizedPath);
   const permissions = getFilePermissions(normalizedPath);
 
   return {
     file_path: normalizedPath,
-    content,
+    content: buffer.toString(validEncoding),
     encoding: validEncoding,
+    content_hash: hashContent(buffer),
     stats: fileStats,
     permissions
   };
 }
 
+// SHA-256 of the file's bytes, as returned by file_read and accepted as
+// expected_hash by the write tools
+export function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+export function hashFile(filePath) {
+  const hash = createHash('sha256');
+  const fd = openSync(filePath, 'r');
+  const chunk = Buffer.alloc(FILE_LIMITS.CHUNK_SIZE);
+  let bytesRead;
+
+  try {
+    while ((bytesRead = readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.subarray(0, bytesRead));
+    }
+  } finally {
+    closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+// Refuse to go on if the file no longer matches what the caller last read:
+// `expected_hash` is a content_hash from file_read, `expected_mtime` the
+// stats.modified time (ISO string or epoch milliseconds)
+export function checkFilePreconditions(filePath, { expected_hash, expected_mtime } = {}) {
+  if (expected_hash === undefined && expected_mtime === undefined) {
+    return;
+  }
+
+  const normalizedPath = validateAndNormalizePath(filePath);
+  if (!existsSync(normalizedPath)) {
+    throw new FileConflictError(`File was deleted since it was read: ${normalizedPath}`, {
+      file_path: normalizedPath,
+      exists: false,
+    });
+  }
+
+  if (expected_hash !== undefined) {
+    const actualHash = hashFile(normalizedPath);
+    if (actualHash !== expected_hash.toLowerCase()) {
+      throw new FileConflictError(`File changed since it was read: ${normalizedPath}. Read it again and reapply the change`, {
+        file_path: normalizedPath,
+        expected_hash,
+        actual_hash: actualHash,
+      });
+    }
+  }
+
+  if (expected_mtime !== undefined) {
+    const expected = new Date(expected_mtime).getTime();
+    const modified = statSync(normalizedPath).mtime;
+    if (modified.getTime() !== expected) {
+      throw new FileConflictError(`File was modified since it was read: ${normalizedPath}. Read it again and reapply the change`, {
+        file_path: normalizedPath,
+        expected_mtime,
+        actual_mtime: modified.toISOString(),
+      });
+    }
+  }
+}
+
+// Write through a temporary file in the same directory that is renamed over
+// the target, so readers see the old or the new content and never a partial
+// write. An existing file's mode and, where allowed, owner carry over;
+// symlinks, dangling ones included, are written through rather than replaced.
+export function writeFileAtomic(filePath, content, encoding = 'utf8') {
+  const target = resolveRealPath(filePath);
+  const existing = existsSync(target) ? statSync(target) : null;
+  const tempPath = join(dirname(target), `.${basename(target)}.${randomBytes(6).toString('hex')}.tmp`);
+  const fd = openSync(tempPath, 'wx', existing ? existing.mode & 0o7777 : 0o666);
+
+  try {
+    try {
+      const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, encoding);
+      let written = 0;
+      while (written < buffer.length) {
+        written += writeSync(fd, buffer, written, buffer.length - written);
+      }
+
+      if (existing) {
+        // openSync's mode is masked by the umask
+        fchmodSync(fd, existing.mode & 0o7777);
+        if (platform() !== 'win32' && (existing.uid !== process.getuid() || existing.gid !== process.getgid())) {
+          try {
+            fchownSync(fd, existing.uid, existing.gid);
+          } catch {
+            // Only root can give a file away; it stays owned by us
+          }
+        }
+      }
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tempPath, target);
+  } catch (error) {
+    rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Ranged reads. These stream the file in FILE_LIMITS.CHUNK_SIZE pieces so
+// large files never have to be loaded whole.
+const NEWLINE = 0x0a;
+const LINE_ENCODINGS = ['utf8', 'utf-8', 'ascii', 'latin1'];
+
+function openReadableFile(filePath) {
+  const normalizedPath = validateAndNormalizePath(filePath);
+
+  if (!existsSync(normalizedPath)) {
+    throw new Error(`File not found: ${normalizedPath}`);
+  }
+
+  const stats = statSync(normalizedPath);
+
+  if (!stats.isFile()) {
+    throw new Error(`Path is not a file: ${normalizedPath}`);
+  }
+
+  return { normalizedPath, size: stats.size };
+}
+
+// Walk every line of a file, calling onLine(lineNumber, buffer) for the lines
+// wantLine() selects. Returns the total number of lines in the file, or the
+// number of lines read so far if onLine() returns false to stop early.
+export function scanFileLines(normalizedPath, wantLine = () => false, onLine = () => {}) {
+  const fd = openSync(normalizedPath, 'r');
+  const chunk = Buffer.alloc(FILE_LIMITS.CHUNK_SIZE);
+  let lineNumber = 1;
+  let parts = [];
+  let lastByte = null;
+  let bytesRead;
+
+  try {
+    while ((bytesRead = readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const view = chunk.subarray(0, bytesRead);
+      let start = 0;
+
+      while (start < view.length) {
+        const newline = view.indexOf(NEWLINE, start);
+        const end = newline === -1 ? view.length : newline;
+
+        if (wantLine(lineNumber)) {
+          parts.push(Buffer.from(view.subarray(start, end)));
+        }
+
+        if (newline === -1) {
+          break;
+        }
+
+        if (wantLine(lineNumber) && onLine(lineNumber, Buffer.concat(parts)) === false) {
+          return lineNumber;
+        }
+        parts = [];
+        lineNumber++;
+        start = newline + 1;
+      }
+
+      lastByte = view[view.length - 1];
+    }
+  } finally {
+    closeSync(fd);
+  }
+
+  // Empty file, or one that ends with a newline: no trailing partial line
+  if (lastByte === null || lastByte === NEWLINE) {
+    return lineNumber - 1;
+  }
+
+  if (wantLine(lineNumber)) {
+    onLine(lineNumber, Buffer.concat(parts));
+  }
+  return lineNumber;
+}
+
+function formatNumberedLines(lines, lineNumbers) {
+  return lines
+    .map(({ number, text }) => lineNumbers ? `${String(number).padStart(6)}\t${text}` : text)
+    .join('\n');
+}
+
+function readLineRange(normalizedPath, encoding, startLine, endLine, lineNumbers) {
+  const lines = [];
+  let bytes = 0;
+
+  const totalLines = scanFileLines(
+    normalizedPath,
+    (number) => number >= startLine && number <= endLine,
+    (number, buffer) => {
+      bytes += buffer.length;
+      if (bytes > FILE_LIMITS.MAX_READ_SIZE) {
+        throw new Error(`Requested range exceeds limit of ${Math.round(FILE_LIMITS.MAX_READ_SIZE / 1024 / 1024)}MB; request fewer lines`);
+      }
+      lines.push({ number, text: buffer.toString(encoding) });
+    }
+  );
+
+  return {
+    content: formatNumberedLines(lines, lineNumbers),
+    range: {
+      mode: 'lines',
+      start_line: lines.length ? lines[0].number : null,
+      end_line: lines.length ? lines[lines.length - 1].number : null,
+      lines_returned: lines.length,
+      total_lines: totalLines,
+      has_more: lines.length > 0 && lines[lines.length - 1].number < totalLines,
+    },
+  };
+}
+
+function readTailLines(normalizedPath, size, encoding, count, lineNumbers) {
+  const totalLines = scanFileLines(normalizedPath);
+  const fd = openSync(normalizedPath, 'r');
+  const parts = [];
+  let position = size;
+  let newlines = 0;
+
+  try {
+    // Read backwards until we have seen enough line breaks. A trailing newline
+    // terminates the last line rather than starting a new one, so it needs
+    // one extra.
+    const needed = count + 1;
+    while (position > 0 && newlines < needed) {
+      const length = Math.min(FILE_LIMITS.CHUNK_SIZE, position);
+      if (size - position + length > FILE_LIMITS.MAX_READ_SIZE) {
+        throw new Error(`Requested range exceeds limit of ${Math.round(FILE_LIMITS.MAX_READ_SIZE / 1024 / 1024)}MB; request fewer lines`);
+      }
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, position);
+      parts.unshift(chunk);
+      for (let i = 0; i < length; i++) {
+        if (chunk[i] === NEWLINE) newlines++;
+      }
+    }
+  } finally {
+    closeSync(fd);
+  }
+
+  let text = Buffer.concat(parts).toString(encoding);
+  if (text.endsWith('\n')) {
+    text = text.slice(0, -1);
+  }
+
+  const tail = text.length ? text.split('\n').slice(-count) : [];
+  const firstLine = totalLines - tail.length + 1;
+  const lines = tail.map((line, index) => ({ number: firstLine + index, text: line }));
+
+  return {
+    content: formatNumberedLines(lines, lineNumbers),
+    range: {
+      mode: 'tail',
+      start_line: lines.length ? firstLine : null,
+      end_line: lines.length ? totalLines : null,
+      lines_returned: lines.length,
+      total_lines: totalLines,
+      has_more: lines.length > 0 && firstLine > 1,
+    },
+  };
+}
+
+function readByteRange(normalizedPath, size, encoding, offset, length) {
+  const start = Math.min(offset, size);
+  const readLength = Math.min(length, size - start, FILE_LIMITS.MAX_READ_SIZE);
+  const buffer = Buffer.alloc(readLength);
+  const fd = openSync(normalizedPath, 'r');
+
+  let bytesRead = 0;
+  try {
+    while (bytesRead < readLength) {
+      const read = readSync(fd, buffer, bytesRead, readLength - bytesRead, start + bytesRead);
+      if (read === 0) break;
+      bytesRead += read;
+    }
+  } finally {
+    closeSync(fd);
+  }
+
+  return {
+    content: buffer.subarray(0, bytesRead).toString(encoding),
+    range: {
+      mode: 'bytes',
+      offset: start,
+      bytes_read: bytesRead,
+      next_offset: start + bytesRead,
+      file_size: size,
+      has_more: start + bytesRead < size,
+    },
+  };
+}
+
+// Read part of a file: a line range, the last N lines, or a byte range. The
+// content_hash is still of the whole file, for expected_hash.
+export function readFileRangeWithMetadata(filePath, options = {}) {
+  const {
+    encoding = 'utf8',
+    start_line,
+    end_line,
+    tail_lines,
+    offset,
+    length,
+    line_numbers = true,
+  } = options;
+
+  const { normalizedPath, size } = openReadableFile(filePath);
+  const validEncoding = validateEncoding(encoding);
+  // Hashed before the range is read, so a change in between makes a write
+  // with this hash fail rather than pass over content that wasn't seen
+  const contentHash = hashFile(normalizedPath);
+  const lineMode = start_line !== undefined || end_line !== undefined || tail_lines !== undefined;
+
+  if (lineMode && !LINE_ENCODINGS.includes(validEncoding)) {
+    throw new Error(`Line ranges require a text encoding (${LINE_ENCODINGS.join(', ')}); use offset/length for ${validEncoding}`);
+  }
+
+  let result;
+  if (tail_lines !== undefined) {
+    result = readTailLines(normalizedPath, size, validEncoding, tail_lines, line_numbers);
+  } else if (lineMode) {
+    result = readLineRange(normalizedPath, validEncoding, start_line ?? 1, end_line ?? Infinity, line_numbers);
+  } else {
+    result = readByteRange(normalizedPath, size, validEncoding, offset ?? 0, length ?? FILE_LIMITS.CHUNK_SIZE);
+  }
+
+  return {
+    file_path: normalizedPath,
+    ...result,
+    encoding: validEncoding,
+    content_hash: contentHash,
+    stats: getFileStats(normalizedPath),
+    permissions: getFilePermissions(normalizedPath)
+  };
+}
+
 export function writeFileWithMetadata(filePath, content, options = {}) {
-  const { encoding = 'utf8', create_directories = false } = options;
+  const { encoding = 'utf8', create_directories = false, expected_hash, expected_mtime } = options;
   const normalizedPath = validateAndNormalizePath(filePath);
   const validEncoding = validateEncoding(encoding);
 
@@ -148,9 +543,12 @@ export function writeFileWithMetadata(filePath, content, options = {}) {
     throw new Error(`No write permission to file: ${normalizedPath}`);
   }
 
+  checkFilePreconditions(normalizedPath, { expected_hash, expected_mtime });
+
   const beforeStats = existsSync(normalizedPath) ? getFileStats(normalizedPath) : null;
-  
-  writeFileSync(normalizedPath, content, validEncoding);
+  const buffer = Buffer.from(content, validEncoding);
+
+  writeFileAtomic(normalizedPath, buffer);
   
   const afterStats = getFileStats(normalizedPath);
   const permissions = getFilePermissions(normalizedPath);
@@ -159,6 +557,7 @@ export function writeFileWithMetadata(filePath, content, options = {}) {
     file_path: normalizedPath,
     content_size: contentSize,
     encoding: validEncoding,
+    content_hash: hashContent(buffer),
     created: !beforeStats,
     previous_size: beforeStats?.size || 0,
     stats: afterStats,
@@ -166,6 +565,33 @@ export function writeFileWithMetadata(filePath, content, options = {}) {
   };
 }
 
+// Copy an existing file to a timestamped .backup file next to it
+export function createBackup(filePath) {
+  try {
+    const normalizedPath = validateAndNormalizePath(filePath);
+
+    if (!existsSync(normalizedPath)) {
+      return null; // No backup needed if file doesn't exist
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${normalizedPath}.backup-${timestamp}`;
+
+    copyFileSync(normalizedPath, backupPath);
+
+    return {
+      backup_created: true,
+      backup_path: backupPath,
+      timestamp
+    };
+  } catch (error) {
+    return {
+      backup_created: false,
+      error: error.message
+    };
+  }
+}
+
 // File operations
 export function copyFile(sourcePath, destinationPath, options = {}) {
   const { overwrite = false } = options;
@@ -386,6 +812,164 @@ export function deleteDirectory(dirPath, options = {}) {
   };
 }
 
+// Recursively walk a directory, yielding entries in pre-order (a directory
+// before its contents) sorted by name. `.git` is never entered; hidden
+// entries, .gitignore'd entries and `exclude` globs (matched against the path
+// relative to the root) are skipped and not descended into.
+export function* walkDirectory(dirPath, options = {}) {
+  const {
+    max_depth = Infinity,
+    include_hidden = false,
+    respect_gitignore = true,
+    exclude = [],
+  } = options;
+
+  const rootPath = validateAndNormalizePath(dirPath);
+  const isExcluded = createGlobMatcher(exclude);
+
+  function* walk(currentPath, depth, ignoreMatcher) {
+    let entries;
+    try {
+      entries = readdirSync(currentPath, { withFileTypes: true });
+    } catch (error) {
+      yield { path: currentPath, depth, error: error.message };
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    const matcher = respect_gitignore ? ignoreMatcher.forDirectory(currentPath) : ignoreMatcher;
+
+    for (const entry of entries) {
+      if (entry.name === '.git' || (!include_hidden && entry.name.startsWith('.'))) {
+        continue;
+      }
+
+      const fullPath = join(currentPath, entry.name);
+      const relativePath = relative(rootPath, fullPath);
+      const isDirectory = entry.isDirectory();
+
+      if (isExcluded(relativePath) || (respect_gitignore && matcher.isIgnored(fullPath, isDirectory))) {
+        continue;
+      }
+
+      yield {
+        name: entry.name,
+        path: fullPath,
+        relative_path: relativePath,
+        depth,
+        is_file: entry.isFile(),
+        is_directory: isDirectory,
+        is_symbolic_link: entry.isSymbolicLink(),
+      };
+
+      // Symlinked directories are reported but not followed, to avoid cycles
+      if (isDirectory && depth < max_depth) {
+        yield* walk(fullPath, depth + 1, matcher);
+      }
+    }
+  }
+
+  yield* walk(rootPath, 1, respect_gitignore ? GitignoreMatcher.forStartPath(rootPath) : new GitignoreMatcher());
+}
+
+// Build an in-memory tree of a directory with sizes aggregated bottom-up.
+// Uses one lstat per entry. The whole tree below the root is scanned (up to
+// TREE_LIMITS.MAX_SCAN_ENTRIES) so directory sizes are complete even when
+// only a few levels are displayed. With `include`, only matching files are
+// kept and directories without any are pruned.
+export function buildDirectoryTree(dirPath, options = {}) {
+  const { include = [], exclude = [], include_hidden = false, respect_gitignore = true } = options;
+  const rootPath = validateAndNormalizePath(dirPath);
+
+  if (!existsSync(rootPath)) {
+    throw new Error(`Directory not found: ${rootPath}`);
+  }
+
+  const rootStats = statSync(rootPath);
+  if (!rootStats.isDirectory()) {
+    throw new Error(`Path is not a directory: ${rootPath}`);
+  }
+
+  const isIncluded = include.length > 0 ? createGlobMatcher(include) : () => true;
+  const createNode = (name, path, stats, isDirectory) => ({
+    name,
+    path,
+    is_directory: isDirectory,
+    is_symbolic_link: stats ? stats.isSymbolicLink() : false,
+    size: isDirectory ? 0 : (stats ? stats.size : 0),
+    modified: stats ? stats.mtimeMs : 0,
+    ...(isDirectory && { children: [], file_count: 0, directory_count: 0 }),
+  });
+
+  const root = createNode(basename(rootPath) || rootPath, rootPath, rootStats, true);
+  const directories = new Map([[rootPath, root]]);
+  let scanned = 0;
+  let partial = false;
+
+  for (const entry of walkDirectory(rootPath, { include_hidden, respect_gitignore, exclude })) {
+    if (entry.error) {
+      const node = directories.get(entry.path);
+      if (node) node.error = entry.error;
+      continue;
+    }
+
+    if (++scanned > TREE_LIMITS.MAX_SCAN_ENTRIES) {
+      partial = true;
+      break;
+    }
+
+    const parent = directories.get(dirname(entry.path));
+    if (!parent) {
+      continue;
+    }
+
+    if (!entry.is_directory && !isIncluded(entry.relative_path)) {
+      continue;
+    }
+
+    let stats = null;
+    try {
+      stats = lstatSync(entry.path);
+    } catch {
+      // Vanished or unreadable; keep the entry without stats
+    }
+
+    const node = createNode(entry.name, entry.path, stats, entry.is_directory);
+    parent.children.push(node);
+    if (entry.is_directory) {
+      directories.set(entry.path, node);
+    }
+  }
+
+  const aggregate = (node) => {
+    for (const child of node.children) {
+      if (child.is_directory) {
+        aggregate(child);
+        node.file_count += child.file_count;
+        node.directory_count += child.directory_count + 1;
+      } else {
+        node.file_count++;
+      }
+      node.size += child.size;
+      node.modified = Math.max(node.modified, child.modified);
+    }
+
+    if (include.length > 0) {
+      node.children = node.children.filter(child => !child.is_directory || child.file_count > 0);
+      node.directory_count = node.children
+        .filter(child => child.is_directory)
+        .reduce((count, child) => count + child.directory_count + 1, 0);
+    }
+  };
+  aggregate(root);
+
+  return {
+    root,
+    scanned_entries: Math.min(scanned, TREE_LIMITS.MAX_SCAN_ENTRIES),
+    partial,
+  };
+}
+
 export function checkDirectoryExists(dirPath) {
   const normalizedPath = validateAndNormalizePath(dirPath);
   
@@ -0,0 +1,189 @@
+import { readFileSync, existsSync } from "fs";
+import { join, relative, sep, dirname } from "path";
+
+// Convert a glob to a RegExp over "/"-separated paths.
+// Supports *, **, ?, [abc], [!abc] and {a,b}.
+export function globToRegExp(glob, options = {}) {
+  const { ignoreCase = false } = options;
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories; a bare "**" matches anything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+        if (body[0] === '!') body = '^' + body.slice(1);
+        source += `[${body}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+}
+
+export function toPosixPath(path) {
+  return sep === '/' ? path : path.split(sep).join('/');
+}
+
+// Match a path relative to the search root against a list of globs.
+// Globs without a "/" match the file name at any depth, like `*.js`.
+export function createGlobMatcher(patterns = []) {
+  const compiled = patterns.map(pattern => {
+    const trimmed = pattern.replace(/^\.\//, '').replace(/\/$/, '');
+    return {
+      regex: globToRegExp(trimmed),
+      basename: !trimmed.includes('/'),
+    };
+  });
+
+  return (relativePath) => {
+    const posixPath = toPosixPath(relativePath);
+    const name = posixPath.slice(posixPath.lastIndexOf('/') + 1);
+    return compiled.some(({ regex, basename }) => regex.test(basename ? name : posixPath));
+  };
+}
+
+function parseGitignore(content, baseDir) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (line.endsWith('/')) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) {
+      line = line.slice(1);
+    }
+
+    rules.push({
+      baseDir,
+      negate,
+      directoryOnly,
+      anchored,
+      regex: globToRegExp(line),
+    });
+  }
+
+  return rules;
+}
+
+// Tracks the .gitignore rules in effect while walking a directory tree.
+// Rules from deeper .gitignore files are added as the walk descends, and the
+// last matching rule wins, as in git.
+export class GitignoreMatcher {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  // Matcher for walking from `startPath`: picks up the .gitignore files between
+  // the enclosing git repository's root and startPath's parent
+  static forStartPath(startPath) {
+    const ancestors = [];
+    let current = dirname(startPath);
+
+    while (true) {
+      ancestors.unshift(current);
+      if (existsSync(join(current, '.git'))) {
+        break;
+      }
+      const parent = dirname(current);
+      if (parent === current) {
+        // Not inside a repository; only the walked tree's own files apply
+        return new GitignoreMatcher();
+      }
+      current = parent;
+    }
+
+    return ancestors.reduce((matcher, dir) => matcher.forDirectory(dir), new GitignoreMatcher());
+  }
+
+  // Matcher for a child directory: inherits these rules plus its own .gitignore
+  forDirectory(dirPath) {
+    const gitignorePath = join(dirPath, '.gitignore');
+    if (!existsSync(gitignorePath)) {
+      return this;
+    }
+
+    try {
+      const rules = parseGitignore(readFileSync(gitignorePath, 'utf8'), dirPath);
+      return new GitignoreMatcher([...this.rules, ...rules]);
+    } catch {
+      return this;
+    }
+  }
+
+  isIgnored(fullPath, isDirectory) {
+    let ignored = false;
+
+    for (const rule of this.rules) {
+      if (rule.directoryOnly && !isDirectory) {
+        continue;
+      }
+
+      const relativePath = toPosixPath(relative(rule.baseDir, fullPath));
+      if (!relativePath || relativePath.startsWith('..')) {
+        continue;
+      }
+
+      const subject = rule.anchored
+        ? relativePath
+        : relativePath.slice(relativePath.lastIndexOf('/') + 1);
+
+      if (rule.regex.test(subject)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+}
@@ -0,0 +1,83 @@
+import { existsSync } from "fs";
+import { getConfig } from "../config/config-manager.js";
+import { findExecutable, escapeShellArg } from "./command-utils.js";
+import { BUILTIN_INTERPRETERS } from "../config/constants.js";
+
+const DEFAULT_COMMAND = '{executable} {script} {args}';
+
+const DEFAULTS = {
+  command: DEFAULT_COMMAND,
+  extension: '.txt',
+  version: null,
+  shell: false,
+  dependencies: null,
+};
+
+// Invalid config entries already reported, so each is logged once
+const reported = new Set();
+
+// Plain names stay unquoted so commands read the same in every shell
+function quoteIfNeeded(value) {
+  return /[\s"'`$&|;<>()^%!]/.test(value) ? escapeShellArg(value) : value;
+}
+
+// Built-in interpreters merged with the `interpreters` config key. A config
+// entry overrides the built-in of the same name field by field; null removes
+// it. Entries without an executable, or whose command has no {script}, are
+// skipped.
+export function getInterpreters(config = getConfig()) {
+  const merged = { ...BUILTIN_INTERPRETERS };
+
+  for (const [name, entry] of Object.entries(config.get('interpreters') || {})) {
+    if (entry === null) {
+      delete merged[name];
+      continue;
+    }
+
+    const definition = { ...merged[name], ...entry };
+    if (typeof definition.executable !== 'string' || !definition.executable
+      || !(definition.command ?? DEFAULT_COMMAND).includes('{script}')) {
+      if (!reported.has(name)) {
+        reported.add(name);
+        console.error(`Ignoring interpreter ${name}: it needs an executable and a command containing {script}`);
+      }
+      continue;
+    }
+    merged[name] = definition;
+  }
+
+  return Object.fromEntries(
+    Object.entries(merged).map(([name, definition]) => [name, { ...DEFAULTS, ...definition, name }])
+  );
+}
+
+export function getInterpreter(name, config = getConfig()) {
+  const interpreters = getInterpreters(config);
+  return Object.hasOwn(interpreters, name) ? interpreters[name] : null;
+}
+
+// Path of the interpreter's executable, or null when it isn't installed
+export function findInterpreter(interpreter) {
+  const { executable } = interpreter;
+  if (/[\\/]/.test(executable)) {
+    return existsSync(executable) ? executable : null;
+  }
+  return findExecutable(executable);
+}
+
+// Interpreters that are installed and allowed by allowedInterpreters
+export function getAvailableInterpreters(config = getConfig()) {
+  return Object.values(getInterpreters(config))
+    .filter(interpreter => config.isInterpreterAllowed(interpreter.name) && findInterpreter(interpreter));
+}
+
+// Fill in the command template. `executable` replaces the configured one,
+// e.g. with a virtualenv's python.
+export function buildInterpreterCommand(interpreter, scriptPath, args = [], executable = interpreter.executable) {
+  const values = {
+    executable: quoteIfNeeded(executable),
+    script: escapeShellArg(scriptPath),
+    args: args.map(escapeShellArg).join(' '),
+  };
+  return interpreter.command.replace(/\{(executable|script|args)\}/g, (match, key) => values[key]).trim();
+}
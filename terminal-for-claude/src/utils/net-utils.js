@@ -0,0 +1,280 @@
+import { readFileSync, readdirSync, readlinkSync } from "fs";
+import { platform } from "os";
+import { execAsync, isWindows } from "./command-utils.js";
+import { TIMEOUTS } from "../config/constants.js";
+
+const TCP_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING',
+};
+
+const PROC_NET_FILES = ['tcp', 'tcp6', 'udp', 'udp6'];
+
+// Collapse the longest run of zero groups to "::"
+function compressIpv6(hextets) {
+  let best = { start: -1, length: 0 };
+  for (let start = 0; start < hextets.length; start++) {
+    let length = 0;
+    while (hextets[start + length] === '0') {
+      length++;
+    }
+    if (length > best.length) {
+      best = { start, length };
+    }
+  }
+
+  if (best.length < 2) {
+    return hextets.join(':');
+  }
+  const before = hextets.slice(0, best.start).join(':');
+  const after = hextets.slice(best.start + best.length).join(':');
+  return `${before}::${after}`;
+}
+
+// /proc/net addresses are hex in host (little-endian) byte order, 32 bits at a time
+export function decodeProcAddress(hex) {
+  const [address, port] = hex.split(':');
+  const words = address.match(/.{8}/g).map(word => word.match(/../g).reverse().join(''));
+
+  if (words.length === 1) {
+    return { address: words[0].match(/../g).map(byte => parseInt(byte, 16)).join('.'), port: parseInt(port, 16) };
+  }
+
+  const hextets = words.join('').match(/.{4}/g).map(group => group.replace(/^0+(?=.)/, '').toLowerCase());
+  let text = hextets.join(':');
+  if (text.startsWith('0:0:0:0:0:ffff:')) {
+    // IPv4-mapped address
+    const bytes = words[3].match(/../g).map(byte => parseInt(byte, 16));
+    text = `::ffff:${bytes.join('.')}`;
+  } else {
+    text = compressIpv6(hextets);
+  }
+
+  return { address: text, port: parseInt(port, 16) };
+}
+
+function readProcNet(protocol) {
+  try {
+    return parseProcNet(protocol, readFileSync(`/proc/net/${protocol}`, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// One socket per line of a /proc/net/{tcp,tcp6,udp,udp6} table
+export function parseProcNet(protocol, content) {
+  const sockets = [];
+  for (const line of content.trim().split('\n').slice(1)) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 10) {
+      continue;
+    }
+
+    const local = decodeProcAddress(fields[1]);
+    const remote = decodeProcAddress(fields[2]);
+    const isUdp = protocol.startsWith('udp');
+
+    sockets.push({
+      protocol,
+      local_address: local.address,
+      local_port: local.port,
+      remote_address: remote.address,
+      remote_port: remote.port,
+      // An unconnected UDP socket is reported as CLOSE; call it what it is
+      state: isUdp ? (remote.port === 0 ? 'UNCONNECTED' : 'ESTABLISHED') : (TCP_STATES[fields[3]] || fields[3]),
+      uid: parseInt(fields[7]),
+      inode: parseInt(fields[9]),
+    });
+  }
+
+  return sockets;
+}
+
+// Map socket inodes to the set of processes holding them: a socket is shared
+// by every process that inherited it, e.g. the workers of a pre-fork server.
+// Processes of other users can't be inspected without privileges, so their
+// sockets stay unattributed.
+export function mapSocketInodes(procRoot = '/proc') {
+  const owners = new Map();
+
+  for (const entry of readdirSync(procRoot)) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+
+    let fds;
+    try {
+      fds = readdirSync(`${procRoot}/${entry}/fd`);
+    } catch {
+      continue;
+    }
+
+    for (const fd of fds) {
+      try {
+        const match = /^socket:\[(\d+)\]$/.exec(readlinkSync(`${procRoot}/${entry}/fd/${fd}`));
+        if (match) {
+          const inode = Number(match[1]);
+          if (!owners.has(inode)) {
+            owners.set(inode, new Set());
+          }
+          owners.get(inode).add(Number(entry));
+        }
+      } catch {
+        // fd closed while we were looking
+      }
+    }
+  }
+
+  return owners;
+}
+
+// A shared socket is listed once per owning process, as lsof does
+function listProcSockets() {
+  const sockets = PROC_NET_FILES.flatMap(readProcNet);
+  const owners = mapSocketInodes();
+
+  return sockets.flatMap(socket => {
+    const pids = [...(owners.get(socket.inode) || [])].sort((a, b) => a - b);
+    return pids.length > 0 ? pids.map(pid => ({ ...socket, pid })) : [{ ...socket, pid: null }];
+  });
+}
+
+function splitHostPort(text) {
+  const index = text.lastIndexOf(':');
+  if (index === -1) {
+    return { address: text, port: 0 };
+  }
+  const port = text.slice(index + 1);
+  return {
+    address: text.slice(0, index).replace(/^\[|\]$/g, ''),
+    port: port === '*' ? 0 : parseInt(port) || 0,
+  };
+}
+
+// lsof -F output: one field per line, p<pid> starts a process, f<fd> a file
+async function listLsofSockets() {
+  let stdout;
+  try {
+    ({ stdout } = await execAsync('lsof -nP -i -F pcPnT', {
+      timeout: TIMEOUTS.PROCESS,
+      maxBuffer: 1024 * 1024 * 10,
+    }));
+  } catch (error) {
+    // lsof exits 1 when nothing matched
+    stdout = error.stdout || '';
+  }
+
+  const sockets = [];
+  let pid = null;
+  let socket = null;
+
+  for (const line of stdout.split('\n')) {
+    const field = line[0];
+    const value = line.slice(1);
+
+    if (field === 'p') {
+      pid = parseInt(value);
+    } else if (field === 'f') {
+      socket = null;
+    } else if (field === 'P') {
+      socket = { protocol: value.toLowerCase(), pid, state: null };
+      sockets.push(socket);
+    } else if (field === 'n' && socket) {
+      const [local, remote] = value.split('->');
+      const localParts = splitHostPort(local);
+      const remoteParts = remote ? splitHostPort(remote) : { address: null, port: 0 };
+      if (localParts.address.includes(':')) {
+        socket.protocol += '6';
+      }
+      Object.assign(socket, {
+        local_address: localParts.address === '*' ? (socket.protocol.endsWith('6') ? '::' : '0.0.0.0') : localParts.address,
+        local_port: localParts.port,
+        remote_address: remoteParts.address,
+        remote_port: remoteParts.port,
+      });
+      if (socket.protocol.startsWith('udp')) {
+        socket.state = remote ? 'ESTABLISHED' : 'UNCONNECTED';
+      }
+    } else if (field === 'T' && socket && value.startsWith('ST=')) {
+      socket.state = value.slice(3);
+    }
+  }
+
+  return sockets.filter(socket => socket.local_address !== undefined);
+}
+
+async function listNetstatSockets() {
+  const { stdout } = await execAsync('netstat -ano', {
+    timeout: TIMEOUTS.PROCESS,
+    maxBuffer: 1024 * 1024 * 10,
+  });
+
+  const sockets = [];
+  for (const line of stdout.split('\n')) {
+    const fields = line.trim().split(/\s+/);
+    const protocol = fields[0]?.toLowerCase();
+    if (protocol !== 'tcp' && protocol !== 'udp') {
+      continue;
+    }
+
+    const isUdp = protocol === 'udp';
+    const local = splitHostPort(fields[1]);
+    const remote = splitHostPort(fields[2]);
+    const state = isUdp ? (remote.port === 0 ? 'UNCONNECTED' : 'ESTABLISHED') : fields[3];
+    const pid = parseInt(fields[isUdp ? 3 : 4]);
+
+    sockets.push({
+      protocol: local.address.includes(':') ? `${protocol}6` : protocol,
+      local_address: local.address,
+      local_port: local.port,
+      remote_address: remote.address,
+      remote_port: remote.port,
+      state: state === 'LISTENING' ? 'LISTEN' : state,
+      pid: Number.isNaN(pid) ? null : pid,
+    });
+  }
+
+  return sockets;
+}
+
+// All TCP/UDP sockets with their owning pid where it can be determined
+export async function listSockets() {
+  if (platform() === 'linux') {
+    return listProcSockets();
+  }
+  return isWindows() ? listNetstatSockets() : listLsofSockets();
+}
+
+export function isListening(socket) {
+  return socket.state === 'LISTEN' || socket.state === 'UNCONNECTED';
+}
+
+// Listening TCP ports and bound UDP ports, grouped by pid
+export async function getListeningPortsByPid() {
+  const ports = new Map();
+
+  for (const socket of await listSockets()) {
+    if (socket.pid === null || !isListening(socket)) {
+      continue;
+    }
+    if (!ports.has(socket.pid)) {
+      ports.set(socket.pid, []);
+    }
+    ports.get(socket.pid).push({
+      protocol: socket.protocol,
+      address: socket.local_address,
+      port: socket.local_port,
+    });
+  }
+
+  return ports;
+}
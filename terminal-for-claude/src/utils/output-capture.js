@@ -0,0 +1,185 @@
+import { openSync, writeSync, closeSync, mkdtempSync, readdirSync, realpathSync, rmSync, unlinkSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomUUID } from "crypto";
+import { OUTPUT_LIMITS } from "../config/constants.js";
+
+let outputDirectory = null;
+
+// Saved output goes to a private directory per server process: mkdtemp picks
+// an unpredictable name and creates it 0700, so another local user can't
+// pre-create it or plant symlinks in it. It's removed when the server exits.
+// Pass create: false to get null instead when nothing has been saved yet.
+export function getOutputDirectory({ create = true } = {}) {
+  if (!outputDirectory && create) {
+    const dir = mkdtempSync(join(realpathSync(tmpdir()), 'claude-terminal-output-'));
+    process.once('exit', () => rmSync(dir, { recursive: true, force: true }));
+    outputDirectory = dir;
+  }
+  return outputDirectory;
+}
+
+function countNewlines(buffer) {
+  let count = 0;
+  for (let index = buffer.indexOf(10); index !== -1; index = buffer.indexOf(10, index + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Keep only the newest saved outputs so a long-running server doesn't fill /tmp
+function pruneOutputDirectory(dir) {
+  try {
+    const files = readdirSync(dir).filter(name => name.endsWith('.log')).sort();
+    for (const name of files.slice(0, Math.max(0, files.length - OUTPUT_LIMITS.MAX_SAVED_FILES))) {
+      unlinkSync(join(dir, name));
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+// Collects one output stream within a byte budget. Output that fits is kept
+// as-is; once it overflows, the whole stream is written to a temp file and
+// only the head and tail are kept in memory, joined by an elided-lines marker.
+export class OutputCapture {
+  constructor(name, budget = OUTPUT_LIMITS.DEFAULT_BUDGET) {
+    this.name = name;
+    this.budget = Math.max(budget, OUTPUT_LIMITS.MIN_BUDGET);
+    this.headLimit = Math.floor(this.budget * OUTPUT_LIMITS.HEAD_RATIO);
+    this.tailLimit = this.budget - this.headLimit;
+    this.chunks = [];
+    this.head = null;
+    this.tail = [];
+    this.tailBytes = 0;
+    this.totalBytes = 0;
+    this.newlines = 0;
+    this.fd = null;
+    this.filePath = null;
+    this.savedBytes = 0;
+    this.saveError = null;
+  }
+
+  get overflowed() {
+    return this.head !== null;
+  }
+
+  write(chunk) {
+    this.totalBytes += chunk.length;
+    this.newlines += countNewlines(chunk);
+
+    if (!this.overflowed) {
+      this.chunks.push(chunk);
+      if (this.totalBytes > this.budget) {
+        this.startOverflow();
+      }
+      return;
+    }
+
+    this.save(chunk);
+    this.tail.push(chunk);
+    this.tailBytes += chunk.length;
+    while (this.tail.length > 1 && this.tailBytes - this.tail[0].length >= this.tailLimit) {
+      this.tailBytes -= this.tail.shift().length;
+    }
+  }
+
+  startOverflow() {
+    const buffered = Buffer.concat(this.chunks);
+    this.chunks = null;
+    this.head = buffered.subarray(0, this.headLimit);
+    this.tail = [buffered.subarray(Math.max(this.headLimit, buffered.length - this.tailLimit))];
+    this.tailBytes = this.tail[0].length;
+
+    try {
+      const dir = getOutputDirectory();
+      pruneOutputDirectory(dir);
+      this.filePath = join(dir, `${Date.now()}-${randomUUID().slice(0, 8)}-${this.name}.log`);
+      this.fd = openSync(this.filePath, 'w', 0o600);
+    } catch (error) {
+      this.saveError = error.message;
+      this.filePath = null;
+    }
+
+    this.save(buffered);
+  }
+
+  save(chunk) {
+    if (this.fd === null) {
+      return;
+    }
+
+    const room = OUTPUT_LIMITS.MAX_SAVED_BYTES - this.savedBytes;
+    if (room <= 0) {
+      return;
+    }
+
+    try {
+      const data = chunk.length > room ? chunk.subarray(0, room) : chunk;
+      writeSync(this.fd, data);
+      this.savedBytes += data.length;
+    } catch (error) {
+      this.saveError = error.message;
+      this.close();
+    }
+  }
+
+  close() {
+    if (this.fd !== null) {
+      try {
+        closeSync(this.fd);
+      } catch {
+        // Already closed
+      }
+      this.fd = null;
+    }
+  }
+
+  // Returns { text, info }; info is null unless the output was cut down
+  finish() {
+    this.close();
+
+    if (!this.overflowed) {
+      return { text: Buffer.concat(this.chunks).toString(), info: null };
+    }
+
+    // Cut both ends back to whole lines where possible
+    let head = this.head;
+    const headEnd = head.lastIndexOf(10);
+    if (headEnd !== -1) {
+      head = head.subarray(0, headEnd + 1);
+    }
+
+    let tail = Buffer.concat(this.tail);
+    tail = tail.subarray(Math.max(0, tail.length - this.tailLimit));
+    const tailStart = tail.indexOf(10);
+    if (tailStart !== -1 && tailStart < tail.length - 1) {
+      tail = tail.subarray(tailStart + 1);
+    }
+
+    const elidedBytes = this.totalBytes - head.length - tail.length;
+    const elidedLines = this.newlines - countNewlines(head) - countNewlines(tail);
+    const location = this.filePath
+      ? `full ${this.name} saved to ${this.filePath}`
+      : `full ${this.name} could not be saved: ${this.saveError}`;
+    const separator = head.length > 0 && head[head.length - 1] !== 10 ? '\n' : '';
+    const marker = `${separator}[... ${elidedLines} lines (${elidedBytes} bytes) elided; ${location} ...]\n`;
+
+    return {
+      text: head.toString() + marker + tail.toString(),
+      info: {
+        total_bytes: this.totalBytes,
+        total_lines: this.newlines + (this.endsWithNewline(tail) ? 0 : 1),
+        elided_bytes: elidedBytes,
+        elided_lines: elidedLines,
+        full_output_file: this.filePath,
+        ...(this.filePath && this.savedBytes < this.totalBytes && { full_output_file_truncated: true }),
+        ...(this.saveError && { save_error: this.saveError }),
+      },
+    };
+  }
+
+  endsWithNewline(buffer) {
+    return buffer.length > 0 && buffer[buffer.length - 1] === 10;
+  }
+}
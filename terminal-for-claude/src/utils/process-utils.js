@@ -0,0 +1,286 @@
+import { readFileSync, readdirSync, readlinkSync } from "fs";
+import { platform, totalmem } from "os";
+import { basename } from "path";
+import { execAsync, isWindows } from "./command-utils.js";
+import { TIMEOUTS } from "../config/constants.js";
+
+// USER_HZ is fixed at 100 in the kernel's userspace ABI on every mainstream
+// architecture, and Node has no sysconf() to ask
+const CLOCK_TICKS = 100;
+
+const PROCESS_STATES = {
+  R: 'running',
+  S: 'sleeping',
+  D: 'disk_sleep',
+  I: 'idle',
+  T: 'stopped',
+  t: 'tracing_stop',
+  Z: 'zombie',
+  X: 'dead',
+  U: 'uninterruptible',
+};
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function readProcFile(pid, name) {
+  try {
+    return readFileSync(`/proc/${pid}/${name}`, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function loadUserNames() {
+  const names = new Map();
+  try {
+    for (const line of readFileSync('/etc/passwd', 'utf8').split('\n')) {
+      const [name, , uid] = line.split(':');
+      if (name && uid !== undefined) {
+        names.set(Number(uid), name);
+      }
+    }
+  } catch {
+    // Fall back to numeric uids
+  }
+  return names;
+}
+
+function readProcProcess(pid, context) {
+  const stat = readProcFile(pid, 'stat');
+  const status = readProcFile(pid, 'status');
+  if (!stat || !status) {
+    return null;
+  }
+
+  // The command name is in parentheses and may itself contain spaces or ")"
+  const nameEnd = stat.lastIndexOf(')');
+  const name = stat.slice(stat.indexOf('(') + 1, nameEnd);
+  const fields = stat.slice(nameEnd + 2).split(' ');
+
+  const statusValue = (key) => {
+    const match = new RegExp(`^${key}:\\s*(.*)$`, 'm').exec(status);
+    return match ? match[1] : null;
+  };
+  const uid = parseInt(statusValue('Uid')) || 0;
+  const rssKb = parseInt(statusValue('VmRSS')) || 0;
+
+  const cpuSeconds = (Number(fields[11]) + Number(fields[12])) / CLOCK_TICKS;
+  const startSeconds = Number(fields[19]) / CLOCK_TICKS;
+  const elapsed = Math.max(0, context.uptime - startSeconds);
+
+  const cmdline = (readProcFile(pid, 'cmdline') || '').split('\0').filter(Boolean);
+
+  let cwd = null;
+  try {
+    cwd = readlinkSync(`/proc/${pid}/cwd`);
+  } catch {
+    // Another user's process
+  }
+
+  return {
+    pid,
+    ppid: Number(fields[1]),
+    name,
+    user: context.userNames.get(uid) ?? String(uid),
+    state: PROCESS_STATES[fields[0]] || fields[0],
+    cpu_percent: elapsed > 0 ? round((cpuSeconds / elapsed) * 100) : 0,
+    memory_percent: round((rssKb * 1024 / context.totalMemory) * 100),
+    rss_kb: rssKb,
+    vsz_kb: parseInt(statusValue('VmSize')) || 0,
+    threads: Number(fields[17]),
+    start_time: new Date((context.bootTime + startSeconds) * 1000).toISOString(),
+    elapsed_seconds: Math.round(elapsed),
+    cwd,
+    // Kernel threads have no command line; show them the way ps does
+    command: cmdline.length > 0 ? cmdline.join(' ') : `[${name}]`,
+  };
+}
+
+function listProcProcesses() {
+  const bootTime = Number(/^btime (\d+)/m.exec(readFileSync('/proc/stat', 'utf8'))[1]);
+  const context = {
+    bootTime,
+    uptime: parseFloat(readFileSync('/proc/uptime', 'utf8')),
+    totalMemory: totalmem(),
+    userNames: loadUserNames(),
+  };
+
+  const processes = [];
+  for (const entry of readdirSync('/proc')) {
+    if (/^\d+$/.test(entry)) {
+      // Processes can exit between readdir and read
+      const proc = readProcProcess(Number(entry), context);
+      if (proc) {
+        processes.push(proc);
+      }
+    }
+  }
+
+  return processes;
+}
+
+// ps etime: [[dd-]hh:]mm:ss
+function parseElapsed(text) {
+  const [days, clock] = text.includes('-') ? text.split('-') : [0, text];
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) {
+    parts.unshift(0);
+  }
+  return Number(days) * 86400 + parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+async function listPsProcesses() {
+  const { stdout } = await execAsync('ps -axww -o pid=,ppid=,user=,pcpu=,pmem=,rss=,vsz=,state=,etime=,args=', {
+    timeout: TIMEOUTS.PROCESS,
+    maxBuffer: 1024 * 1024 * 10,
+  });
+
+  const now = Date.now();
+  const processes = [];
+
+  for (const line of stdout.split('\n')) {
+    const match = /^\s*(\d+)\s+(\d+)\s+(\S+)\s+([\d.]+)\s+([\d.]+)\s+(\d+)\s+(\d+)\s+(\S+)\s+(\S+)\s+(.*)$/.exec(line);
+    if (!match) {
+      continue;
+    }
+
+    const [, pid, ppid, user, cpu, memory, rss, vsz, state, etime, command] = match;
+    const elapsed = parseElapsed(etime);
+
+    processes.push({
+      pid: Number(pid),
+      ppid: Number(ppid),
+      name: basename(command.split(' ')[0]),
+      user,
+      state: PROCESS_STATES[state[0]] || state,
+      cpu_percent: Number(cpu),
+      memory_percent: Number(memory),
+      rss_kb: Number(rss),
+      vsz_kb: Number(vsz),
+      threads: null,
+      start_time: new Date(now - elapsed * 1000).toISOString(),
+      elapsed_seconds: elapsed,
+      cwd: null,
+      command,
+    });
+  }
+
+  return processes;
+}
+
+async function listWindowsProcesses() {
+  const script = "Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,Name,CommandLine,"
+    + "WorkingSetSize,VirtualSize,ThreadCount,@{n='Created';e={$_.CreationDate.ToString('o')}} | ConvertTo-Json -Compress";
+  const { stdout } = await execAsync(`powershell -NoProfile -NonInteractive -Command "${script}"`, {
+    timeout: TIMEOUTS.PROCESS,
+    maxBuffer: 1024 * 1024 * 10,
+  });
+
+  const now = Date.now();
+  const parsed = JSON.parse(stdout || '[]');
+
+  return (Array.isArray(parsed) ? parsed : [parsed]).map(proc => {
+    const started = proc.Created ? Date.parse(proc.Created) : null;
+    return {
+      pid: proc.ProcessId,
+      ppid: proc.ParentProcessId,
+      name: proc.Name,
+      user: null,
+      state: null,
+      cpu_percent: null,
+      memory_percent: round(((proc.WorkingSetSize || 0) / totalmem()) * 100),
+      rss_kb: Math.round((proc.WorkingSetSize || 0) / 1024),
+      vsz_kb: Math.round((proc.VirtualSize || 0) / 1024),
+      threads: proc.ThreadCount ?? null,
+      start_time: started ? new Date(started).toISOString() : null,
+      elapsed_seconds: started ? Math.round((now - started) / 1000) : null,
+      cwd: null,
+      command: proc.CommandLine || proc.Name,
+    };
+  });
+}
+
+// Full details for every process: /proc on Linux, ps elsewhere on Unix,
+// CIM on Windows. Fields a platform can't provide are null.
+export async function listProcessDetails() {
+  if (platform() === 'linux') {
+    return listProcProcesses();
+  }
+  return isWindows() ? listWindowsProcesses() : listPsProcesses();
+}
+
+// A zombie has exited and is only waiting for its parent to reap it
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+
+  if (platform() === 'linux') {
+    const stat = readProcFile(pid, 'stat');
+    return stat !== null && stat[stat.lastIndexOf(')') + 2] !== 'Z';
+  }
+  return true;
+}
+
+// Parent, grandparent and so on up to the root
+export function getAncestors(processes, pid) {
+  const byPid = new Map(processes.map(proc => [proc.pid, proc]));
+  const result = [];
+  const seen = new Set([pid]);
+
+  for (let proc = byPid.get(byPid.get(pid)?.ppid); proc && !seen.has(proc.pid); proc = byPid.get(proc.ppid)) {
+    seen.add(proc.pid);
+    result.push(proc);
+  }
+
+  return result;
+}
+
+// Every process below pid, parents before children
+export function getDescendants(processes, pid) {
+  const children = new Map();
+  for (const proc of processes) {
+    if (!children.has(proc.ppid)) {
+      children.set(proc.ppid, []);
+    }
+    children.get(proc.ppid).push(proc);
+  }
+
+  const result = [];
+  const queue = [pid];
+  const seen = new Set(queue);
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (!seen.has(child.pid)) {
+        seen.add(child.pid);
+        result.push(child);
+        queue.push(child.pid);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Nest processes under their parents. A process whose parent isn't in the
+// list becomes a root; input order is kept among siblings.
+export function buildProcessTree(processes) {
+  const nodes = new Map(processes.map(proc => [proc.pid, { ...proc, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.ppid !== node.pid ? nodes.get(node.ppid) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
@@ -0,0 +1,471 @@
+import { spawn } from "child_process";
+import { constants } from "os";
+import { isWindows, findExecutable } from "./command-utils.js";
+import { getSessionShell } from "./shell-session.js";
+import { ShellInput, trackShellInput } from "../security/shell-input.js";
+import { getShellDialect } from "../security/shell-parser.js";
+import { OutputBuffer } from "./background-job.js";
+import { ScreenBuffer, stripAnsi } from "./vt-screen.js";
+import { getConfig } from "../config/config-manager.js";
+import { PTY_LIMITS, TIMEOUTS } from "../config/constants.js";
+
+// Named keys accepted by pty_write, as the bytes an xterm sends for them
+const KEYS = {
+  enter: '\r',
+  return: '\r',
+  tab: '\t',
+  'shift-tab': '\x1b[Z',
+  escape: '\x1b',
+  esc: '\x1b',
+  backspace: '\x7f',
+  space: ' ',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  home: '\x1b[H',
+  end: '\x1b[F',
+  insert: '\x1b[2~',
+  delete: '\x1b[3~',
+  pageup: '\x1b[5~',
+  pagedown: '\x1b[6~',
+  f1: '\x1bOP',
+  f2: '\x1bOQ',
+  f3: '\x1bOR',
+  f4: '\x1bOS',
+  f5: '\x1b[15~',
+  f6: '\x1b[17~',
+  f7: '\x1b[18~',
+  f8: '\x1b[19~',
+  f9: '\x1b[20~',
+  f10: '\x1b[21~',
+  f11: '\x1b[23~',
+  f12: '\x1b[24~',
+};
+
+// Translate a key name such as "enter", "up", "ctrl-c" or "alt-x" to the
+// bytes to send. Returns null for names it doesn't know.
+export function encodeKey(name) {
+  const key = String(name).trim().toLowerCase().replace(/\+/g, '-');
+
+  if (KEYS[key] !== undefined) {
+    return KEYS[key];
+  }
+
+  const ctrl = /^(?:ctrl-|c-|\^)(.)$/.exec(key);
+  if (ctrl) {
+    const code = ctrl[1].toUpperCase().charCodeAt(0);
+    // Ctrl maps @, A-Z, [, \, ], ^ and _ onto control codes 0-31
+    if (code >= 0x40 && code <= 0x5f) {
+      return String.fromCharCode(code - 0x40);
+    }
+    if (ctrl[1] === '?') {
+      return '\x7f';
+    }
+    return null;
+  }
+
+  const alt = /^(?:alt-|meta-|m-)(.+)$/.exec(key);
+  if (alt) {
+    const rest = alt[1].length === 1 ? alt[1] : encodeKey(alt[1]);
+    return rest === null ? null : `\x1b${rest}`;
+  }
+
+  return null;
+}
+
+function signalName(signal) {
+  if (!signal) {
+    return null;
+  }
+  if (typeof signal === 'string') {
+    return signal;
+  }
+  return Object.keys(constants.signals).find(name => constants.signals[name] === signal) || String(signal);
+}
+
+// Fallback for when node-pty isn't installed: a small python3 program opens
+// the pseudo-terminal and relays it over pipes. fd 3 carries "cols rows"
+// lines for resizing, and signals sent to the helper are forwarded.
+const PYTHON_PTY_HELPER = [
+  'import fcntl, os, pty, select, signal, struct, sys, termios',
+  'cols, rows = int(sys.argv[1]), int(sys.argv[2])',
+  'def set_size(fd, c, r):',
+  '    fcntl.ioctl(fd, termios.TIOCSWINSZ, struct.pack("HHHH", r, c, 0, 0))',
+  'def write_all(fd, data):',
+  '    while data:',
+  '        data = data[os.write(fd, data):]',
+  'pid, master = pty.fork()',
+  'if pid == 0:',
+  '    set_size(0, cols, rows)',
+  '    try:',
+  '        os.execvp(sys.argv[3], sys.argv[3:])',
+  '    except OSError as e:',
+  '        sys.stderr.write("%s: %s\\n" % (sys.argv[3], e.strerror))',
+  '        os._exit(127)',
+  'def forward(signum, frame):',
+  '    try:',
+  '        os.killpg(pid, signum)',
+  '    except OSError:',
+  '        pass',
+  'for s in (signal.SIGTERM, signal.SIGHUP, signal.SIGINT, signal.SIGQUIT):',
+  '    signal.signal(s, forward)',
+  'sources = [master, 0, 3]',
+  'while master in sources:',
+  '    for fd in select.select(sources, [], [])[0]:',
+  '        try:',
+  '            data = os.read(fd, 65536)',
+  '        except OSError:',
+  '            data = b""',
+  '        if not data:',
+  '            sources.remove(fd)',
+  '        elif fd == master:',
+  '            write_all(1, data)',
+  '        elif fd == 0:',
+  '            try:',
+  '                write_all(master, data)',
+  '            except OSError:',
+  '                pass',
+  '        else:',
+  '            for line in data.decode().splitlines():',
+  '                size = line.split()',
+  '                if len(size) == 2:',
+  '                    set_size(master, int(size[0]), int(size[1]))',
+  '_, status = os.waitpid(pid, 0)',
+  'if os.WIFSIGNALED(status):',
+  '    sig = os.WTERMSIG(status)',
+  '    try:',
+  '        signal.signal(sig, signal.SIG_DFL)',
+  '    except (OSError, ValueError):',
+  '        pass',
+  '    os.kill(os.getpid(), sig)',
+  'sys.exit(os.WEXITSTATUS(status))',
+].join('\n');
+
+let nodePtyModule; // undefined until the first attempt, null if unavailable
+
+async function loadNodePty() {
+  if (nodePtyModule === undefined) {
+    try {
+      const module = await import('node-pty');
+      nodePtyModule = module.default || module;
+    } catch {
+      nodePtyModule = null;
+    }
+  }
+  return nodePtyModule;
+}
+
+function spawnWithNodePty(nodePty, file, args, options) {
+  const terminal = nodePty.spawn(file, args, {
+    name: 'xterm-256color',
+    cols: options.cols,
+    rows: options.rows,
+    cwd: options.cwd,
+    env: options.env,
+  });
+
+  return {
+    backend: 'node-pty',
+    pid: terminal.pid,
+    write: (data) => terminal.write(data),
+    resize: (cols, rows) => terminal.resize(cols, rows),
+    kill: (signal) => terminal.kill(isWindows() ? undefined : signal),
+    onData: (callback) => terminal.onData(callback),
+    onExit: (callback) => terminal.onExit(({ exitCode, signal }) => callback(exitCode, signalName(signal))),
+  };
+}
+
+function spawnWithPython(python, file, args, options) {
+  const child = spawn(python, ['-c', PYTHON_PTY_HELPER, String(options.cols), String(options.rows), file, ...args], {
+    cwd: options.cwd,
+    env: options.env,
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+    detached: true,
+  });
+
+  // Writes after the helper exited are reported through the exit handler
+  child.stdin.on('error', () => {});
+  child.stdio[3].on('error', () => {});
+
+  return {
+    backend: 'python',
+    pid: child.pid,
+    write: (data) => child.stdin.write(data),
+    resize: (cols, rows) => child.stdio[3].write(`${cols} ${rows}\n`),
+    kill: (signal) => process.kill(child.pid, signal),
+    onData: (callback) => {
+      child.stdout.on('data', callback);
+      child.stderr.on('data', callback);
+    },
+    onExit: (callback) => {
+      child.on('error', (error) => callback(null, null, error));
+      child.on('close', (code, signal) => callback(code, signal));
+    },
+  };
+}
+
+// Pick a PTY implementation: node-pty when it is installed, otherwise the
+// python3 helper on macOS and Linux. `ptyBackend` in the config can force one.
+async function resolveBackend() {
+  const preferred = getConfig().get('ptyBackend') || 'auto';
+
+  if (preferred !== 'python') {
+    const nodePty = await loadNodePty();
+    if (nodePty) {
+      return (file, args, options) => spawnWithNodePty(nodePty, file, args, options);
+    }
+    if (preferred === 'node-pty') {
+      throw new Error("ptyBackend is set to node-pty but the node-pty package could not be loaded. Install it with: npm install node-pty");
+    }
+  }
+
+  const python = !isWindows() && (findExecutable('python3') || findExecutable('python'));
+  if (python) {
+    return (file, args, options) => spawnWithPython(python, file, args, options);
+  }
+
+  throw new Error(
+    isWindows()
+      ? "PTY support on Windows needs the optional node-pty package. Install it with: npm install node-pty"
+      : "PTY support needs the optional node-pty package (npm install node-pty) or python3 on PATH"
+  );
+}
+
+export class PtySession {
+  constructor(id, spawnTerminal, options = {}) {
+    this.id = id;
+    this.name = options.name || null;
+    this.command = options.command || null;
+    this.workingDirectory = options.working_directory || process.cwd();
+    // Output of later pty tool calls is masked with the opening call's secrets
+    this.redactionArgs = options.redactionArgs || {};
+    this.cols = options.cols || PTY_LIMITS.DEFAULT_COLS;
+    this.rows = options.rows || PTY_LIMITS.DEFAULT_ROWS;
+    this.output = new OutputBuffer(PTY_LIMITS.OUTPUT_BUFFER_SIZE);
+    this.screen = new ScreenBuffer(this.cols, this.rows, {
+      // Answer cursor position and device queries like a real terminal would
+      onResponse: (reply) => {
+        if (this.isRunning()) this.terminal.write(reply);
+      },
+    });
+    this.status = 'running';
+    this.exitCode = null;
+    this.signal = null;
+    this.error = null;
+    this.startedAt = new Date();
+    this.endedAt = null;
+    this.lastOutputAt = Date.now();
+    this.lastInputAt = 0;
+    // Output position when input was last sent; waits look for a reaction after it
+    this.inputOffset = 0;
+
+    const shell = getSessionShell(options.shell);
+    const [file, args] = this.command
+      ? (isWindows() ? [shell, ['-NoLogo', '-Command', this.command]] : ['/bin/sh', ['-c', this.command]])
+      : [shell, []];
+    // Lines typed into a shell are checked as commands before they are sent
+    this.shellInput = this.command
+      ? trackShellInput(this.command, { dialect: getShellDialect(file), terminal: true })
+      : new ShellInput(shell, { terminal: true });
+
+    this.terminal = spawnTerminal(file, args, {
+      cols: this.cols,
+      rows: this.rows,
+      cwd: this.workingDirectory,
+      env: options.env || { ...process.env, TERM: 'xterm-256color' },
+    });
+    this.backend = this.terminal.backend;
+    this.pid = this.terminal.pid;
+
+    this.terminal.onData((data) => {
+      this.output.append(data);
+      this.screen.write(data);
+      this.lastOutputAt = Date.now();
+    });
+
+    this.terminal.onExit((code, signal, error) => {
+      if (this.status === 'closing') {
+        this.status = 'closed';
+      } else if (this.status === 'running') {
+        this.status = error ? 'failed' : 'exited';
+      }
+      this.exitCode = code;
+      this.signal = signal || null;
+      this.error = error ? error.message : null;
+      this.endedAt = new Date();
+      clearTimeout(this.escalationTimer);
+    });
+  }
+
+  isRunning() {
+    return this.status === 'running' || this.status === 'closing';
+  }
+
+  write(data) {
+    if (!this.isRunning()) {
+      throw new Error(`PTY ${this.id} has exited`);
+    }
+    this.shellInput?.commit(data);
+    this.inputOffset = this.output.totalBytes;
+    this.lastInputAt = Date.now();
+    this.terminal.write(data);
+  }
+
+  resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    this.screen.resize(cols, rows);
+    if (this.isRunning()) {
+      this.terminal.resize(cols, rows);
+    }
+  }
+
+  // Wait until `pattern` appears in the output after `offset` (default: since
+  // input was last sent), or, without a pattern, until neither input nor
+  // output has happened for `idle` ms
+  async waitFor({ pattern = null, offset = this.inputOffset, idle = PTY_LIMITS.DEFAULT_IDLE, timeout }) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (pattern) {
+        const recent = stripAnsi(this.output.readBytes(offset, PTY_LIMITS.OUTPUT_BUFFER_SIZE).data).replace(/\r+\n/g, '\n');
+        if (pattern.test(recent)) {
+          return { matched: true, timed_out: false };
+        }
+        if (!this.isRunning()) {
+          return { matched: false, timed_out: false };
+        }
+      } else if (!this.isRunning() || Date.now() - Math.max(this.lastOutputAt, this.lastInputAt) >= idle) {
+        return { timed_out: false };
+      }
+
+      if (Date.now() >= deadline) {
+        return { ...(pattern && { matched: false }), timed_out: true };
+      }
+      await new Promise(resolve => setTimeout(resolve, PTY_LIMITS.POLL_INTERVAL));
+    }
+  }
+
+  // Hang up like a closing terminal window, then SIGKILL if it's still alive
+  async close(signal = 'SIGHUP', gracePeriod = TIMEOUTS.KILL) {
+    if (!this.isRunning()) {
+      return true;
+    }
+
+    this.status = 'closing';
+    const exited = new Promise(resolve => this.terminal.onExit(() => resolve(true)));
+
+    try {
+      this.terminal.kill(signal);
+    } catch {
+      // Already gone
+    }
+
+    this.escalationTimer = setTimeout(() => {
+      try {
+        this.terminal.kill('SIGKILL');
+      } catch {
+        // Already gone
+      }
+    }, gracePeriod);
+    this.escalationTimer.unref();
+
+    const timeout = new Promise(resolve => setTimeout(() => resolve(false), gracePeriod + 1000).unref());
+    return Promise.race([exited, timeout]);
+  }
+
+  getInfo() {
+    return {
+      pty_id: this.id,
+      name: this.name,
+      command: this.command,
+      pid: this.pid,
+      backend: this.backend,
+      working_directory: this.workingDirectory,
+      status: this.status,
+      running: this.isRunning(),
+      exit_code: this.exitCode,
+      signal: this.signal,
+      ...(this.error && { error: this.error }),
+      cols: this.cols,
+      rows: this.rows,
+      started_at: this.startedAt.toISOString(),
+      ended_at: this.endedAt ? this.endedAt.toISOString() : null,
+      output_bytes: this.output.totalBytes,
+    };
+  }
+}
+
+export class PtyManager {
+  constructor() {
+    this.sessions = new Map();
+    this.nextId = 1;
+
+    process.once('exit', () => this.closeAll());
+  }
+
+  async open(options = {}) {
+    if (this.sessions.size >= PTY_LIMITS.MAX_PTYS) {
+      throw new Error(`Too many open PTYs (max ${PTY_LIMITS.MAX_PTYS}). Close one with pty_close first.`);
+    }
+
+    const spawnTerminal = await resolveBackend();
+    const id = `pty-${this.nextId++}`;
+    const session = new PtySession(id, spawnTerminal, options);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new Error(`Unknown PTY: ${id}`);
+    }
+    return session;
+  }
+
+  async close(id, signal) {
+    const session = this.get(id);
+    const exited = await session.close(signal);
+    this.sessions.delete(id);
+    return { session, exited };
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map(session => session.getInfo());
+  }
+
+  // Map of pid -> PTY for every PTY whose process is still alive
+  getOwnedProcesses() {
+    const owned = new Map();
+    for (const session of this.sessions.values()) {
+      if (session.isRunning() && session.pid) {
+        owned.set(session.pid, session);
+      }
+    }
+    return owned;
+  }
+
+  closeAll() {
+    for (const session of this.sessions.values()) {
+      if (session.isRunning()) {
+        try {
+          session.terminal.kill('SIGKILL');
+        } catch {
+          // Already gone
+        }
+      }
+    }
+  }
+}
+
+// Singleton instance
+let ptyManagerInstance = null;
+
+export function getPtyManager() {
+  if (!ptyManagerInstance) {
+    ptyManagerInstance = new PtyManager();
+  }
+  return ptyManagerInstance;
+}
@@ -0,0 +1,140 @@
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { getConfig } from "../config/config-manager.js";
+import { runCommand, escapeShellArg, findExecutable, isWindows } from "./command-utils.js";
+import { findInterpreter } from "./interpreters.js";
+import { SCRIPT_ENV_LIMITS } from "../config/constants.js";
+
+// Values of an interpreter's `dependencies` field
+export const PACKAGE_ECOSYSTEMS = ['python', 'node'];
+
+// Written last, so a directory without it is a failed or interrupted install
+const READY_MARKER = '.claude-terminal-ready';
+
+// Installs in progress, so concurrent calls with the same dependencies share one
+const pending = new Map();
+
+export function getVenvPython(dir) {
+  return isWindows() ? join(dir, 'Scripts', 'python.exe') : join(dir, 'bin', 'python');
+}
+
+// pip/npm arguments from the config: the package source, and for npm
+// whether packages may run their install scripts
+function getInstallArgs(ecosystem, config) {
+  if (ecosystem === 'python') {
+    const wheelhouse = config.get('pythonWheelhouse');
+    if (wheelhouse) {
+      return ['--no-index', '--find-links', wheelhouse];
+    }
+    const index = config.get('pythonPackageIndex');
+    return index ? ['--index-url', index] : [];
+  }
+
+  const registry = config.get('npmRegistry');
+  return [
+    ...(config.get('npmIgnoreScripts') ? ['--ignore-scripts'] : []),
+    ...(registry ? ['--registry', registry] : []),
+  ];
+}
+
+async function install(description, command, options) {
+  const result = await runCommand(command, {
+    ...options,
+    timeout: SCRIPT_ENV_LIMITS.INSTALL_TIMEOUT,
+    outputBudget: SCRIPT_ENV_LIMITS.OUTPUT_BUDGET,
+  });
+
+  if (result.exit_code !== 0) {
+    const output = (result.stderr.trim() || result.stdout.trim()).split('\n').slice(-20).join('\n');
+    throw new Error(`${description} failed${result.timed_out ? ' (timed out)' : ` with exit code ${result.exit_code}`}:\n${output}`);
+  }
+}
+
+async function build({ ecosystem, path, packages, steps }, env) {
+  rmSync(path, { recursive: true, force: true });
+  mkdirSync(path, { recursive: true });
+
+  try {
+    if (ecosystem === 'node') {
+      writeFileSync(join(path, 'package.json'), JSON.stringify({ name: 'claude-terminal-script-env', private: true }, null, 2));
+    }
+    for (const { description, command, cwd } of steps) {
+      await install(description, command, { env, cwd });
+    }
+  } catch (error) {
+    rmSync(path, { recursive: true, force: true });
+    throw error;
+  }
+
+  writeFileSync(join(path, READY_MARKER), JSON.stringify({ dependencies: packages, created_at: new Date().toISOString() }));
+}
+
+// Where the environment with `dependencies` for `interpreter` (a registry
+// entry) lives, whether it is already built, and the commands that build it,
+// so the install goes through the command rules and approval check before it
+// runs. Null when pip or npm can't be found. Environments are keyed by a hash
+// of the interpreter, the dependency list and the install arguments.
+export function planScriptEnvironment(interpreter, dependencies, config = getConfig()) {
+  const ecosystem = interpreter.dependencies;
+  const executable = ecosystem === 'python' ? findInterpreter(interpreter) : findExecutable('npm');
+  if (!executable) {
+    return null;
+  }
+
+  const packages = [...new Set(dependencies)].sort();
+  const installArgs = getInstallArgs(ecosystem, config);
+  const key = createHash('sha256')
+    .update(JSON.stringify([ecosystem, executable, packages, installArgs]))
+    .digest('hex')
+    .slice(0, 16);
+  const path = join(config.get('scriptEnvCacheDir'), `${ecosystem}-${key}`);
+
+  const quote = args => args.map(escapeShellArg).join(' ');
+  const steps = ecosystem === 'python'
+    ? [
+      { description: 'Creating the virtualenv', command: `${quote([executable])} -m venv ${quote([path])}` },
+      {
+        description: 'pip install',
+        command: `${quote([getVenvPython(path)])} -m pip install --disable-pip-version-check --no-input ${quote(installArgs)} -- ${quote(packages)}`,
+      },
+    ]
+    : [
+      {
+        description: 'npm install',
+        command: `${quote([executable])} install --no-audit --no-fund --no-update-notifier --loglevel=error ${quote(installArgs)} -- ${quote(packages)}`,
+        cwd: path,
+      },
+    ];
+
+  return { ecosystem, packages, path, steps, cached: existsSync(join(path, READY_MARKER)) };
+}
+
+// A cached environment with `dependencies` installed for `interpreter`: a
+// virtualenv for Python, a node_modules directory for Node. Reused until the
+// cache directory is cleared.
+export async function prepareScriptEnvironment(interpreter, dependencies, { env = process.env } = {}, config = getConfig()) {
+  const plan = planScriptEnvironment(interpreter, dependencies, config);
+  if (!plan) {
+    throw new Error(`${interpreter.dependencies === 'python' ? interpreter.executable : 'npm'} was not found on PATH; it is needed to install script dependencies`);
+  }
+
+  const { ecosystem, packages, path } = plan;
+  const result = {
+    packages,
+    path,
+    ...(ecosystem === 'python' ? { python: getVenvPython(path) } : { node_modules: join(path, 'node_modules') }),
+  };
+
+  if (existsSync(join(path, READY_MARKER))) {
+    return { ...result, cache_hit: true, install_time_ms: 0 };
+  }
+
+  const startTime = Date.now();
+  if (!pending.has(path)) {
+    pending.set(path, build(plan, env).finally(() => pending.delete(path)));
+  }
+  await pending.get(path);
+
+  return { ...result, cache_hit: false, install_time_ms: Date.now() - startTime };
+}
@@ -0,0 +1,352 @@
+import { spawn } from "child_process";
+import { existsSync, writeFileSync, unlinkSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { randomBytes } from "crypto";
+import { isWindows, escapeShellArg, signalProcessTree } from "./command-utils.js";
+import { OutputCapture } from "./output-capture.js";
+import { commandName } from "../security/shell-parser.js";
+import { SESSION_LIMITS, TIMEOUTS } from "../config/constants.js";
+
+// Shells whose syntax wrapCommand() speaks. Anything else would be an
+// arbitrary program started without going through the command rules.
+export const SESSION_SHELLS = ['sh', 'bash', 'dash', 'zsh', 'ksh', 'ash', 'powershell', 'pwsh'];
+
+export function isSessionShell(shell) {
+  return typeof shell === 'string' && SESSION_SHELLS.includes(commandName(shell));
+}
+
+export function getSessionShell(shell) {
+  if (shell) {
+    return shell;
+  }
+  if (isWindows()) {
+    return 'powershell.exe';
+  }
+  return existsSync('/bin/bash') ? '/bin/bash' : '/bin/sh';
+}
+
+function isPowerShell(shell) {
+  return /pwsh|powershell/i.test(shell);
+}
+
+// Wrap a command so the shell reports its exit code and cwd after a unique
+// marker on stdout, and a matching marker on stderr. The command is passed
+// through eval so a syntax error fails the command instead of swallowing the
+// markers, and stdin is detached so the command can't read the control stream;
+// with `stdinFile` the command reads that file instead.
+function wrapCommand(shell, command, marker, stdinFile = null) {
+  if (isPowerShell(shell)) {
+    return [
+      `$__ct_cmd = @'`,
+      command,
+      `'@`,
+      `$global:LASTEXITCODE = 0`,
+      `Invoke-Expression $__ct_cmd`,
+      `$__ct_status = if ($?) { $global:LASTEXITCODE } else { if ($global:LASTEXITCODE) { $global:LASTEXITCODE } else { 1 } }`,
+      `[Console]::Out.Write("\`n${marker} $__ct_status $((Get-Location).Path)\`n")`,
+      `[Console]::Error.Write("\`n${marker}\`n")`,
+      '',
+      '',
+    ].join('\n');
+  }
+
+  const delimiter = `${marker}_EOF`;
+  return [
+    `__ct_cmd=$(cat <<'${delimiter}'`,
+    command,
+    delimiter,
+    ')',
+    `eval "$__ct_cmd" < ${stdinFile ? escapeShellArg(stdinFile) : '/dev/null'}`,
+    `__ct_status=$?`,
+    `printf '\\n%s %s %s\\n' '${marker}' "$__ct_status" "$PWD"`,
+    `printf '\\n%s\\n' '${marker}' >&2`,
+    '',
+  ].join('\n');
+}
+
+// Move everything that can't belong to the marker line into the capture and
+// return what's left: the marker onwards, or a tail that may hold its start
+function drainOutput(buffer, marker, capture) {
+  const index = buffer.indexOf(`\n${marker}`);
+  let keepFrom = index !== -1 ? index : Math.max(0, buffer.length - marker.length - 2);
+  if (index > 0 && buffer[index - 1] === '\r') {
+    keepFrom--;
+  }
+
+  if (keepFrom > 0) {
+    capture.write(Buffer.from(buffer.slice(0, keepFrom)));
+  }
+  return buffer.slice(keepFrom);
+}
+
+export class ShellSession {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.shell = getSessionShell(options.shell);
+    this.initialDirectory = options.working_directory || process.cwd();
+    this.cwd = this.initialDirectory;
+    // The complete environment, already resolved from the env profile
+    this.env = options.env || process.env;
+    this.redactionArgs = options.redactionArgs || {};
+    this.createdAt = new Date();
+    this.lastUsedAt = this.createdAt;
+    this.commandCount = 0;
+    this.closed = false;
+    this.exitCode = null;
+    this.queue = Promise.resolve();
+    this.pending = null;
+    this.stdoutBuffer = '';
+    this.stderrBuffer = '';
+
+    this.start();
+  }
+
+  start() {
+    const args = isPowerShell(this.shell) ? ['-NoLogo', '-NoProfile', '-NonInteractive', '-Command', '-'] : [];
+
+    this.child = spawn(this.shell, args, {
+      cwd: this.initialDirectory,
+      env: this.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group so a timed-out command can be killed with its children
+      detached: !isWindows(),
+      windowsHide: true,
+    });
+
+    this.pid = this.child.pid;
+    this.child.stdout.setEncoding('utf8');
+    this.child.stderr.setEncoding('utf8');
+
+    // Output between commands (e.g. from a backgrounded process) is dropped
+    this.child.stdout.on('data', (data) => {
+      if (this.pending) {
+        this.stdoutBuffer += data;
+        this.checkPending();
+      }
+    });
+
+    this.child.stderr.on('data', (data) => {
+      if (this.pending) {
+        this.stderrBuffer += data;
+        this.checkPending();
+      }
+    });
+
+    this.child.stdin.on('error', () => {
+      // Broken pipe after the shell exited; reported through the exit handler
+    });
+
+    this.child.on('error', (error) => this.handleExit(null, error));
+    this.child.on('exit', (code) => this.handleExit(code));
+  }
+
+  handleExit(code, error) {
+    this.closed = true;
+    this.exitCode = code;
+
+    if (this.pending) {
+      const { reject, timer, stdout, stderr } = this.pending;
+      clearTimeout(timer);
+      stdout.close();
+      stderr.close();
+      this.pending = null;
+      reject(error || new Error(`Session shell exited with code ${code} while running a command`));
+    }
+  }
+
+  exec(command, options = {}) {
+    // Commands in one session run strictly one after another
+    const run = this.queue.then(() => this.runCommand(command, options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runCommand(command, { timeout = TIMEOUTS.SESSION_COMMAND, input = null, outputBudget } = {}) {
+    if (this.closed) {
+      throw new Error(`Session ${this.id} is closed`);
+    }
+
+    if (!input) {
+      return this.sendCommand(command, timeout, null, outputBudget);
+    }
+
+    if (isPowerShell(this.shell)) {
+      throw new Error("stdin is not supported in PowerShell sessions");
+    }
+
+    // The shell's own stdin carries the commands, so input goes through a file
+    const stdinFile = join(tmpdir(), `claude-terminal-stdin-${randomBytes(8).toString('hex')}`);
+    writeFileSync(stdinFile, input, { mode: 0o600 });
+    try {
+      return await this.sendCommand(command, timeout, stdinFile, outputBudget);
+    } finally {
+      try {
+        unlinkSync(stdinFile);
+      } catch {
+        // Already removed
+      }
+    }
+  }
+
+  // Output is streamed through OutputCapture like execute_command, so a
+  // command that prints a lot is cut down instead of ending the session
+  sendCommand(command, timeout, stdinFile, outputBudget) {
+    const marker = `__CT_${randomBytes(8).toString('hex')}__`;
+    const startedAt = Date.now();
+    const stdout = new OutputCapture('stdout', outputBudget);
+    const stderr = new OutputCapture('stderr', outputBudget);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        stdout.close();
+        stderr.close();
+        this.close();
+        const error = new Error(`Command timed out after ${timeout}ms; session ${this.id} was terminated`);
+        error.killed = true;
+        reject(error);
+      }, timeout);
+
+      this.pending = { marker, resolve, reject, timer, startedAt, command, stdout, stderr };
+      this.stdoutBuffer = '';
+      this.stderrBuffer = '';
+      this.lastUsedAt = new Date();
+      this.commandCount++;
+
+      this.child.stdin.write(wrapCommand(this.shell, command, marker, stdinFile));
+    });
+  }
+
+  checkPending() {
+    const pending = this.pending;
+    if (!pending) {
+      return;
+    }
+
+    const stdoutMatch = new RegExp(`\\r?\\n${pending.marker} (-?\\d+) (.*)\\r?\\n`).exec(this.stdoutBuffer);
+    const stderrIndex = this.stderrBuffer.indexOf(`\n${pending.marker}`);
+
+    if (!stdoutMatch || stderrIndex === -1) {
+      this.stdoutBuffer = drainOutput(this.stdoutBuffer, pending.marker, pending.stdout);
+      this.stderrBuffer = drainOutput(this.stderrBuffer, pending.marker, pending.stderr);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending = null;
+    this.cwd = stdoutMatch[2];
+
+    pending.stdout.write(Buffer.from(this.stdoutBuffer.slice(0, stdoutMatch.index)));
+    pending.stderr.write(Buffer.from(this.stderrBuffer.slice(0, stderrIndex).replace(/\r$/, '')));
+    this.stdoutBuffer = '';
+    this.stderrBuffer = '';
+
+    const stdout = pending.stdout.finish();
+    const stderr = pending.stderr.finish();
+    const truncated = {
+      ...(stdout.info && { stdout: stdout.info }),
+      ...(stderr.info && { stderr: stderr.info }),
+    };
+
+    pending.resolve({
+      stdout: stdout.text,
+      stderr: stderr.text,
+      ...(Object.keys(truncated).length > 0 && { output_truncated: truncated }),
+      exit_code: parseInt(stdoutMatch[1], 10),
+      cwd: this.cwd,
+      duration_ms: Date.now() - pending.startedAt,
+    });
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    try {
+      signalProcessTree(this.pid, 'SIGKILL');
+    } catch {
+      // Already gone
+    }
+  }
+
+  getInfo() {
+    return {
+      session_id: this.id,
+      pid: this.pid,
+      shell: this.shell,
+      cwd: this.cwd,
+      created_at: this.createdAt.toISOString(),
+      last_used_at: this.lastUsedAt.toISOString(),
+      command_count: this.commandCount,
+      closed: this.closed,
+    };
+  }
+}
+
+export class SessionManager {
+  constructor() {
+    this.sessions = new Map();
+    this.nextId = 1;
+  }
+
+  create(options = {}) {
+    this.prune();
+
+    if (this.sessions.size >= SESSION_LIMITS.MAX_SESSIONS) {
+      throw new Error(`Too many open sessions (max ${SESSION_LIMITS.MAX_SESSIONS}). Close one with session_close first.`);
+    }
+
+    const id = `session-${this.nextId++}`;
+    const session = new ShellSession(id, options);
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new Error(`Unknown session: ${id}`);
+    }
+    return session;
+  }
+
+  close(id) {
+    const session = this.get(id);
+    session.close();
+    this.sessions.delete(id);
+    return session;
+  }
+
+  list() {
+    return Array.from(this.sessions.values()).map(session => session.getInfo());
+  }
+
+  // Forget sessions whose shell has exited on its own (e.g. the user ran `exit`)
+  prune() {
+    for (const [id, session] of this.sessions) {
+      if (session.closed) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  closeAll() {
+    for (const session of this.sessions.values()) {
+      session.close();
+    }
+    this.sessions.clear();
+  }
+}
+
+// Singleton instance
+let sessionManagerInstance = null;
+
+export function getSessionManager() {
+  if (!sessionManagerInstance) {
+    sessionManagerInstance = new SessionManager();
+  }
+  return sessionManagerInstance;
+}
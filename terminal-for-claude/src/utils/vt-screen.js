@@ -0,0 +1,447 @@
+import { StringDecoder } from "string_decoder";
+
+// Minimal VT100/xterm screen model: enough to render what full-screen
+// programs (top, less, vim, REPLs, prompts) draw so the screen can be
+// returned as plain text. Colors and attributes are ignored and every
+// character is treated as one cell wide.
+export class ScreenBuffer {
+  constructor(cols, rows, options = {}) {
+    this.cols = cols;
+    this.rows = rows;
+    // Called with replies to terminal queries such as cursor position reports
+    this.onResponse = options.onResponse || (() => {});
+    this.decoder = new StringDecoder('utf8');
+    this.reset();
+  }
+
+  reset() {
+    this.main = this.createGrid();
+    this.alternate = null;
+    this.grid = this.main;
+    this.row = 0;
+    this.col = 0;
+    this.wrapPending = false;
+    this.savedCursor = null;
+    this.scrollTop = 0;
+    this.scrollBottom = this.rows - 1;
+    this.cursorVisible = true;
+    this.title = '';
+    this.state = 'ground';
+    this.sequence = '';
+  }
+
+  createGrid() {
+    return Array.from({ length: this.rows }, () => this.blankLine());
+  }
+
+  blankLine() {
+    return new Array(this.cols).fill(' ');
+  }
+
+  write(data) {
+    const text = typeof data === 'string' ? data : this.decoder.write(data);
+
+    for (const char of text) {
+      switch (this.state) {
+        case 'ground':
+          this.handleGround(char);
+          break;
+        case 'escape':
+          this.handleEscape(char);
+          break;
+        case 'csi':
+          this.handleCsi(char);
+          break;
+        case 'osc':
+          this.handleOsc(char);
+          break;
+        case 'string':
+          // DCS, SOS, PM and APC payloads are skipped up to the terminator
+          if (char === '\x07' || char === '\x9c') this.state = 'ground';
+          else if (char === '\x1b') this.state = 'string_escape';
+          break;
+        case 'string_escape':
+          this.state = char === '\\' ? 'ground' : 'string';
+          break;
+        case 'charset':
+          this.state = 'ground';
+          break;
+      }
+    }
+  }
+
+  handleGround(char) {
+    const code = char.codePointAt(0);
+
+    if (code === 0x1b) {
+      this.state = 'escape';
+    } else if (char === '\r') {
+      this.col = 0;
+      this.wrapPending = false;
+    } else if (char === '\n' || code === 0x0b || code === 0x0c) {
+      this.lineFeed();
+    } else if (char === '\b') {
+      this.col = Math.max(0, this.col - 1);
+      this.wrapPending = false;
+    } else if (char === '\t') {
+      this.col = Math.min(this.cols - 1, (Math.floor(this.col / 8) + 1) * 8);
+    } else if (code >= 0x20 && code !== 0x7f && !(code >= 0x80 && code < 0xa0)) {
+      this.print(char);
+    }
+  }
+
+  print(char) {
+    if (this.wrapPending) {
+      this.col = 0;
+      this.lineFeed();
+      this.wrapPending = false;
+    }
+
+    this.grid[this.row][this.col] = char;
+    if (this.col === this.cols - 1) {
+      this.wrapPending = true;
+    } else {
+      this.col++;
+    }
+  }
+
+  handleEscape(char) {
+    this.state = 'ground';
+
+    switch (char) {
+      case '[':
+        this.state = 'csi';
+        this.sequence = '';
+        break;
+      case ']':
+        this.state = 'osc';
+        this.sequence = '';
+        break;
+      case 'P': case 'X': case '^': case '_':
+        this.state = 'string';
+        break;
+      case '(': case ')': case '*': case '+':
+        this.state = 'charset';
+        break;
+      case '7':
+        this.saveCursor();
+        break;
+      case '8':
+        this.restoreCursor();
+        break;
+      case 'D':
+        this.lineFeed();
+        break;
+      case 'E':
+        this.col = 0;
+        this.lineFeed();
+        break;
+      case 'M':
+        this.reverseIndex();
+        break;
+      case 'c':
+        this.reset();
+        break;
+    }
+  }
+
+  handleOsc(char) {
+    if (char === '\x07' || char === '\x9c') {
+      this.finishOsc();
+    } else if (char === '\x1b') {
+      // ESC \ terminates; anything else after ESC is treated the same way
+      this.finishOsc();
+      this.state = 'string_escape';
+    } else {
+      this.sequence += char;
+    }
+  }
+
+  finishOsc() {
+    const [kind, ...rest] = this.sequence.split(';');
+    if (kind === '0' || kind === '2') {
+      this.title = rest.join(';');
+    }
+    this.state = 'ground';
+  }
+
+  handleCsi(char) {
+    const code = char.codePointAt(0);
+
+    if (code >= 0x20 && code <= 0x3f) {
+      this.sequence += char;
+      return;
+    }
+
+    this.state = 'ground';
+    if (code < 0x40 || code > 0x7e) {
+      return;
+    }
+
+    const prefix = /^[?>=!]/.test(this.sequence) ? this.sequence[0] : '';
+    const params = this.sequence
+      .slice(prefix.length)
+      .replace(/[\x20-\x2f]+$/, '')
+      .split(';')
+      .map(value => (value === '' ? null : parseInt(value, 10)));
+    const n = (index = 0, fallback = 1) => params[index] || fallback;
+
+    if (prefix === '?') {
+      if (char === 'h' || char === 'l') {
+        this.setPrivateModes(params, char === 'h');
+      }
+      return;
+    }
+
+    switch (char) {
+      case 'A':
+        this.moveCursor(this.row - n(), this.col);
+        break;
+      case 'B': case 'e':
+        this.moveCursor(this.row + n(), this.col);
+        break;
+      case 'C': case 'a':
+        this.moveCursor(this.row, this.col + n());
+        break;
+      case 'D':
+        this.moveCursor(this.row, this.col - n());
+        break;
+      case 'E':
+        this.moveCursor(this.row + n(), 0);
+        break;
+      case 'F':
+        this.moveCursor(this.row - n(), 0);
+        break;
+      case 'G': case '`':
+        this.moveCursor(this.row, n() - 1);
+        break;
+      case 'd':
+        this.moveCursor(n() - 1, this.col);
+        break;
+      case 'H': case 'f':
+        this.moveCursor(n(0) - 1, n(1) - 1);
+        break;
+      case 'J':
+        this.eraseDisplay(params[0] || 0);
+        break;
+      case 'K':
+        this.eraseLine(params[0] || 0);
+        break;
+      case 'L':
+        this.insertLines(n());
+        break;
+      case 'M':
+        this.deleteLines(n());
+        break;
+      case 'P':
+        this.deleteChars(n());
+        break;
+      case '@':
+        this.insertChars(n());
+        break;
+      case 'X':
+        this.grid[this.row].fill(' ', this.col, Math.min(this.cols, this.col + n()));
+        break;
+      case 'S':
+        this.scrollUp(n());
+        break;
+      case 'T':
+        this.scrollDown(n());
+        break;
+      case 'r':
+        this.setScrollRegion(n(0) - 1, n(1, this.rows) - 1);
+        break;
+      case 's':
+        this.saveCursor();
+        break;
+      case 'u':
+        this.restoreCursor();
+        break;
+      case 'n':
+        if (params[0] === 6) {
+          this.onResponse(`\x1b[${this.row + 1};${this.col + 1}R`);
+        } else if (params[0] === 5) {
+          this.onResponse('\x1b[0n');
+        }
+        break;
+      case 'c':
+        if (prefix === '') {
+          this.onResponse('\x1b[?1;2c');
+        }
+        break;
+    }
+  }
+
+  setPrivateModes(modes, enabled) {
+    for (const mode of modes) {
+      if (mode === 25) {
+        this.cursorVisible = enabled;
+      } else if (mode === 1049 || mode === 1047 || mode === 47) {
+        this.setAlternateScreen(enabled, mode === 1049);
+      }
+    }
+  }
+
+  setAlternateScreen(enabled, saveCursor) {
+    if (enabled && !this.alternate) {
+      if (saveCursor) this.saveCursor();
+      this.alternate = this.createGrid();
+      this.grid = this.alternate;
+    } else if (!enabled && this.alternate) {
+      this.alternate = null;
+      this.grid = this.main;
+      if (saveCursor) this.restoreCursor();
+    }
+  }
+
+  moveCursor(row, col) {
+    this.row = Math.max(0, Math.min(this.rows - 1, row));
+    this.col = Math.max(0, Math.min(this.cols - 1, col));
+    this.wrapPending = false;
+  }
+
+  saveCursor() {
+    this.savedCursor = { row: this.row, col: this.col };
+  }
+
+  restoreCursor() {
+    if (this.savedCursor) {
+      this.moveCursor(this.savedCursor.row, this.savedCursor.col);
+    }
+  }
+
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.row === this.scrollBottom) {
+      this.scrollUp(1);
+    } else if (this.row < this.rows - 1) {
+      this.row++;
+    }
+  }
+
+  reverseIndex() {
+    if (this.row === this.scrollTop) {
+      this.scrollDown(1);
+    } else if (this.row > 0) {
+      this.row--;
+    }
+  }
+
+  scrollUp(count, top = this.scrollTop) {
+    const amount = Math.min(count, this.scrollBottom - top + 1);
+    this.grid.splice(top, amount);
+    this.grid.splice(this.scrollBottom - amount + 1, 0, ...Array.from({ length: amount }, () => this.blankLine()));
+  }
+
+  scrollDown(count, top = this.scrollTop) {
+    const amount = Math.min(count, this.scrollBottom - top + 1);
+    this.grid.splice(this.scrollBottom - amount + 1, amount);
+    this.grid.splice(top, 0, ...Array.from({ length: amount }, () => this.blankLine()));
+  }
+
+  insertLines(count) {
+    if (this.row >= this.scrollTop && this.row <= this.scrollBottom) {
+      this.scrollDown(count, this.row);
+      this.col = 0;
+    }
+  }
+
+  deleteLines(count) {
+    if (this.row >= this.scrollTop && this.row <= this.scrollBottom) {
+      this.scrollUp(count, this.row);
+      this.col = 0;
+    }
+  }
+
+  setScrollRegion(top, bottom) {
+    if (top < bottom && bottom < this.rows) {
+      this.scrollTop = Math.max(0, top);
+      this.scrollBottom = bottom;
+      this.moveCursor(0, 0);
+    }
+  }
+
+  eraseDisplay(mode) {
+    if (mode === 0) {
+      this.eraseLine(0);
+      for (let row = this.row + 1; row < this.rows; row++) this.grid[row] = this.blankLine();
+    } else if (mode === 1) {
+      this.eraseLine(1);
+      for (let row = 0; row < this.row; row++) this.grid[row] = this.blankLine();
+    } else {
+      for (let row = 0; row < this.rows; row++) this.grid[row] = this.blankLine();
+    }
+  }
+
+  eraseLine(mode) {
+    const line = this.grid[this.row];
+    if (mode === 0) line.fill(' ', this.col);
+    else if (mode === 1) line.fill(' ', 0, this.col + 1);
+    else line.fill(' ');
+    this.wrapPending = false;
+  }
+
+  deleteChars(count) {
+    const line = this.grid[this.row];
+    line.splice(this.col, Math.min(count, this.cols - this.col));
+    while (line.length < this.cols) line.push(' ');
+  }
+
+  insertChars(count) {
+    const line = this.grid[this.row];
+    line.splice(this.col, 0, ...new Array(Math.min(count, this.cols - this.col)).fill(' '));
+    line.length = this.cols;
+  }
+
+  resize(cols, rows) {
+    const resizeGrid = (grid) => {
+      // Keep the cursor's line on screen by dropping lines from the top
+      const overflow = Math.max(0, this.row - rows + 1);
+      const lines = grid.slice(overflow, overflow + rows).map(line => {
+        const resized = line.slice(0, cols);
+        while (resized.length < cols) resized.push(' ');
+        return resized;
+      });
+      while (lines.length < rows) lines.push(new Array(cols).fill(' '));
+      return lines;
+    };
+
+    const overflow = Math.max(0, this.row - rows + 1);
+    this.main = resizeGrid(this.main);
+    if (this.alternate) {
+      this.alternate = resizeGrid(this.alternate);
+    }
+    this.grid = this.alternate || this.main;
+    this.cols = cols;
+    this.rows = rows;
+    this.scrollTop = 0;
+    this.scrollBottom = rows - 1;
+    this.moveCursor(this.row - overflow, this.col);
+  }
+
+  snapshot() {
+    const lines = this.grid.map(line => line.join('').replace(/\s+$/, ''));
+    let last = lines.length;
+    while (last > 0 && lines[last - 1] === '') last--;
+
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      cursor: { row: this.row + 1, col: this.col + 1, visible: this.cursorVisible },
+      alternate_screen: this.alternate !== null,
+      ...(this.title && { title: this.title }),
+      screen: lines.slice(0, last).join('\n'),
+    };
+  }
+}
+
+// Strip escape sequences from raw terminal output, keeping the text
+export function stripAnsi(text) {
+  return text
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b[P^_X][\s\S]*?\x1b\\/g, '')
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b[()*+]./g, '')
+    .replace(/\x1b[@-Z\\-_78=>c]/g, '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1a\x1c-\x1f\x7f]/g, '');
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findDangerousCommands } from "../../src/security/approval.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+function rules(command, overrides, options) {
+  return findDangerousCommands(command, configure(overrides), options).map(reason => reason.rule);
+}
+
+test('dangerous programs are found wherever the parser finds them', () => {
+  for (const command of [
+    'rm -rf build',
+    'r\\m -rf /',
+    '$(echo rm) -rf /',
+    'cd build && rm -r -f .',
+    'sh -c "rm -fr /tmp/x"',
+    'sudo rm --recursive --force /opt/app',
+  ]) {
+    assert.deepEqual(rules(command), ['recursive_delete'], command);
+  }
+
+  assert.deepEqual(rules('git -C repo push origin +main'), ['force_push']);
+  assert.deepEqual(rules('git push --force-with-lease'), ['force_push']);
+  assert.deepEqual(rules('git reset --hard && git clean -fdx'), ['discard_changes']);
+  assert.deepEqual(rules('dd if=/dev/zero of=/dev/sda'), ['raw_disk_write']);
+  assert.deepEqual(rules('cat image > /dev/nvme0n1'), ['raw_disk_write']);
+  assert.deepEqual(rules('mkfs.ext4 /dev/sdb1'), ['format_disk']);
+  assert.deepEqual(rules('nohup systemctl reboot'), ['shutdown']);
+});
+
+test('mentions of dangerous commands are not held', () => {
+  for (const command of ['rm -r build', 'echo "rm -rf /"', 'git push origin main', 'grep reboot /var/log/syslog', 'cp -rf a b']) {
+    assert.deepEqual(rules(command), [], command);
+  }
+});
+
+test('PowerShell and cmd commands are checked in their own syntax', () => {
+  assert.deepEqual(rules('Remove-Item -Recurse -Force C:\\build', {}, { dialect: 'powershell' }), ['recursive_delete']);
+  assert.deepEqual(rules('rmdir /s /q build', {}, { dialect: 'cmd' }), ['recursive_delete']);
+  assert.deepEqual(rules('Stop-Computer', {}, { dialect: 'powershell' }), ['shutdown']);
+});
+
+test('approval patterns match the text and each unescaped program', () => {
+  const overrides = { approvalPatterns: ['^terraform destroy'] };
+  assert.deepEqual(rules('cd infra && terraform destroy', overrides), ['custom_1']);
+  assert.deepEqual(rules('terr\\aform destroy', overrides), ['custom_1']);
+  assert.deepEqual(rules('terraform plan', overrides), []);
+});
+
+test('escaped commands are held for approval', async (t) => {
+  const dir = makeTempDir(t);
+  configure({ approvalMode: 'dangerous' });
+
+  const registry = new ToolRegistry();
+  const held = parseResponse(await registry.execute('execute_command', { command: 'r\\m -rf ./build', working_directory: dir }));
+  assert.equal(held.error_type, 'approval_required');
+  assert.equal(held.details.reasons[0].target, 'r\\m -rf ./build');
+});
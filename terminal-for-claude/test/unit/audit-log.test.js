@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { AuditLog, readLinesReverse } from "../../src/security/audit-log.js";
+import { configure, makeTempDir } from "./helpers.js";
+
+function makeLog(t, overrides = {}) {
+  const dir = makeTempDir(t);
+  const config = configure({
+    enableLogging: true,
+    auditLogPath: join(dir, 'audit.jsonl'),
+    auditLogMaxSize: 1024 * 1024,
+    auditLogMaxFiles: 3,
+    ...overrides,
+  });
+  return { log: new AuditLog(config), dir };
+}
+
+test('readLinesReverse yields lines last to first across chunk boundaries', (t) => {
+  const file = join(makeTempDir(t), 'lines.txt');
+  const lines = ['first', '', 'ünïcödé line', 'x'.repeat(50), 'last'];
+  writeFileSync(file, lines.join('\n') + '\n');
+
+  for (const chunkSize of [1, 3, 7, 1024]) {
+    assert.deepEqual([...readLinesReverse(file, chunkSize)], lines.filter(Boolean).reverse());
+  }
+});
+
+test('query returns newest records first and reports truncation exactly', (t) => {
+  const { log } = makeLog(t);
+  for (let i = 0; i < 5; i++) {
+    log.record({ tool: 'execute_command', args: { command: `echo ${i}` }, status: 'success' });
+  }
+
+  const all = log.query({ limit: 5 });
+  assert.deepEqual(all.records.map(record => record.args.command), ['echo 4', 'echo 3', 'echo 2', 'echo 1', 'echo 0']);
+  assert.equal(all.truncated, false);
+
+  const some = log.query({ limit: 3 });
+  assert.equal(some.records.length, 3);
+  assert.equal(some.truncated, true);
+});
+
+test('query filters by status, including approval_required and file_conflict', (t) => {
+  const { log } = makeLog(t);
+  for (const status of ['success', 'approval_required', 'file_conflict', 'policy_denied']) {
+    log.record({ tool: 'file_write', args: { path: status }, status });
+  }
+
+  for (const status of ['approval_required', 'file_conflict']) {
+    const result = log.query({ status });
+    assert.deepEqual(result.records.map(record => record.status), [status]);
+  }
+});
+
+test('query reads rotated files after the active one and skips malformed lines', (t) => {
+  const { log } = makeLog(t, { auditLogMaxSize: 300 });
+  for (let i = 0; i < 6; i++) {
+    log.record({ tool: 'execute_command', args: { command: `echo ${i}` }, status: 'success' });
+  }
+  writeFileSync(log.getPath(), 'not json\n', { flag: 'a' });
+
+  const result = log.query({ limit: 100 });
+  assert.ok(log.getFiles().length > 1);
+  assert.equal(result.malformed, 1);
+  assert.deepEqual(result.records.map(record => record.args.command), ['echo 5', 'echo 4', 'echo 3', 'echo 2', 'echo 1', 'echo 0'].slice(0, result.records.length));
+});
@@ -0,0 +1,85 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { OutputBuffer, getJobManager } from "../../src/utils/background-job.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+after(() => getJobManager().killAll());
+
+test('reads continue from the previous cursor', () => {
+  const buffer = new OutputBuffer(1024);
+  buffer.append('one\ntw');
+
+  const first = buffer.readBytes(0);
+  assert.equal(first.data, 'one\ntw');
+  assert.equal(first.next_offset, 6);
+
+  const lines = buffer.readLines(0);
+  assert.deepEqual(lines.lines, ['one']);
+  assert.equal(lines.next_line, 1);
+  assert.equal(lines.has_more, true);
+
+  buffer.append('o\nthree\n');
+  assert.equal(buffer.readBytes(first.next_offset).data, 'o\nthree\n');
+  assert.deepEqual(buffer.readLines(lines.next_line).lines, ['two', 'three']);
+  assert.deepEqual(buffer.readLines(3).lines, []);
+  assert.deepEqual(buffer.readLines(0, { maxLines: 2 }), {
+    lines: ['one', 'two'], line: 0, next_line: 2, dropped_lines: 0, total_lines: 3, has_more: true,
+  });
+
+  const partial = new OutputBuffer(1024);
+  partial.append('done\nno newline');
+  assert.deepEqual(partial.readLines(0, { includePartial: true }).lines, ['done', 'no newline']);
+});
+
+test('byte reads stop on a character boundary', () => {
+  const buffer = new OutputBuffer(1024);
+  buffer.append('aé');
+  const read = buffer.readBytes(0, 2);
+  assert.equal(read.data, 'a');
+  assert.equal(read.next_offset, 1);
+  assert.equal(buffer.readBytes(read.next_offset).data, 'é');
+});
+
+test('a full buffer evicts whole lines and reports what was dropped', () => {
+  const buffer = new OutputBuffer(10);
+  buffer.append('line1\nline2\nline3\n');
+
+  assert.deepEqual(buffer.readBytes(0), {
+    data: 'line3\n', offset: 12, next_offset: 18, dropped_bytes: 12, total_bytes: 18, has_more: false,
+  });
+  assert.equal(buffer.readBytes(14).dropped_bytes, 0);
+
+  const lines = buffer.readLines(1);
+  assert.deepEqual(lines.lines, ['line3']);
+  assert.equal(lines.line, 2);
+  assert.equal(lines.dropped_lines, 1);
+  assert.equal(lines.total_lines, 3);
+
+  // A cursor read before the eviction picks up where the buffer now starts
+  buffer.append('line4\n');
+  assert.deepEqual(buffer.readLines(3).lines, ['line4']);
+  assert.equal(buffer.readLines(0).dropped_lines, 3);
+});
+
+test('job_output pages through output with byte and line cursors', async (t) => {
+  configure();
+  const registry = new ToolRegistry();
+  const call = async (tool, args) => parseResponse(await registry.execute(tool, args));
+
+  const job = await call('job_start', { command: 'printf "one\\ntwo\\nthree"', working_directory: makeTempDir(t) });
+  await getJobManager().get(job.job_id).waitForExit(5000);
+
+  const first = await call('job_output', { job_id: job.job_id, line: 0, max_lines: 2 });
+  assert.deepEqual(first.lines, ['one', 'two']);
+  assert.equal(first.running, false);
+  // The job has exited, so its unterminated last line is returned
+  const rest = await call('job_output', { job_id: job.job_id, line: first.next_line });
+  assert.deepEqual(rest.lines, ['three']);
+  assert.equal(rest.has_more, false);
+
+  const bytes = await call('job_output', { job_id: job.job_id, offset: 4, max_bytes: 3 });
+  assert.equal(bytes.data, 'two');
+  assert.equal(bytes.next_offset, 7);
+  assert.equal(bytes.dropped_bytes, 0);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { runCommand, getExecOptions, escapeShellArg, isWindows } from "../../src/utils/command-utils.js";
+import { configure } from "./helpers.js";
+
+const posix = { skip: isWindows() && 'POSIX shell syntax' };
+
+// A killed process whose parent is gone stays a zombie until init reaps it
+function isAlive(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/stat`, 'utf8').split(' ')[2] !== 'Z';
+  } catch {
+    // No procfs, or the process is gone
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('runCommand resolves with the real exit code and separate streams', posix, async () => {
+  const result = await runCommand('echo out; echo err >&2; exit 3');
+
+  assert.equal(result.exit_code, 3);
+  assert.equal(result.stdout, 'out\n');
+  assert.equal(result.stderr, 'err\n');
+  assert.equal(result.timed_out, false);
+});
+
+test('runCommand rejects on failure only with failOnNonzero', posix, async () => {
+  await assert.rejects(runCommand('exit 2', { failOnNonzero: true }), (error) => error.code === 2);
+});
+
+test('runCommand passes input on stdin', posix, async () => {
+  const result = await runCommand('tr a-z A-Z', { input: Buffer.from('hello') });
+  assert.equal(result.stdout, 'HELLO');
+});
+
+test('a timeout stops the command and everything it started', posix, async () => {
+  const result = await runCommand('sleep 30 & echo $!; wait', { timeout: 500 });
+
+  assert.equal(result.timed_out, true);
+  const grandchild = parseInt(result.stdout, 10);
+  assert.ok(grandchild > 0);
+  assert.equal(isAlive(grandchild), false);
+});
+
+test('getExecOptions caps the timeout and has no exec maxBuffer', () => {
+  configure();
+  const options = getExecOptions({ timeout: 10 * 60 * 1000, working_directory: '/tmp' });
+
+  assert.equal(options.timeout, 300000);
+  assert.equal(options.cwd, '/tmp');
+  assert.equal('maxBuffer' in options, false);
+  assert.equal(typeof options.env.PATH, 'string');
+});
+
+test('escapeShellArg survives the shell unchanged', posix, async () => {
+  const value = `it's "$HOME" \`x\` ; |`;
+  const result = await runCommand(`printf %s ${escapeShellArg(value)}`);
+  assert.equal(result.stdout, value);
+});
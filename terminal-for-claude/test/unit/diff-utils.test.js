@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync, readFileSync } from "fs";
+import { join } from "path";
+import { createUnifiedDiff, applyUnifiedDiff, splitLines } from "../../src/utils/diff-utils.js";
+import { FileEditTool } from "../../src/tools/file-edit.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+const original = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\nnine\nten\n';
+
+test('splitLines keeps terminators and an unterminated last line', () => {
+  assert.deepEqual(splitLines('a\nb\nc'), ['a\n', 'b\n', 'c']);
+  assert.deepEqual(splitLines('a\n'), ['a\n']);
+  assert.deepEqual(splitLines(''), []);
+});
+
+test('a created diff applies back to the new text', () => {
+  const changed = original.replace('three\n', 'THREE\n').replace('nine\n', '') + 'eleven';
+  const diff = createUnifiedDiff(original, changed, { fromFile: 'a/f', toFile: 'b/f' });
+
+  assert.match(diff, /^--- a\/f\n\+\+\+ b\/f\n@@ /);
+  assert.match(diff, /\\ No newline at end of file/);
+  assert.equal(applyUnifiedDiff(original, diff), changed);
+});
+
+test('identical texts produce an empty diff', () => {
+  assert.equal(createUnifiedDiff(original, original), '');
+});
+
+test('hunks that drifted from their line numbers still apply', () => {
+  const diff = [
+    '--- a/f',
+    '+++ b/f',
+    '@@ -2,3 +2,3 @@',
+    ' five',
+    '-six',
+    '+SIX',
+    ' seven',
+    '',
+  ].join('\n');
+
+  assert.equal(applyUnifiedDiff(original, diff), original.replace('six\n', 'SIX\n'));
+});
+
+test('pure insertions go after the recorded line', () => {
+  const diff = '@@ -2,0 +3,1 @@\n+two and a half\n';
+  assert.equal(applyUnifiedDiff('one\ntwo\nthree\n', diff), 'one\ntwo\ntwo and a half\nthree\n');
+});
+
+test('a hunk that matches nowhere is rejected', () => {
+  const diff = '@@ -1,2 +1,2 @@\n one\n-missing\n+found\n';
+  assert.throws(() => applyUnifiedDiff(original, diff), /Hunk 1 .* does not match/);
+  assert.throws(() => applyUnifiedDiff(original, 'not a diff'), /no hunks/);
+});
+
+test('file_edit applies a patch and returns the diff', async (t) => {
+  configure();
+  const file = join(makeTempDir(t), 'edit.txt');
+  writeFileSync(file, original);
+  const tool = new FileEditTool();
+
+  const dryRun = parseResponse(await tool.execute({ file_path: file, mode: 'replace', old_string: 'four', new_string: '4', dry_run: true }));
+  assert.equal(dryRun.changed, true);
+  assert.equal(readFileSync(file, 'utf8'), original);
+
+  const patch = createUnifiedDiff(original, original.replace('four', '4'));
+  const applied = parseResponse(await tool.execute({ file_path: file, mode: 'patch', diff: patch }));
+  assert.equal(applied.success, true);
+  assert.equal(applied.diff, dryRun.diff);
+  assert.equal(readFileSync(file, 'utf8'), original.replace('four', '4'));
+
+  const ambiguous = parseResponse(await tool.execute({ file_path: file, mode: 'replace', old_string: 'e', new_string: 'E' }));
+  assert.equal(ambiguous.success, false);
+  assert.match(ambiguous.error, /matches \d+ times/);
+});
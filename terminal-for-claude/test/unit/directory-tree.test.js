@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { buildDirectoryTree } from "../../src/utils/file-utils.js";
+import { createGlobMatcher } from "../../src/utils/glob-utils.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+function populate(root, files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+}
+
+// Relative paths of every file and directory in a built tree
+function paths(node, prefix = '') {
+  return node.children.flatMap(child => {
+    const path = prefix + child.name;
+    return child.is_directory ? [`${path}/`, ...paths(child, `${path}/`)] : [path];
+  });
+}
+
+test('gitignore rules follow git: negation, directory-only, anchoring and nesting', (t) => {
+  const root = makeTempDir(t);
+  populate(root, {
+    '.gitignore': '*.log\n!keep.log\nbuild/\n/top-only.txt\n',
+    'a.log': '',
+    'keep.log': '',
+    'top-only.txt': '',
+    'x.tmp': '',
+    'build/out.js': '',
+    'src/build': 'a file, not a directory',
+    'src/top-only.txt': '',
+    'src/.gitignore': '*.tmp\n!important.log\n',
+    'src/x.tmp': '',
+    'src/important.log': '',
+    'src/debug.log': '',
+  });
+
+  const { root: tree } = buildDirectoryTree(root);
+  assert.deepEqual(paths(tree).sort(), [
+    'keep.log',
+    'src/',
+    'src/build',
+    'src/important.log',
+    'src/top-only.txt',
+    'x.tmp',
+  ]);
+
+  const all = paths(buildDirectoryTree(root, { respect_gitignore: false, include_hidden: true }).root);
+  assert.ok(all.includes('a.log') && all.includes('build/out.js') && all.includes('.gitignore'));
+});
+
+test('include and exclude globs filter the tree', (t) => {
+  const root = makeTempDir(t);
+  populate(root, { 'src/app.js': '', 'src/app.css': '', 'docs/guide.md': '', 'node_modules/x/index.js': '' });
+
+  const { root: tree } = buildDirectoryTree(root, { include: ['*.js'], exclude: ['node_modules'] });
+  assert.deepEqual(paths(tree), ['src/', 'src/app.js']);
+  assert.equal(tree.file_count, 1);
+  assert.equal(tree.directory_count, 1);
+
+  const matches = createGlobMatcher(['src/**/*.ts', '*.md']);
+  assert.equal(matches('src/a/b/c.ts'), true);
+  assert.equal(matches('lib/c.ts'), false);
+  assert.equal(matches('docs/guide.md'), true);
+});
+
+test('tree output is cut at max_depth and max_entries', async (t) => {
+  const root = makeTempDir(t);
+  populate(root, {
+    'a/b/c/deep.txt': 'deep',
+    'a/b/mid.txt': 'mid',
+    'a/top.txt': 'top',
+    'z1.txt': '1',
+    'z2.txt': '2',
+    'z3.txt': '3',
+  });
+  configure();
+  const registry = new ToolRegistry();
+  const tree = async (args) => parseResponse(await registry.execute('directory_operations', { operation: 'tree', path: root, format: 'json', ...args }));
+
+  const shallow = await tree({ max_depth: 2 });
+  const [a] = shallow.tree.children;
+  assert.deepEqual(a.children.map(child => child.name ?? child.reason), ['b', 'top.txt']);
+  assert.deepEqual(a.children[0].children, [{ truncated: true, omitted_entries: 3, reason: 'max_depth' }]);
+  assert.equal(shallow.summary.entries_beyond_depth, 3);
+  // Sizes still include the levels that aren't shown
+  assert.equal(a.size, 'deepmidtop'.length);
+
+  const capped = await tree({ max_depth: 1, max_entries: 2 });
+  assert.equal(capped.summary.entries_shown, 2);
+  assert.equal(capped.summary.entries_omitted, 2);
+  assert.equal(capped.summary.truncated, true);
+  assert.deepEqual(capped.tree.children.at(-1), { truncated: true, omitted_entries: 2, reason: 'max_entries' });
+
+  for (const limits of [{ max_depth: 0 }, { max_depth: 1.5 }, { max_entries: 0 }, { max_entries: 5001 }, { max_entries: '10' }]) {
+    await assert.rejects(tree(limits), (error) => error instanceof McpError && /must be (a positive|an) integer/.test(error.message), JSON.stringify(limits));
+  }
+});
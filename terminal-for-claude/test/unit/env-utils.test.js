@@ -0,0 +1,137 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join, delimiter } from "path";
+import { parseDotenv, resolveEnvironment } from "../../src/utils/env-utils.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { getJobManager } from "../../src/utils/background-job.js";
+import { getPtyManager } from "../../src/utils/pty-session.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+const registry = new ToolRegistry();
+const call = async (tool, args) => parseResponse(await registry.execute(tool, args));
+
+after(() => {
+  getJobManager().killAll();
+  getPtyManager().closeAll();
+});
+
+test('dotenv files are parsed like a shell would read them', () => {
+  const variables = parseDotenv([
+    '# comment',
+    'PLAIN=value # trailing comment',
+    'export EXPORTED=yes',
+    "  SINGLE = 'literal \\n $HOME'",
+    'DOUBLE="line one\\nline \\"two\\""',
+    'MULTI="first',
+    'second"',
+    'EMPTY=',
+    'dotted.name=1',
+    'not a variable',
+  ].join('\n'));
+
+  assert.deepEqual(variables, {
+    PLAIN: 'value',
+    EXPORTED: 'yes',
+    SINGLE: 'literal \\n $HOME',
+    DOUBLE: 'line one\nline "two"',
+    MULTI: 'first\nsecond',
+    EMPTY: '',
+    'dotted.name': '1',
+  });
+});
+
+test('without a profile the server environment is inherited', () => {
+  const config = configure();
+  const { env, sources, profile } = resolveEnvironment({ environment: { EXTRA: 1 } }, config);
+
+  assert.equal(profile, null);
+  assert.equal(env.PATH, process.env.PATH);
+  assert.equal(sources.PATH, 'inherited');
+  assert.equal(env.EXTRA, '1');
+  assert.equal(sources.EXTRA, 'environment');
+});
+
+test('a profile filters, loads and layers variables in order', (t) => {
+  const dir = makeTempDir(t);
+  writeFileSync(join(dir, '.env'), 'FROM_DOTENV=dotenv\nOVERRIDDEN=dotenv\n');
+  process.env.ENV_UTILS_TEST_SECRET = 'inherited-secret';
+  process.env.ENV_UTILS_TEST_KEPT = 'kept';
+  t.after(() => {
+    delete process.env.ENV_UTILS_TEST_SECRET;
+    delete process.env.ENV_UTILS_TEST_KEPT;
+  });
+
+  const config = configure({
+    envProfiles: {
+      project: {
+        allow: ['PATH', 'ENV_UTILS_TEST_*'],
+        deny: ['*SECRET*'],
+        dotenv: '.env',
+        variables: { OVERRIDDEN: 'profile', FROM_PROFILE: 'profile' },
+        pathPrepend: ['bin'],
+      },
+      empty: { inherit: false },
+    },
+    defaultEnvProfile: 'project',
+  });
+
+  const { env, sources, profile } = resolveEnvironment({ working_directory: dir, environment: { FROM_PROFILE: 'call' } }, config);
+  assert.equal(profile, 'project');
+  assert.equal(env.ENV_UTILS_TEST_KEPT, 'kept');
+  assert.equal(env.ENV_UTILS_TEST_SECRET, undefined);
+  assert.equal(env.HOME, undefined);
+  assert.equal(env.FROM_DOTENV, 'dotenv');
+  assert.equal(sources.FROM_DOTENV, `dotenv:${join(dir, '.env')}`);
+  assert.equal(env.OVERRIDDEN, 'profile');
+  assert.equal(env.FROM_PROFILE, 'call');
+  assert.equal(env.PATH, [join(dir, 'bin'), process.env.PATH].join(delimiter));
+
+  assert.deepEqual(resolveEnvironment({ env_profile: 'empty' }, config).env, {});
+  assert.throws(() => resolveEnvironment({ env_profile: 'missing' }, config), /Unknown env profile: missing/);
+  assert.throws(() => resolveEnvironment({ working_directory: join(dir, 'nowhere') }, config), /Cannot read dotenv file/);
+});
+
+test('background jobs run with the env profile and mask its secrets', async (t) => {
+  const dir = makeTempDir(t);
+  process.env.ENV_UTILS_TEST_LEAK = 'should-not-leak';
+  t.after(() => delete process.env.ENV_UTILS_TEST_LEAK);
+  configure({
+    envProfiles: {
+      job: { deny: ['ENV_UTILS_TEST_*'], variables: { API_TOKEN: 'tok-job-1234567890' } },
+    },
+  });
+
+  const job = await call('job_start', {
+    command: 'echo "${ENV_UTILS_TEST_LEAK:-unset} $API_TOKEN $EXTRA"',
+    env_profile: 'job',
+    environment: { EXTRA: 'x' },
+    working_directory: dir,
+  });
+  assert.equal(job.success, true);
+  await getJobManager().get(job.job_id).waitForExit(5000);
+
+  const output = await call('job_output', { job_id: job.job_id });
+  assert.equal(output.data.trim(), 'unset [REDACTED:env:API_TOKEN] x');
+
+  await assert.rejects(call('job_start', { command: 'true', env_profile: 'missing' }), /Unknown env_profile/);
+});
+
+test('PTYs run with the env profile and mask its secrets', async (t) => {
+  configure({
+    envProfiles: {
+      pty: { allow: ['PATH'], variables: { API_TOKEN: 'tok-pty-1234567890' } },
+    },
+  });
+
+  const pty = await call('pty_open', {
+    command: 'echo "${HOME:-no-home} $TERM $API_TOKEN"; sleep 1',
+    env_profile: 'pty',
+    working_directory: makeTempDir(t),
+  });
+  assert.equal(pty.success, true);
+
+  const read = await call('pty_read', { pty_id: pty.pty_id, wait_for: 'no-home', timeout: 5000 });
+  assert.match(read.screen, /no-home xterm-256color \[REDACTED:env:API_TOKEN\]/);
+  assert.doesNotMatch(JSON.stringify(read), /tok-pty/);
+});
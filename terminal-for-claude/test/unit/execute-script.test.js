@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, rmSync } from "fs";
+import { dirname, join } from "path";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { getInterpreter } from "../../src/utils/interpreters.js";
+import { planScriptEnvironment } from "../../src/utils/script-env.js";
+import { findExecutable } from "../../src/utils/command-utils.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+const hasNpm = Boolean(findExecutable('npm'));
+
+test('args must be an array of strings', async () => {
+  configure();
+  const registry = new ToolRegistry();
+
+  for (const args of [null, 'a b', [1]]) {
+    await assert.rejects(
+      registry.execute('execute_script', { interpreter: 'node', script_content: 'console.log(1)', args }),
+      (error) => error instanceof McpError && /args must be an array of strings/.test(error.message),
+      JSON.stringify(args)
+    );
+  }
+});
+
+test('dependencies are registry packages with an optional version', async () => {
+  configure();
+  const registry = new ToolRegistry();
+  const rejected = {
+    python: ['git+https://github.com/psf/requests', 'requests @ https://example.com/r.whl', './local', 'file:pkg', '-e.', 'https://example.com/pkg.tar.gz'],
+    node: ['github:lodash/lodash', 'lodash/lodash', 'file:../pkg', 'https://example.com/pkg.tgz', 'git+ssh://git@github.com/a/b.git', 'alias@npm:lodash@4', '--foo'],
+  };
+
+  for (const [ecosystem, specs] of Object.entries(rejected)) {
+    const interpreter = ecosystem === 'python' ? 'python3' : 'node';
+    for (const spec of specs) {
+      await assert.rejects(
+        registry.execute('execute_script', { interpreter, script_content: '1', dependencies: [spec] }),
+        (error) => error instanceof McpError && /Invalid dependency/.test(error.message),
+        spec
+      );
+    }
+  }
+
+  const tool = registry.get('execute_script');
+  for (const spec of ['requests', 'requests==2.32.3', 'requests[socks]>=2,<3', 'zope.interface~=6.0']) {
+    tool.validateDependencies(getInterpreter('python3'), [spec]);
+  }
+  for (const spec of ['lodash', 'lodash@4', '@types/node@^20.1.0', 'react@latest', 'left-pad@>=1.2']) {
+    tool.validateDependencies(getInterpreter('node'), [spec]);
+  }
+});
+
+test('npm install skips install scripts unless configured', { skip: !hasNpm && 'npm not found' }, (t) => {
+  const scriptEnvCacheDir = makeTempDir(t);
+  const [install] = planScriptEnvironment(getInterpreter('node'), ['lodash@4'], configure({ scriptEnvCacheDir })).steps;
+  assert.match(install.command, /--ignore-scripts/);
+
+  const [allowed] = planScriptEnvironment(getInterpreter('node'), ['lodash@4'], configure({ scriptEnvCacheDir, npmIgnoreScripts: false })).steps;
+  assert.doesNotMatch(allowed.command, /--ignore-scripts/);
+});
+
+test('installing dependencies goes through the command rules and approval', { skip: !hasNpm && 'npm not found' }, async (t) => {
+  const scriptEnvCacheDir = makeTempDir(t);
+  const registry = new ToolRegistry();
+  const call = { interpreter: 'node', script_content: 'console.log(1)', dependencies: ['lodash@4'] };
+
+  configure({ scriptEnvCacheDir, commandBlacklist: ['npm install'] });
+  const denied = parseResponse(await registry.execute('execute_script', call));
+  assert.equal(denied.error_type, 'policy_denied');
+  assert.equal(denied.details.matched_rule, 'npm install');
+
+  configure({ scriptEnvCacheDir, approvalMode: 'dangerous' });
+  const held = parseResponse(await registry.execute('execute_script', call));
+  assert.equal(held.error_type, 'approval_required');
+  assert.deepEqual(held.details.reasons.map(reason => [reason.rule, reason.target]), [['install_packages', 'lodash@4']]);
+});
+
+test('shell scripts and their files are checked against the command rules', { skip: !findExecutable('bash') && 'bash not found' }, async (t) => {
+  const dir = makeTempDir(t);
+  configure({ commandBlacklist: ['rm'] });
+  const registry = new ToolRegistry();
+
+  const script = parseResponse(await registry.execute('execute_script', { interpreter: 'bash', script_content: 'rm -f x', working_directory: dir }));
+  assert.equal(script.error_type, 'policy_denied');
+  assert.equal(script.details.executable, 'rm');
+
+  const sourced = parseResponse(await registry.execute('execute_script', {
+    interpreter: 'bash',
+    script_content: 'source ./helpers.sh',
+    files: { 'helpers.sh': 'echo ok\nr\\m -f x' },
+    working_directory: dir,
+  }));
+  assert.equal(sourced.error_type, 'policy_denied');
+
+  const allowed = parseResponse(await registry.execute('execute_script', { interpreter: 'bash', script_content: 'echo ok', working_directory: dir }));
+  assert.equal(allowed.stdout.trim(), 'ok');
+
+  const python = parseResponse(await registry.execute('execute_script', { interpreter: 'python3', script_content: 'print("rm")', working_directory: dir }));
+  assert.notEqual(python.error_type, 'policy_denied');
+});
+
+test('script files must stay inside the temp directory', async (t) => {
+  configure();
+  const registry = new ToolRegistry();
+  const tool = registry.get('execute_script');
+  const dir = makeTempDir(t);
+
+  for (const path of ['../escape.js', 'lib/../../escape.js', '/etc/escape.js', '.', '']) {
+    assert.throws(() => tool.writeScriptFile(dir, path, 'x'), /must be relative and stay inside/, path);
+  }
+  assert.equal(tool.writeScriptFile(dir, 'lib/util.js', 'x'), join(dir, 'lib', 'util.js'));
+  assert.equal(readFileSync(join(dir, 'lib', 'util.js'), 'utf8'), 'x');
+
+  for (const call of [
+    { files: { '../escape.js': 'x' } },
+    { files: { [join(dir, 'absolute.js')]: 'x' } },
+    { entry_point: '../escape.js' },
+    { entry_point: join(dir, 'absolute.js') },
+  ]) {
+    await assert.rejects(
+      registry.execute('execute_script', { interpreter: 'node', script_content: 'console.log(1)', working_directory: dir, ...call }),
+      (error) => error instanceof McpError && /stay inside the script directory/.test(error.message),
+      JSON.stringify(call)
+    );
+  }
+  assert.equal(existsSync(join(dir, 'absolute.js')), false);
+  assert.equal(existsSync(join(dirname(dir), 'escape.js')), false);
+});
+
+test('the temp directory is removed unless keep_temp_dir is set', async (t) => {
+  configure();
+  const registry = new ToolRegistry();
+  const script = { interpreter: 'node', script_content: 'console.log(process.argv[1])', files: { 'data/input.txt': 'x' }, working_directory: makeTempDir(t) };
+
+  const removed = parseResponse(await registry.execute('execute_script', script));
+  const entryPoint = removed.stdout.trim();
+  assert.equal(removed.temp_dir, undefined);
+  assert.equal(existsSync(dirname(entryPoint)), false);
+
+  const kept = parseResponse(await registry.execute('execute_script', { ...script, keep_temp_dir: true }));
+  t.after(() => rmSync(kept.temp_dir, { recursive: true, force: true }));
+  assert.equal(kept.entry_point, kept.stdout.trim());
+  assert.equal(dirname(kept.entry_point), kept.temp_dir);
+  assert.equal(readFileSync(join(kept.temp_dir, 'data', 'input.txt'), 'utf8'), 'x');
+
+  const failed = parseResponse(await registry.execute('execute_script', { ...script, script_content: 'console.log(process.argv[1]); process.exit(3)', fail_on_nonzero: true }));
+  assert.equal(failed.success, false);
+  assert.equal(existsSync(dirname(failed.stdout.trim())), false);
+});
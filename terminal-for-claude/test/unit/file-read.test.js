@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { readFileRangeWithMetadata, readFileWithMetadata } from "../../src/utils/file-utils.js";
+import { FileReadTool } from "../../src/tools/file-read.js";
+import { FILE_LIMITS } from "../../src/config/constants.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+function numbered(count, { trailingNewline = true } = {}) {
+  const text = Array.from({ length: count }, (_, index) => `line ${index + 1}`).join('\n');
+  return trailingNewline ? `${text}\n` : text;
+}
+
+test('line ranges are 1-based and inclusive', (t) => {
+  const file = join(makeTempDir(t), 'lines.txt');
+  writeFileSync(file, numbered(10));
+
+  const { content, range } = readFileRangeWithMetadata(file, { start_line: 3, end_line: 5, line_numbers: false });
+  assert.equal(content, 'line 3\nline 4\nline 5');
+  assert.deepEqual(
+    { start: range.start_line, end: range.end_line, returned: range.lines_returned, total: range.total_lines, more: range.has_more },
+    { start: 3, end: 5, returned: 3, total: 10, more: true }
+  );
+
+  const numberedRead = readFileRangeWithMetadata(file, { start_line: 9 });
+  assert.equal(numberedRead.content, '     9\tline 9\n    10\tline 10');
+  assert.equal(numberedRead.range.has_more, false);
+
+  const past = readFileRangeWithMetadata(file, { start_line: 20 });
+  assert.equal(past.content, '');
+  assert.equal(past.range.start_line, null);
+});
+
+test('tail reads count the last line with or without a trailing newline', (t) => {
+  const dir = makeTempDir(t);
+  for (const trailingNewline of [true, false]) {
+    const file = join(dir, `tail-${trailingNewline}.txt`);
+    writeFileSync(file, numbered(5, { trailingNewline }));
+
+    const { content, range } = readFileRangeWithMetadata(file, { tail_lines: 2, line_numbers: false });
+    assert.equal(content, 'line 4\nline 5');
+    assert.equal(range.start_line, 4);
+    assert.equal(range.total_lines, 5);
+  }
+
+  const empty = join(dir, 'empty.txt');
+  writeFileSync(empty, '');
+  assert.equal(readFileRangeWithMetadata(empty, { tail_lines: 3 }).range.lines_returned, 0);
+});
+
+test('ranges across chunk boundaries come back whole', (t) => {
+  const file = join(makeTempDir(t), 'large.txt');
+  const count = Math.ceil((FILE_LIMITS.CHUNK_SIZE * 3) / 'line 00000\n'.length);
+  writeFileSync(file, numbered(count));
+
+  const middle = Math.floor(count / 2);
+  const { content } = readFileRangeWithMetadata(file, { start_line: middle, end_line: middle + 2, line_numbers: false });
+  assert.equal(content, `line ${middle}\nline ${middle + 1}\nline ${middle + 2}`);
+
+  const tail = readFileRangeWithMetadata(file, { tail_lines: 3000, line_numbers: false });
+  assert.equal(tail.range.start_line, count - 2999);
+  assert.equal(tail.content.split('\n')[0], `line ${count - 2999}`);
+});
+
+test('byte ranges report where to continue', (t) => {
+  const file = join(makeTempDir(t), 'bytes.bin');
+  writeFileSync(file, 'abcdefghij');
+
+  const first = readFileRangeWithMetadata(file, { offset: 2, length: 5 });
+  assert.equal(first.content, 'cdefg');
+  assert.deepEqual(first.range, { mode: 'bytes', offset: 2, bytes_read: 5, next_offset: 7, file_size: 10, has_more: true });
+
+  const last = readFileRangeWithMetadata(file, { offset: 7, length: 100 });
+  assert.equal(last.content, 'hij');
+  assert.equal(last.range.has_more, false);
+
+  const encoded = readFileRangeWithMetadata(file, { offset: 0, length: 3, encoding: 'base64' });
+  assert.equal(encoded.content, Buffer.from('abc').toString('base64'));
+});
+
+test('line ranges need a text encoding', (t) => {
+  const file = join(makeTempDir(t), 'text.txt');
+  writeFileSync(file, 'x\n');
+  assert.throws(() => readFileRangeWithMetadata(file, { start_line: 1, encoding: 'base64' }), /text encoding/);
+});
+
+test('file_read rejects mixed range modes', async (t) => {
+  configure();
+  const file = join(makeTempDir(t), 'modes.txt');
+  writeFileSync(file, numbered(3));
+  const tool = new FileReadTool();
+
+  await assert.rejects(tool.execute({ file_path: file, start_line: 1, tail_lines: 1 }), /only one of/);
+  await assert.rejects(tool.execute({ file_path: file, start_line: 3, end_line: 2 }), /end_line/);
+
+  const whole = parseResponse(await tool.execute({ file_path: file }));
+  assert.equal(whole.content, readFileWithMetadata(file).content);
+  assert.equal(whole.content_type, 'text');
+});
+
+test('file_read range arguments must be integers in range', async (t) => {
+  configure();
+  const file = join(makeTempDir(t), 'args.txt');
+  writeFileSync(file, numbered(3));
+  const tool = new FileReadTool();
+
+  for (const [args, message] of [
+    [{ tail_lines: 0 }, /tail_lines must be a positive integer/],
+    [{ tail_lines: '2' }, /tail_lines must be a positive integer/],
+    [{ start_line: 1.5 }, /start_line must be a positive integer/],
+    [{ end_line: 0 }, /end_line must be a positive integer/],
+    [{ offset: -1 }, /offset must be a non-negative integer/],
+    [{ offset: '4' }, /offset must be a non-negative integer/],
+    [{ length: -5 }, /length must be a positive integer/],
+  ]) {
+    await assert.rejects(tool.execute({ file_path: file, ...args }), message, JSON.stringify(args));
+  }
+});
+
+test('tail reads stop at the read size limit', (t) => {
+  const file = join(makeTempDir(t), 'long-lines.txt');
+  writeFileSync(file, `${'x'.repeat(FILE_LIMITS.CHUNK_SIZE * 3)}\nshort\n`);
+  const limit = FILE_LIMITS.MAX_READ_SIZE;
+  FILE_LIMITS.MAX_READ_SIZE = FILE_LIMITS.CHUNK_SIZE * 2;
+  t.after(() => { FILE_LIMITS.MAX_READ_SIZE = limit; });
+
+  assert.equal(readFileRangeWithMetadata(file, { tail_lines: 1, line_numbers: false }).content, 'short');
+  assert.throws(() => readFileRangeWithMetadata(file, { tail_lines: 2 }), /exceeds limit/);
+  assert.throws(() => readFileRangeWithMetadata(file, { start_line: 1 }), /exceeds limit/);
+});
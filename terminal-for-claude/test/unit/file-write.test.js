@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chmodSync, lstatSync, readdirSync, readFileSync, statSync, symlinkSync, unlinkSync, utimesSync, writeFileSync } from "fs";
+import { join } from "path";
+import { checkFilePreconditions, hashContent, readFileRangeWithMetadata, readFileWithMetadata, writeFileAtomic } from "../../src/utils/file-utils.js";
+import { FileConflictError } from "../../src/utils/errors.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+test('atomic writes replace the content and keep the mode', (t) => {
+  const dir = makeTempDir(t);
+  const file = join(dir, 'script.sh');
+  writeFileSync(file, 'old');
+  chmodSync(file, 0o750);
+
+  writeFileAtomic(file, 'new');
+  assert.equal(readFileSync(file, 'utf8'), 'new');
+  assert.equal(statSync(file).mode & 0o777, 0o750);
+  assert.deepEqual(readdirSync(dir), ['script.sh']);
+
+  writeFileAtomic(join(dir, 'created.txt'), Buffer.from('bytes'));
+  assert.equal(readFileSync(join(dir, 'created.txt'), 'utf8'), 'bytes');
+});
+
+test('atomic writes go through symlinks, dangling ones included', (t) => {
+  const dir = makeTempDir(t);
+  const target = join(dir, 'target.txt');
+  const link = join(dir, 'link.txt');
+  writeFileSync(target, 'old');
+  symlinkSync(target, link);
+
+  writeFileAtomic(link, 'through the link');
+  assert.ok(lstatSync(link).isSymbolicLink());
+  assert.equal(readFileSync(target, 'utf8'), 'through the link');
+
+  unlinkSync(target);
+  symlinkSync('link.txt', join(dir, 'chained.txt'));
+  writeFileAtomic(join(dir, 'chained.txt'), 'recreated');
+  assert.ok(lstatSync(link).isSymbolicLink());
+  assert.ok(lstatSync(join(dir, 'chained.txt')).isSymbolicLink());
+  assert.equal(readFileSync(target, 'utf8'), 'recreated');
+
+  symlinkSync(join(dir, 'missing-dir', 'file.txt'), join(dir, 'nowhere.txt'));
+  assert.throws(() => writeFileAtomic(join(dir, 'nowhere.txt'), 'x'), { code: 'ENOENT' });
+  assert.ok(lstatSync(join(dir, 'nowhere.txt')).isSymbolicLink());
+});
+
+test('preconditions fail with a file_conflict when the file changed', (t) => {
+  const file = join(makeTempDir(t), 'notes.txt');
+  writeFileSync(file, 'first');
+  const { content_hash, stats } = readFileWithMetadata(file);
+
+  checkFilePreconditions(file, { expected_hash: content_hash, expected_mtime: stats.modified });
+  checkFilePreconditions(file, { expected_hash: content_hash.toUpperCase() });
+
+  writeFileSync(file, 'second');
+  utimesSync(file, new Date(), new Date(Date.parse(stats.modified) + 5000));
+
+  assert.throws(() => checkFilePreconditions(file, { expected_hash: content_hash }), (error) => {
+    assert.ok(error instanceof FileConflictError);
+    assert.equal(error.details.actual_hash, hashContent(Buffer.from('second')));
+    return true;
+  });
+  assert.throws(() => checkFilePreconditions(file, { expected_mtime: stats.modified }), (error) => {
+    assert.ok(error instanceof FileConflictError);
+    assert.equal(error.details.expected_mtime, stats.modified);
+    return true;
+  });
+
+  unlinkSync(file);
+  assert.throws(() => checkFilePreconditions(file, { expected_hash: content_hash }), (error) => {
+    assert.ok(error instanceof FileConflictError);
+    assert.equal(error.details.exists, false);
+    return true;
+  });
+});
+
+test('range reads return the hash of the whole file', (t) => {
+  const file = join(makeTempDir(t), 'lines.txt');
+  writeFileSync(file, 'a\nb\nc\n');
+  const whole = readFileWithMetadata(file).content_hash;
+
+  for (const options of [{ start_line: 2, end_line: 2 }, { tail_lines: 1 }, { offset: 2, length: 1 }]) {
+    assert.equal(readFileRangeWithMetadata(file, options).content_hash, whole, JSON.stringify(options));
+  }
+});
+
+test('file_write with a stale expected_hash writes nothing', async (t) => {
+  const dir = makeTempDir(t);
+  const file = join(dir, 'config.json');
+  writeFileSync(file, '{}');
+  configure({ readWriteRoots: [dir] });
+  const registry = new ToolRegistry();
+
+  const read = parseResponse(await registry.execute('file_read', { file_path: file, start_line: 1 }));
+  writeFileSync(file, '{"changed":true}');
+
+  const conflict = parseResponse(await registry.execute('file_write', { file_path: file, content: '{"mine":true}', expected_hash: read.content_hash }));
+  assert.equal(conflict.error_type, 'file_conflict');
+  assert.equal(readFileSync(file, 'utf8'), '{"changed":true}');
+  assert.deepEqual(readdirSync(dir), ['config.json']);
+
+  const current = parseResponse(await registry.execute('file_read', { file_path: file }));
+  const written = parseResponse(await registry.execute('file_write', { file_path: file, content: '{"mine":true}', expected_hash: current.content_hash }));
+  assert.equal(written.success, true);
+  assert.equal(readFileSync(file, 'utf8'), '{"mine":true}');
+});
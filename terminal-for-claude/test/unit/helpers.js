@@ -0,0 +1,31 @@
+import { mkdtempSync, rmSync, realpathSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { getConfig } from "../../src/config/config-manager.js";
+
+// Replace the loaded config with the defaults plus `overrides`, without
+// touching ~/.claude-terminal/config.json. Logging and approvals are off
+// unless a test turns them on.
+export function configure(overrides = {}) {
+  const config = getConfig();
+  config.config = {
+    ...config.defaults,
+    enableLogging: false,
+    approvalMode: 'off',
+    ...overrides,
+  };
+  return config;
+}
+
+// A fresh directory, symlink-resolved so paths compare equal to what the
+// policy layer reports. Removed when the test ends.
+export function makeTempDir(t) {
+  const dir = realpathSync(mkdtempSync(join(tmpdir(), 'claude-terminal-test-')));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Parse the JSON text of a tool response
+export function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildInterpreterCommand, getInterpreter, getInterpreters } from "../../src/utils/interpreters.js";
+import { BUILTIN_INTERPRETERS } from "../../src/config/constants.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+test('config entries override built-ins field by field and null removes one', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const config = configure({
+    interpreters: {
+      python3: { executable: '/opt/python/bin/python3.12' },
+      ruby: null,
+      tcl: { executable: 'tclsh', extension: '.tcl' },
+      broken: { extension: '.x' },
+      no_script: { executable: 'x', command: '{executable} {args}' },
+    },
+  });
+  const interpreters = getInterpreters(config);
+
+  assert.deepEqual(interpreters.python3, {
+    ...BUILTIN_INTERPRETERS.python3,
+    command: '{executable} {script} {args}',
+    shell: false,
+    executable: '/opt/python/bin/python3.12',
+    name: 'python3',
+  });
+  assert.equal(interpreters.ruby, undefined);
+  assert.equal(getInterpreter('ruby', config), null);
+  assert.deepEqual(interpreters.tcl, {
+    command: '{executable} {script} {args}',
+    extension: '.tcl',
+    version: null,
+    shell: false,
+    dependencies: null,
+    executable: 'tclsh',
+    name: 'tcl',
+  });
+  assert.equal(interpreters.broken, undefined);
+  assert.equal(interpreters.no_script, undefined);
+  assert.equal(getInterpreter('toString', config), null);
+  assert.equal(getInterpreters(configure()).ruby.executable, 'ruby');
+});
+
+test('commands are built from the template with quoted arguments', () => {
+  const config = configure({ interpreters: { deno: { command: '{executable} run -A {script} -- {args}' } } });
+
+  assert.equal(
+    buildInterpreterCommand(getInterpreter('python3', config), '/tmp/dir/script.py', ['a b', "it's"]),
+    `python3 '/tmp/dir/script.py' 'a b' 'it'\\''s'`
+  );
+  assert.equal(buildInterpreterCommand(getInterpreter('node', config), '/tmp/script.js'), `node '/tmp/script.js'`);
+  assert.equal(
+    buildInterpreterCommand(getInterpreter('deno', config), '/tmp/script.ts', ['--flag']),
+    `deno run -A '/tmp/script.ts' -- '--flag'`
+  );
+  assert.equal(
+    buildInterpreterCommand(getInterpreter('python3', config), '/tmp/script.py', [], '/venvs/my env/bin/python'),
+    `'/venvs/my env/bin/python' '/tmp/script.py'`
+  );
+});
+
+test('execute_script names the script with the interpreter extension', async (t) => {
+  configure({
+    interpreters: { shell_script: { executable: 'sh', extension: '.custom' } },
+    allowedInterpreters: ['shell_script'],
+  });
+
+  const result = parseResponse(await new ToolRegistry().execute('execute_script', {
+    interpreter: 'shell_script',
+    script_content: 'echo "$(basename "$0")" "$@"',
+    args: ['one', 'two words'],
+    working_directory: makeTempDir(t),
+  }));
+  assert.equal(result.stdout.trim(), 'script.custom one two words');
+});
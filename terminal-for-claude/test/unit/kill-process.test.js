@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import { KillProcessTool } from "../../src/tools/process-manager.js";
+import { PolicyDeniedError } from "../../src/utils/errors.js";
+import { configure, parseResponse } from "./helpers.js";
+
+test('a port without an owning process is reported by port', async () => {
+  configure();
+  const tool = new KillProcessTool();
+  tool.findPortOwners = async () => [];
+
+  const result = parseResponse(await tool.execute({ port: 45678 }));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'No process is listening on port 45678');
+});
+
+test('an unknown PID is reported by PID', async () => {
+  configure();
+  const result = parseResponse(await new KillProcessTool().execute({ pid: 2 ** 22 + 1 }));
+  assert.equal(result.error, `No process with PID ${2 ** 22 + 1}`);
+});
+
+test('init, the server and its ancestors are refused', async () => {
+  configure({ protectedPids: [4242] });
+  const tool = new KillProcessTool();
+  const processes = [
+    { pid: 1, ppid: 0, name: 'tini', command: '/sbin/tini' },
+    { pid: 900, ppid: 1, name: 'claude', command: 'claude' },
+    { pid: process.ppid, ppid: 900, name: 'sh', command: 'sh -c npm test' },
+    { pid: process.pid, ppid: process.ppid, name: 'node', command: 'node server.js' },
+    { pid: 4242, ppid: 1, name: 'worker', command: 'worker' },
+    { pid: 5000, ppid: 1, name: 'sshd', command: '/usr/sbin/sshd' },
+    { pid: 6000, ppid: process.pid, name: 'sleep', command: 'sleep 60' },
+  ];
+  const refused = (pid) => {
+    assert.throws(() => tool.checkProtected(processes.filter(proc => proc.pid === pid), processes), (error) => {
+      assert.ok(error instanceof PolicyDeniedError);
+      assert.equal(error.details.rule, 'protected_process');
+      assert.equal(error.details.pid, pid);
+      return true;
+    }, String(pid));
+  };
+
+  for (const pid of [1, 900, process.ppid, process.pid, 4242, 5000]) {
+    refused(pid);
+  }
+  tool.checkProtected(processes.filter(proc => proc.pid === 6000), processes);
+
+  const live = parseResponse(await tool.execute({ pid: 1 }));
+  assert.equal(live.error_type, 'policy_denied');
+});
+
+async function spawnChild(script) {
+  const child = spawn(process.execPath, ['-e', `${script}; console.log('ready'); setInterval(() => {}, 1000)`], { stdio: ['ignore', 'pipe', 'ignore'] });
+  await once(child.stdout, 'data');
+  return child;
+}
+
+test('a process ignoring SIGTERM is killed after the grace period', async (t) => {
+  configure();
+  const tool = new KillProcessTool();
+
+  const stubborn = await spawnChild("process.on('SIGTERM', () => {})");
+  t.after(() => stubborn.kill('SIGKILL'));
+  const stubbornExited = once(stubborn, 'exit');
+  const started = Date.now();
+  const killed = parseResponse(await tool.execute({ pid: stubborn.pid, grace_period: 400 }));
+  assert.equal(killed.escalated, true);
+  assert.deepEqual(killed.terminated.map(proc => proc.pid), [stubborn.pid]);
+  assert.deepEqual(killed.still_running, []);
+  assert.ok(Date.now() - started >= 400);
+  assert.equal((await stubbornExited)[1], 'SIGKILL');
+
+  const polite = await spawnChild('');
+  t.after(() => polite.kill('SIGKILL'));
+  const exited = once(polite, 'exit');
+  const terminated = parseResponse(await tool.execute({ pid: polite.pid, grace_period: 5000 }));
+  assert.equal(terminated.escalated, false);
+  assert.deepEqual(terminated.terminated.map(proc => proc.pid), [polite.pid]);
+  assert.equal((await exited)[1], 'SIGTERM');
+
+  const held = await spawnChild("process.on('SIGTERM', () => {})");
+  t.after(() => held.kill('SIGKILL'));
+  const survived = parseResponse(await tool.execute({ pid: held.pid, grace_period: 100, escalate: false }));
+  assert.equal(survived.escalated, false);
+  assert.deepEqual(survived.still_running.map(proc => proc.pid), [held.pid]);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { ListProcessesTool } from "../../src/tools/process-manager.js";
+import { buildProcessTree } from "../../src/utils/process-utils.js";
+import { configure, parseResponse } from "./helpers.js";
+
+const PROCESSES = [
+  { pid: 1, ppid: 0, name: 'init', user: 'root', command: '/sbin/init', cpu_percent: 0, memory_percent: 0.1, rss_kb: 900 },
+  { pid: 10, ppid: 1, name: 'node', user: 'dev', command: 'node server.js --port 3000', cpu_percent: 12.5, memory_percent: 2, rss_kb: 80000, ports: [{ protocol: 'tcp', address: '0.0.0.0', port: 3000 }] },
+  { pid: 11, ppid: 10, name: 'node', user: 'dev', command: 'node worker.js', cpu_percent: 40, memory_percent: 1, rss_kb: 50000 },
+  { pid: 12, ppid: 10, name: 'sh', user: 'dev', command: 'sh -c make', cpu_percent: 0, memory_percent: 0.2, rss_kb: 1000 },
+  { pid: 13, ppid: 12, name: 'make', user: 'dev', command: 'make all', cpu_percent: 3, memory_percent: 0.5, rss_kb: 4000 },
+  { pid: 20, ppid: 1, name: 'postgres', user: 'postgres', command: 'postgres -D /data', cpu_percent: 1, memory_percent: 5, rss_kb: 200000 },
+];
+
+function stubbedTool() {
+  configure();
+  const tool = new ListProcessesTool();
+  tool.loadProcesses = async () => PROCESSES.map(proc => ({ ports: [], ...proc }));
+  const list = async (args) => parseResponse(await tool.execute({ detailed: true, ...args }));
+  return { tool, list };
+}
+
+const pids = result => result.processes.map(proc => proc.pid);
+
+test('filters combine and match the command line in detailed mode', async () => {
+  const { list } = stubbedTool();
+
+  assert.deepEqual(pids(await list({ user: 'dev' })), [10, 11, 12, 13]);
+  assert.deepEqual(pids(await list({ ppid: 10 })), [11, 12]);
+  assert.deepEqual(pids(await list({ port: 3000 })), [10]);
+  assert.deepEqual(pids(await list({ filter: 'worker' })), [11]);
+  assert.deepEqual(pids(await list({ filter: '^NODE$' })), [10, 11]);
+  assert.deepEqual(pids(await list({ min_cpu: 10, user: 'dev' })), [10, 11]);
+  assert.deepEqual(pids(await list({ min_memory: 2 })), [10, 20]);
+  assert.deepEqual(pids(await list({ pid: 12 })), [12]);
+
+  await assert.rejects(list({ min_cpu: -1 }), (error) => error instanceof McpError && /min_cpu must be a non-negative number/.test(error.message));
+  await assert.rejects(list({ sort_by: 'size' }), /sort_by must be one of/);
+});
+
+test('sorting defaults to descending for resource columns and limit truncates', async () => {
+  const { list } = stubbedTool();
+
+  assert.deepEqual(pids(await list({ sort_by: 'rss' })), [20, 10, 11, 13, 12, 1]);
+  assert.deepEqual(pids(await list({ sort_by: 'rss', sort_order: 'asc' })), [1, 12, 13, 11, 10, 20]);
+  assert.deepEqual(pids(await list({ sort_by: 'name' })), [1, 13, 10, 11, 20, 12]);
+
+  const limited = await list({ sort_by: 'cpu', limit: 2 });
+  assert.deepEqual(pids(limited), [11, 10]);
+  assert.equal(limited.total_matched, 6);
+  assert.equal(limited.truncated, true);
+});
+
+test('tree mode nests a process and its descendants', async () => {
+  const { list } = stubbedTool();
+
+  const subtree = await list({ pid: 10, tree: true });
+  assert.equal(subtree.process_count, 4);
+  assert.equal(subtree.processes.length, 1);
+  const [root] = subtree.processes;
+  assert.equal(root.pid, 10);
+  assert.deepEqual(root.children.map(child => child.pid), [11, 12]);
+  assert.deepEqual(root.children[1].children.map(child => child.pid), [13]);
+
+  // A filtered-out parent leaves its matching children as roots
+  const orphans = await list({ filter: 'make all|worker', tree: true });
+  assert.deepEqual(orphans.processes.map(proc => [proc.pid, proc.children.length]), [[11, 0], [13, 0]]);
+});
+
+test('buildProcessTree keeps sibling order and survives self-parented entries', () => {
+  const tree = buildProcessTree([
+    { pid: 0, ppid: 0, name: 'sched' },
+    { pid: 5, ppid: 3 },
+    { pid: 3, ppid: 0 },
+    { pid: 4, ppid: 3 },
+  ]);
+  assert.deepEqual(tree.map(node => node.pid), [0]);
+  assert.deepEqual(tree[0].children.map(node => node.pid), [3]);
+  assert.deepEqual(tree[0].children[0].children.map(node => node.pid), [5, 4]);
+});
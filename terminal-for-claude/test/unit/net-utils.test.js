@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, symlinkSync } from "fs";
+import { join } from "path";
+import { decodeProcAddress, mapSocketInodes, parseProcNet } from "../../src/utils/net-utils.js";
+import { makeTempDir } from "./helpers.js";
+
+const HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode';
+
+test('/proc/net addresses are decoded from host byte order', () => {
+  assert.deepEqual(decodeProcAddress('0100007F:1F90'), { address: '127.0.0.1', port: 8080 });
+  assert.deepEqual(decodeProcAddress('00000000:0000'), { address: '0.0.0.0', port: 0 });
+  assert.deepEqual(decodeProcAddress('00000000000000000000000001000000:0050'), { address: '::1', port: 80 });
+  assert.deepEqual(decodeProcAddress('00000000000000000000000000000000:01BB'), { address: '::', port: 443 });
+  assert.deepEqual(decodeProcAddress('B80D0120000000000000000001000000:D431'), { address: '2001:db8::1', port: 54321 });
+  assert.deepEqual(decodeProcAddress('0000000000000000FFFF00000100007F:0016'), { address: '::ffff:127.0.0.1', port: 22 });
+});
+
+test('tcp and udp tables are parsed into sockets', () => {
+  const tcp = parseProcNet('tcp', [
+    HEADER,
+    '   0: 0100007F:1F90 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 12345 1 0000000000000000 100 0 0 10 0',
+    '   1: 0100007F:1F90 0100007F:C350 01 00000000:00000000 00:00000000 00000000  1000        0 12346 1 0000000000000000 20 4 30 10 -1',
+    '   2: truncated line',
+  ].join('\n'));
+  assert.deepEqual(tcp, [
+    { protocol: 'tcp', local_address: '127.0.0.1', local_port: 8080, remote_address: '0.0.0.0', remote_port: 0, state: 'LISTEN', uid: 1000, inode: 12345 },
+    { protocol: 'tcp', local_address: '127.0.0.1', local_port: 8080, remote_address: '127.0.0.1', remote_port: 50000, state: 'ESTABLISHED', uid: 1000, inode: 12346 },
+  ]);
+
+  const udp6 = parseProcNet('udp6', [
+    HEADER,
+    '  10: 00000000000000000000000000000000:14E9 00000000000000000000000000000000:0000 07 00000000:00000000 00:00000000 00000000     0        0 222 2 0000000000000000 0',
+  ].join('\n'));
+  assert.equal(udp6[0].local_address, '::');
+  assert.equal(udp6[0].local_port, 5353);
+  assert.equal(udp6[0].state, 'UNCONNECTED');
+});
+
+test('a socket inode maps to every process holding it', (t) => {
+  const proc = makeTempDir(t);
+  const link = (pid, fd, target) => {
+    mkdirSync(join(proc, pid, 'fd'), { recursive: true });
+    symlinkSync(target, join(proc, pid, 'fd', fd));
+  };
+  link('100', '3', 'socket:[555]');
+  link('101', '3', 'socket:[555]');
+  link('101', '4', 'socket:[556]');
+  link('101', '5', 'pipe:[777]');
+  link('self', '3', 'socket:[999]');
+  mkdirSync(join(proc, '102'));
+
+  const owners = mapSocketInodes(proc);
+  assert.deepEqual([...owners.keys()].sort(), [555, 556]);
+  assert.deepEqual([...owners.get(555)].sort(), [100, 101]);
+  assert.deepEqual([...owners.get(556)], [101]);
+});
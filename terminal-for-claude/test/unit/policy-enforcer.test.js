@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PolicyEnforcer } from "../../src/security/policy-enforcer.js";
+import { PolicyDeniedError } from "../../src/utils/errors.js";
+import { configure } from "./helpers.js";
+
+function tool(targets) {
+  return { name: 'test_tool', getPolicyTargets: () => targets };
+}
+
+function denial(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof PolicyDeniedError, `expected a PolicyDeniedError, got ${error}`);
+    return error;
+  }
+  assert.fail('expected the call to be denied');
+}
+
+test('standard mode allows commands unless they match the blacklist', () => {
+  const enforcer = new PolicyEnforcer(configure({ commandBlacklist: ['rm -*r*'] }));
+
+  enforcer.enforce(tool({ commands: ['rm file.txt', 'ls -la'] }));
+
+  const error = denial(() => enforcer.enforce(tool({ commands: ['ls && rm -rf build'] })));
+  assert.equal(error.type, 'policy_denied');
+  assert.equal(error.details.reason, 'blacklisted');
+  assert.equal(error.details.rule, 'commandBlacklist');
+  assert.equal(error.details.matched_rule, 'rm -*r*');
+  assert.equal(error.details.executable, 'rm');
+});
+
+test('strict mode requires every invocation to be whitelisted', () => {
+  const enforcer = new PolicyEnforcer(configure({ securityMode: 'strict', commandWhitelist: ['ls', 'git status'] }));
+
+  enforcer.enforce(tool({ commands: ['ls -la | ls', 'git status --short'] }));
+
+  assert.equal(denial(() => enforcer.enforce(tool({ commands: ['ls; touch x'] }))).details.reason, 'not_whitelisted');
+  assert.equal(denial(() => enforcer.enforce(tool({ commands: ['git push'] }))).details.reason, 'not_whitelisted');
+  assert.equal(denial(() => enforcer.enforce(tool({ commands: ['ls "unterminated'] }))).details.reason, 'unparseable');
+  assert.equal(denial(() => enforcer.enforce(tool({ commands: ['$CMD -la'] }))).details.reason, 'dynamic_executable');
+});
+
+test('commands are parsed with the dialect of the shell they run in', () => {
+  const enforcer = new PolicyEnforcer(configure({ commandBlacklist: ['del'] }));
+
+  enforcer.enforce(tool({ commands: [{ command: 'echo del', shell: '/bin/bash' }] }));
+  denial(() => enforcer.enforce(tool({ commands: [{ command: 'dir & del x.txt', shell: 'cmd.exe' }] })));
+  denial(() => enforcer.enforce(tool({ commands: [{ command: 'Get-Item x; del x', shell: 'pwsh' }] })));
+});
+
+test('interpreters must be in allowedInterpreters', () => {
+  const enforcer = new PolicyEnforcer(configure({ allowedInterpreters: ['python3'] }));
+
+  enforcer.enforce(tool({ interpreters: ['python3'] }));
+  const error = denial(() => enforcer.enforce(tool({ interpreters: ['ruby'] })));
+  assert.equal(error.details.rule, 'allowedInterpreters');
+});
+
+test('pathBlacklist denies the path and everything below it', () => {
+  const enforcer = new PolicyEnforcer(configure({ pathBlacklist: ['/etc'] }));
+
+  enforcer.enforce(tool({ paths: [{ path: '/tmp/file', access: 'write' }] }));
+  const error = denial(() => enforcer.enforce(tool({ paths: [{ path: '/etc/passwd', access: 'read' }] })));
+  assert.equal(error.details.rule, 'pathBlacklist');
+  assert.equal(error.details.resolved_path, '/etc/passwd');
+});
+
+test('missing targets are skipped', () => {
+  const enforcer = new PolicyEnforcer(configure({ securityMode: 'strict', commandWhitelist: [], pathBlacklist: ['/'] }));
+
+  enforcer.enforce(tool({ commands: [undefined], paths: [{ path: undefined }] }));
+  enforcer.enforce(tool(undefined));
+});
@@ -0,0 +1,49 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { getPtyManager } from "../../src/utils/pty-session.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+const registry = new ToolRegistry();
+const call = async (tool, args) => parseResponse(await registry.execute(tool, args));
+
+after(() => getPtyManager().closeAll());
+
+test('the default PTY shell is checked as a command', async (t) => {
+  configure({ commandBlacklist: ['bash', 'sh'] });
+  const denied = await call('pty_open', { working_directory: makeTempDir(t) });
+  assert.equal(denied.error_type, 'policy_denied');
+  assert.equal(denied.details.reason, 'blacklisted');
+});
+
+test('lines typed into a shell PTY go through the command rules', async (t) => {
+  configure({ commandBlacklist: ['rm'] });
+  const pty = await call('pty_open', { working_directory: makeTempDir(t) });
+  assert.equal(pty.success, true);
+
+  const typed = await call('pty_write', { pty_id: pty.pty_id, data: 'echo one; r' });
+  assert.equal(typed.success, true);
+
+  const denied = await call('pty_write', { pty_id: pty.pty_id, data: 'm -rf x', keys: ['enter'] });
+  assert.equal(denied.error_type, 'policy_denied');
+  assert.equal(denied.details.target, 'echo one; rm -rf x');
+
+  const tab = await call('pty_write', { pty_id: pty.pty_id, keys: ['tab'] });
+  assert.equal(tab.details.reason, 'untracked_input');
+
+  const cleared = await call('pty_write', { pty_id: pty.pty_id, data: 'echo two', keys: ['ctrl-u', 'enter'] });
+  assert.equal(cleared.success, true);
+});
+
+test('a PTY running a shell command is tracked too, other programs are not', async (t) => {
+  configure({ commandBlacklist: ['rm'] });
+  const dir = makeTempDir(t);
+
+  const shell = await call('pty_open', { command: 'sh', working_directory: dir });
+  const denied = await call('pty_write', { pty_id: shell.pty_id, data: 'rm -rf x\r' });
+  assert.equal(denied.error_type, 'policy_denied');
+
+  const cat = await call('pty_open', { command: 'cat', working_directory: dir });
+  const echoed = await call('pty_write', { pty_id: cat.pty_id, data: 'rm -rf x\r' });
+  assert.equal(echoed.success, true);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, statSync, symlinkSync, writeFileSync } from "fs";
+import { basename, join } from "path";
+import { PolicyEnforcer } from "../../src/security/policy-enforcer.js";
+import { SandboxViolationError } from "../../src/utils/errors.js";
+import { getOutputDirectory } from "../../src/utils/output-capture.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+function setup(t) {
+  const base = makeTempDir(t);
+  const workspace = join(base, 'workspace');
+  const docs = join(base, 'docs');
+  const outside = join(base, 'outside');
+  for (const dir of [workspace, docs, outside]) {
+    mkdirSync(dir);
+  }
+  writeFileSync(join(outside, 'secret.txt'), 'secret');
+  symlinkSync(outside, join(workspace, 'escape'));
+  symlinkSync(join(outside, 'secret.txt'), join(workspace, 'secret-link.txt'));
+  symlinkSync(join(outside, 'planted.txt'), join(workspace, 'dangling-link.txt'));
+
+  const config = configure({ readWriteRoots: [workspace], readOnlyRoots: [docs] });
+  return { config, enforcer: new PolicyEnforcer(config), workspace, docs, outside };
+}
+
+function check(enforcer, path, access) {
+  enforcer.checkPath('test_tool', { path, access });
+}
+
+test('paths inside the roots are allowed by access level', (t) => {
+  const { enforcer, workspace, docs } = setup(t);
+
+  check(enforcer, join(workspace, 'new', 'file.txt'), 'write');
+  check(enforcer, join(docs, 'README.md'), 'read');
+
+  assert.throws(() => check(enforcer, join(docs, 'README.md'), 'write'), SandboxViolationError);
+});
+
+test('symlinks are resolved before the roots are checked', (t) => {
+  const { enforcer, workspace, outside } = setup(t);
+
+  for (const path of [join(workspace, 'escape', 'secret.txt'), join(workspace, 'secret-link.txt'), join(workspace, 'escape', 'missing', 'new.txt')]) {
+    assert.throws(() => check(enforcer, path, 'read'), (error) => {
+      assert.ok(error instanceof SandboxViolationError);
+      assert.ok(error.details.resolved_path.startsWith(outside));
+      return true;
+    });
+  }
+  assert.throws(() => check(enforcer, join(workspace, '..', 'outside'), 'read'), SandboxViolationError);
+});
+
+test('a dangling symlink is checked where writing through it would create the file', (t) => {
+  const { enforcer, workspace, outside } = setup(t);
+
+  assert.throws(() => check(enforcer, join(workspace, 'dangling-link.txt'), 'write'), (error) => {
+    assert.ok(error instanceof SandboxViolationError);
+    assert.equal(error.details.resolved_path, join(outside, 'planted.txt'));
+    return true;
+  });
+});
+
+test('saved command output stays readable but not writable', (t) => {
+  const { enforcer } = setup(t);
+  const dir = getOutputDirectory();
+  const saved = join(dir, 'stdout-example.log');
+
+  check(enforcer, saved, 'read');
+  assert.throws(() => check(enforcer, saved, 'write'), SandboxViolationError);
+
+  const stats = statSync(dir);
+  assert.equal(stats.mode & 0o777, 0o700);
+  assert.equal(stats.uid, process.getuid());
+  assert.notEqual(basename(dir), 'claude-terminal-output');
+  assert.equal(getOutputDirectory(), dir);
+});
+
+test('without working_directory commands run in the first root when the server directory is outside', async (t) => {
+  const { config, workspace, outside } = setup(t);
+  const previous = process.cwd();
+  process.chdir(outside);
+  t.after(() => process.chdir(previous));
+
+  assert.equal(config.getDefaultWorkingDirectory(), workspace);
+
+  const registry = new ToolRegistry();
+  const result = parseResponse(await registry.execute('execute_command', { command: 'pwd' }));
+  assert.equal(result.success, true);
+  assert.equal(result.working_directory, workspace);
+  assert.equal(result.stdout.trim(), workspace);
+
+  const denied = parseResponse(await registry.execute('execute_command', { command: 'pwd', working_directory: outside }));
+  assert.equal(denied.error_type, 'sandbox_violation');
+
+  writeFileSync(join(workspace, 'notes.txt'), 'secret in the workspace');
+  const search = parseResponse(await registry.execute('search_files', { pattern: 'secret' }));
+  assert.equal(search.root, workspace);
+  assert.deepEqual(search.matches.map(match => match.path), [join(workspace, 'notes.txt')]);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+function setup(t, files) {
+  const dir = makeTempDir(t);
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(dir, path)), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+  configure();
+  const registry = new ToolRegistry();
+  const search = async (args) => parseResponse(await registry.execute('search_files', { path: dir, ...args }));
+  return { dir, search };
+}
+
+test('result and context limits must be integers in range', async (t) => {
+  const dir = makeTempDir(t);
+  configure();
+  const registry = new ToolRegistry();
+
+  for (const limits of [
+    { max_results: 0 },
+    { max_results: 5001 },
+    { max_results: '10' },
+    { max_results: 1.5 },
+    { max_matches_per_file: -1 },
+    { context_lines: 11 },
+    { context_lines: -1 },
+  ]) {
+    await assert.rejects(
+      registry.execute('search_files', { pattern: 'x', path: dir, ...limits }),
+      (error) => error instanceof McpError && /must be (an|a positive) integer/.test(error.message),
+      JSON.stringify(limits)
+    );
+  }
+});
+
+test('patterns match as regular expressions or literal text', async (t) => {
+  const { dir, search } = setup(t, {
+    'src/api.js': 'const user = fetchUser(1);\nfetchUsers();\n',
+    'src/api.test.js': 'fetchUser(2)\n',
+    'README.md': 'Call fetchUser(id) to load a user.\n',
+  });
+
+  const regex = await search({ pattern: 'fetchUser\\(\\d\\)' });
+  assert.deepEqual(regex.matches.map(({ path, line, column, match }) => [path, line, column, match]), [
+    [join(dir, 'src', 'api.js'), 1, 14, 'fetchUser(1)'],
+    [join(dir, 'src', 'api.test.js'), 1, 1, 'fetchUser(2)'],
+  ]);
+
+  const literal = await search({ pattern: 'fetchUser(id)', literal: true });
+  assert.deepEqual(literal.matches.map(match => match.path), [join(dir, 'README.md')]);
+
+  const insensitive = await search({ pattern: 'FETCHUSERS', ignore_case: true });
+  assert.equal(insensitive.match_count, 1);
+
+  // Globs without a slash filter on the file name
+  const named = await search({ pattern: 'fetchUser', include: ['*.test.js'] });
+  assert.deepEqual(named.matches.map(match => match.path), [join(dir, 'src', 'api.test.js')]);
+  const excluded = await search({ pattern: 'fetchUser', exclude: ['src'] });
+  assert.deepEqual(excluded.matches.map(match => match.path), [join(dir, 'README.md')]);
+
+  await assert.rejects(search({ pattern: '(' }), /Invalid regular expression/);
+});
+
+test('results stop at max_results and max_matches_per_file', async (t) => {
+  const { search } = setup(t, {
+    'a.txt': 'hit hit\nhit\nhit\n',
+    'b.txt': 'hit\nhit\n',
+  });
+
+  const capped = await search({ pattern: 'hit', max_results: 3 });
+  assert.equal(capped.match_count, 3);
+  assert.equal(capped.truncated, true);
+
+  const perFile = await search({ pattern: 'hit', max_matches_per_file: 2 });
+  assert.equal(perFile.match_count, 4);
+  assert.equal(perFile.files_truncated, 1);
+  assert.equal(perFile.truncated, false);
+
+  const context = await search({ pattern: 'hit', include: ['b.txt'], context_lines: 1, max_results: 1 });
+  assert.deepEqual(context.matches[0].context_before, []);
+  assert.deepEqual(context.matches[0].context_after, ['hit']);
+});
+
+test('binary files are skipped', async (t) => {
+  const { dir, search } = setup(t, { 'text.txt': 'needle\n' });
+  writeFileSync(join(dir, 'image.bin'), Buffer.from([0x89, 0x50, 0x00, 0x00, ...Buffer.from('needle')]));
+
+  const result = await search({ pattern: 'needle' });
+  assert.deepEqual(result.matches.map(match => match.path), [join(dir, 'text.txt')]);
+  assert.equal(result.files_skipped_binary, 1);
+  assert.equal(result.files_searched, 1);
+});
@@ -0,0 +1,119 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "fs";
+import { join } from "path";
+import { ShellInput, trackShellInput } from "../../src/security/shell-input.js";
+import { findStdinShell } from "../../src/security/shell-parser.js";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { getJobManager } from "../../src/utils/background-job.js";
+import { configure, makeTempDir, parseResponse } from "./helpers.js";
+
+const registry = new ToolRegistry();
+const call = async (tool, args) => parseResponse(await registry.execute(tool, args));
+
+after(() => getJobManager().killAll());
+
+test('shells without a command or script read commands from stdin', () => {
+  for (const command of ['bash', 'sh -s', 'env zsh -i', '/bin/bash -o posix', 'cat setup.sh | sh', 'pwsh -Command -', 'cmd']) {
+    assert.ok(findStdinShell(command, { dialect: 'posix' }), command);
+  }
+  for (const command of ['bash -c ls', 'sh script.sh', 'bash -- script.sh', 'pwsh -c ls', 'cmd /c dir', 'python3', 'cat']) {
+    assert.equal(findStdinShell(command, { dialect: 'posix' }), null, command);
+  }
+  assert.equal(trackShellInput('cat'), null);
+});
+
+test('complete lines are returned as commands and partial ones are kept', () => {
+  const input = new ShellInput('bash');
+
+  assert.deepEqual(input.preview('ls\necho hi; r').commands, ['ls']);
+  input.commit('ls\necho hi; r');
+  assert.equal(input.line, 'echo hi; r');
+
+  assert.deepEqual(input.preview('m -rf build\n').commands, ['echo hi; rm -rf build']);
+  assert.deepEqual(input.preview('m').commands, []);
+  assert.deepEqual(input.preview('m', { end: true }).commands, ['echo hi; rm']);
+});
+
+test('continued lines are checked as one command', () => {
+  const input = new ShellInput('bash');
+
+  input.commit('r\\\n');
+  assert.equal(input.statement, 'r\\\n');
+  assert.deepEqual(input.preview('m -rf /\n').commands, ['r\\\nm -rf /']);
+
+  const quoted = new ShellInput('bash');
+  quoted.commit('echo "one\n');
+  assert.deepEqual(quoted.preview('two"; rm -rf /\n').commands, ['echo "one\ntwo"; rm -rf /']);
+});
+
+test('history expansion is reported as unsupported', () => {
+  const input = new ShellInput('bash');
+  assert.equal(input.preview('!!\n').unsupported, 'history expansion');
+  assert.equal(input.preview('^ls^rm\n').unsupported, 'history expansion');
+  assert.equal(input.preview('[ ! -f x ] && echo $!\n').unsupported, null);
+});
+
+test('job_start stdin and job_input to a shell job go through the command rules', async (t) => {
+  const dir = makeTempDir(t);
+  configure({ commandBlacklist: ['rm'] });
+
+  const denied = await call('job_start', { command: 'bash', stdin: 'rm -rf build', working_directory: dir });
+  assert.equal(denied.error_type, 'policy_denied');
+  assert.equal(denied.details.executable, 'rm');
+
+  const job = await call('job_start', { command: 'bash', keep_stdin_open: true, working_directory: dir });
+  assert.equal(job.success, true);
+
+  const split = await call('job_input', { job_id: job.job_id, data: 'touch a; r' });
+  assert.equal(split.success, true);
+  const blocked = await call('job_input', { job_id: job.job_id, data: 'm -f a\n' });
+  assert.equal(blocked.error_type, 'policy_denied');
+  assert.equal(blocked.details.target, 'touch a; rm -f a');
+
+  const history = await call('job_input', { job_id: job.job_id, data: '!!\n' });
+  assert.equal(history.details.reason, 'untracked_input');
+
+  const allowed = await call('job_input', { job_id: job.job_id, data: '\ntouch b\n', close_stdin: true });
+  assert.equal(allowed.success, true);
+  await getJobManager().get(job.job_id).waitForExit(5000);
+  // The newline ran what was already typed, without the refused "m -f a"
+  assert.ok(existsSync(join(dir, 'a')));
+  assert.ok(existsSync(join(dir, 'b')));
+});
+
+test('execute_command stdin to a shell is checked and held for approval', async (t) => {
+  const dir = makeTempDir(t);
+  configure({ commandBlacklist: ['rm'] });
+  const denied = await call('execute_command', { command: 'sh', stdin: 'echo ok\nrm -rf x\n', working_directory: dir });
+  assert.equal(denied.error_type, 'policy_denied');
+
+  configure({ approvalMode: 'dangerous' });
+  const job = await call('job_start', { command: 'sh', keep_stdin_open: true, working_directory: dir });
+  const held = await call('job_input', { job_id: job.job_id, data: 'rm -rf ./x\n' });
+  assert.equal(held.error_type, 'approval_required');
+  assert.equal(held.details.reasons[0].rule, 'recursive_delete');
+
+  const plain = await call('execute_command', { command: 'cat', stdin: 'rm -rf x\n', working_directory: dir });
+  assert.equal(plain.success, true);
+  assert.equal(plain.stdout, 'rm -rf x\n');
+});
+
+test('terminal input follows Enter, backspace, ctrl-c and ctrl-u', () => {
+  const input = new ShellInput('bash', { terminal: true });
+
+  assert.deepEqual(input.preview('rn\x7fm -rf x\r').commands, ['rm -rf x']);
+  assert.deepEqual(input.preview('rm -rf x\x15ls\r').commands, ['ls']);
+  assert.deepEqual(input.preview('echo "a\rrm\x03ls\r').commands, ['ls']);
+  assert.deepEqual(input.preview('ls\r\n').commands, ['ls']);
+  assert.equal(input.preview('rm -rf x\r').unsupported, null);
+});
+
+test('terminal keys whose effect is unknown are reported', () => {
+  const input = new ShellInput('bash', { terminal: true });
+
+  assert.equal(input.preview('ls /tm\t').unsupported, 'tab completion');
+  assert.equal(input.preview('\x1b[A').unsupported, 'escape sequences such as arrow keys');
+  assert.equal(input.preview('\x12rm').unsupported, 'ctrl-r');
+  assert.equal(input.preview('\x04').unsupported, null);
+});
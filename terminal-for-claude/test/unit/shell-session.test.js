@@ -0,0 +1,92 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { ToolRegistry } from "../../src/tools/tool-registry.js";
+import { getSessionManager, isSessionShell } from "../../src/utils/shell-session.js";
+import { configure, parseResponse } from "./helpers.js";
+
+const registry = new ToolRegistry();
+const call = async (tool, args) => parseResponse(await registry.execute(tool, args));
+
+after(() => getSessionManager().closeAll());
+
+test('only known shells can back a session', async () => {
+  configure();
+
+  assert.ok(isSessionShell('/bin/bash'));
+  assert.ok(isSessionShell('C:\\Program Files\\PowerShell\\7\\pwsh.exe'));
+  assert.ok(!isSessionShell('/usr/bin/touch'));
+  await assert.rejects(call('session_create', { shell: '/usr/bin/touch' }), /shell must be one of/);
+});
+
+test('the session shell is checked against the command rules', async () => {
+  configure({ securityMode: 'strict', commandWhitelist: ['ls', 'echo'] });
+  const denied = await call('session_create', { shell: '/bin/sh' });
+  assert.equal(denied.success, false);
+  assert.equal(denied.error_type, 'policy_denied');
+  assert.equal(denied.details.executable, 'sh');
+
+  configure({ securityMode: 'strict', commandWhitelist: ['sh', 'echo'] });
+  const session = await call('session_create', { shell: '/bin/sh' });
+  assert.equal(session.success, true);
+
+  const exec = await call('session_exec', { session_id: session.session_id, command: 'touch never-created' });
+  assert.equal(exec.error_type, 'policy_denied');
+});
+
+test('sessions run with the resolved env profile', async () => {
+  configure({
+    envProfiles: {
+      minimal: { allow: ['PATH'], variables: { GREETING: 'hello', API_TOKEN: 'tok-1234567890' } },
+    },
+  });
+
+  const session = await call('session_create', { shell: '/bin/sh', env_profile: 'minimal', environment: { EXTRA: 'x' } });
+  assert.equal(session.success, true);
+
+  const exec = await call('session_exec', {
+    session_id: session.session_id,
+    command: 'echo "$GREETING ${HOME:-no-home} $EXTRA $API_TOKEN"',
+  });
+  assert.equal(exec.stdout.trim(), 'hello no-home x [REDACTED:env:API_TOKEN]');
+
+  await assert.rejects(call('session_create', { env_profile: 'missing' }), /Unknown env_profile/);
+});
+
+test('large output is cut down and the session stays open', async () => {
+  configure();
+  const { session_id } = await call('session_create', { shell: '/bin/sh' });
+
+  const big = await call('session_exec', {
+    session_id,
+    command: 'i=0; while [ $i -lt 20000 ]; do echo "line $i of the output"; i=$((i+1)); done; echo oops >&2',
+    max_output_bytes: 4096,
+  });
+  assert.equal(big.success, true);
+  assert.equal(big.exit_code, 0);
+  assert.equal(big.output_truncated.stdout.total_lines, 20000);
+  assert.match(big.stdout, /^line 0 of the output\n/);
+  assert.match(big.stdout, /line 19999 of the output\n$/);
+  assert.ok(!big.stdout.includes('__CT_'));
+  assert.equal(big.stderr, 'oops\n');
+
+  const next = await call('session_exec', { session_id, command: 'printf "%s" still-here' });
+  assert.equal(next.success, true);
+  assert.equal(next.stdout, 'still-here');
+  assert.equal(next.output_truncated, undefined);
+});
+
+test('session_exec timeout must be a positive integer', async () => {
+  configure();
+  const { session_id } = await call('session_create', { shell: '/bin/sh' });
+
+  for (const timeout of [0, -1000, 1.5, '5000', null, NaN]) {
+    await assert.rejects(
+      call('session_exec', { session_id, command: 'true', timeout }),
+      /timeout must be a positive integer/,
+      String(timeout)
+    );
+  }
+
+  const ran = await call('session_exec', { session_id, command: 'echo ok', timeout: 5000 });
+  assert.equal(ran.stdout, 'ok\n');
+});
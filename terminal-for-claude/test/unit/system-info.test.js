@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { SystemInfoTool } from "../../src/tools/system-info.js";
+import { SYSTEM_INFO_LIMITS } from "../../src/config/constants.js";
+import { configure, parseResponse } from "./helpers.js";
+
+test('only the requested sections are collected', async () => {
+  configure();
+  const tool = new SystemInfoTool();
+  tool.getDiskInfo = async () => { throw new Error('df failed'); };
+
+  const { system_info } = parseResponse(await tool.execute({ sections: ['load', 'memory', 'disks'] }));
+  assert.deepEqual(Object.keys(system_info), ['memory', 'load', 'disks', 'timestamp']);
+  assert.equal(system_info.memory.used_bytes, system_info.memory.total_bytes - system_info.memory.free_bytes);
+  // A failing section reports its error without failing the call
+  assert.deepEqual(system_info.disks, { error: 'df failed' });
+
+  for (const sections of [[], 'memory', ['memory', 'gpu']]) {
+    await assert.rejects(tool.execute({ sections }), McpError, JSON.stringify(sections));
+  }
+});
+
+test('toolchain probes are cached until the TTL passes or refresh is set', async (t) => {
+  configure();
+  const tool = new SystemInfoTool();
+  let probes = 0;
+  tool.probeToolchain = async (name) => {
+    probes++;
+    return { path: `/usr/bin/${name}`, version: '1.0.0' };
+  };
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const toolchains = async (args = {}) => parseResponse(await tool.execute({ sections: ['toolchains'], ...args })).system_info.toolchains;
+
+  const first = await toolchains({ refresh: true });
+  const perProbe = probes;
+  assert.ok(perProbe > 0);
+  assert.equal(first.cached, false);
+  assert.equal(first.tools.git.version, '1.0.0');
+
+  now += SYSTEM_INFO_LIMITS.TOOLCHAIN_CACHE_TTL - 1;
+  const cached = await toolchains();
+  assert.equal(cached.cached, true);
+  assert.equal(cached.probed_at, first.probed_at);
+  assert.equal(probes, perProbe);
+
+  // The cache is shared by every instance of the tool
+  const other = new SystemInfoTool();
+  assert.equal(parseResponse(await other.execute({ sections: ['toolchains'] })).system_info.toolchains.cached, true);
+
+  assert.equal((await toolchains({ refresh: true })).cached, false);
+  assert.equal(probes, perProbe * 2);
+
+  now += SYSTEM_INFO_LIMITS.TOOLCHAIN_CACHE_TTL;
+  assert.equal((await toolchains()).cached, false);
+  assert.equal(probes, perProbe * 3);
+});